@@ -3,56 +3,187 @@
 // NPC traffic, weather, monster, audio, drift, camera modes, minimap.
 import { useState, useEffect, useRef, useCallback } from 'react';
 import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 import {
-  CAR_ACCEL, CAR_BRAKE, CAR_FRICTION, CAR_MAX_SPEED, CAR_REVERSE_MAX,
-  STEER_SPEED, CAM_BASE_DIST, CAM_BASE_HEIGHT, CAM_SMOOTH,
-  WORLD_BOUND, SPEED_MULT, SHADOW_CAM_SIZE,
-  DRIFT_STEER_MULT, DRIFT_FRICTION,
+  CAM_BASE_DIST, CAM_BASE_HEIGHT, CAM_SMOOTH,
+  SPEED_MULT, SHADOW_CAM_SIZE, MINIMAP_NPC_RANGE, REPAIR_MAX_SPEED,
+  SPLIT_SHOW_TIME, REPLAY_LEAD, REPLAY_SKIP, PLAYER_HEALTH, START_HOUR,
+  surfaceAt,
 } from './constants.js';
 
 import { buildCar } from './Car.js';
-import { buildWorld } from './World.js';
-import { createNPCs, updateNPCs, checkNPCCollision } from './NPCSystem.js';
+import { createVehicleState, stepVehicle, groundFor, vehicleVelocity, DEFAULT_VEHICLE } from './VehiclePhysics.js';
+import {
+  createDamage, applyImpact, damagedVehicle, createDebris,
+  updateCarDamage, updateDebris, repairCar,
+} from './Damage.js';
+import { resolveContacts, collideVehicle } from './Collision.js';
+import { createSpatialHash, queryRadius } from './SpatialHash.js';
+import { buildWorld, updateWorld, setCityLights } from './World.js';
+import { createStreetLights, updateStreetLights } from './StreetLights.js';
+import { createSkidMarks, updateSkidMarks } from './SkidMarks.js';
+import { createWetRoad, updateWetRoad, waterAt } from './WetRoad.js';
+import { createWeather, updateWeather, forceWeather, setWeatherAuto } from './Weather.js';
+import { createDayCycle, updateDayCycle, setClockHour, setDayLength } from './DayCycle.js';
+import { createNPCs, updateNPCs } from './NPCSystem.js';
+import { buildRoadGraph } from './RoadGraph.js';
+import { createSignalController, updateSignals, getSignalState } from './TrafficSignals.js';
+import { createViolationTracker, checkViolations } from './Violations.js';
 import {
   createRainSystem, updateRain,
-  createDustSystem, updateDust,
+  createSnowSystem, updateSnow,
+  createDustSystem, updateDust, SPRAY, SMOKE,
   createClouds, updateClouds,
 } from './Effects.js';
-import { createMonster, updateMonster } from './Monster.js';
-import { createAudio } from './AudioSystem.js';
-import { HUD, HitFlash, Minimap, drawMinimap, LoadingScreen } from './HUD.jsx';
+import { createHorde, updateHorde } from './Monster.js';
+import { createSurvival, updateSurvival, hitPlayer, recordRun } from './Survival.js';
+import {
+  createMissions, startMission, stopMission, updateMission, missionRoute, loadBestTimes,
+} from './Missions.js';
+import { MISSIONS } from './missions/index.js';
+import {
+  createGhost, setGhost, updateGhost, startRecording, recordFrame, finishRecording,
+  loadGhost, saveGhost, keepBestGhost, downloadGhost, readGhostFile,
+} from './Ghost.js';
+import {
+  createSession, recordTick, flushSession, unpackSession, spillSession,
+  clipSession, downloadSession, readSessionFile,
+  holdLive, resumeLive, createPlayback, updatePlayback, seekPlayback, disposePlayback,
+} from './Session.js';
+import { createAudio, DEFAULT_VOLUMES } from './AudioSystem.js';
+import { createPositionalAudio, updatePositionalAudio, silencePositionalAudio } from './PositionalAudio.js';
+import { createRadio } from './Radio.js';
+import { createRNG, randomSeed, readSeedFromURL, writeSeedToURL } from './Random.js';
+import {
+  HUD, HitFlash, Minimap, drawMinimap, LoadingScreen, FineNotice, DamageIndicator, RadioNotice,
+  SurvivalPanel, GameOverScreen, RacePanel, FinishScreen, ReplayPanel,
+} from './HUD.jsx';
+
+// mission menu entries with the saved best total and ghost time
+const missionMenu = () => MISSIONS.map(m => ({
+  id: m.id, name: m.name, loop: m.loop, laps: m.laps, gates: m.gates.length,
+  best: loadBestTimes(m.id)?.total ?? null,
+  ghost: loadGhost(m.id)?.total ?? null,
+}));
 
 export default function OpenWorldDrive() {
   const mountRef   = useRef(null);
   const minimapRef = useRef(null);
   const touchRef   = useRef({ gas: false, brake: false, left: false, right: false, drift: false });
-  const nightRef   = useRef(false);
-  const rainRef    = useRef(false);
 
   const [speed, setSpeed]             = useState(0);
-  const [nightMode, setNightMode]     = useState(false);
-  const [raining, setRaining]         = useState(false);
+  const [clockView, setClockView]     = useState({ minute: 0, night: false, dayLength: 0 });
+  const [weatherView, setWeatherView] = useState({ state: 'clear', auto: true });
   const [loading, setLoading]         = useState(true);
   const [cameraMode, setCameraMode]   = useState(0);
   const [drifting, setDrifting]       = useState(false);
-  const [monsterDist, setMonsterDist] = useState(9999);
+  const [monsterView, setMonsterView] = useState({ dist: 9999, state: 'gone', type: null, count: 0 });
   const [hitFlash, setHitFlash]       = useState(0);
   const [muted, setMuted]             = useState(false);
-  const [musicOn, setMusicOn]         = useState(false);
+  const [radio, setRadio]             = useState({ on: false, seq: 0, station: null, track: null });
+  const [seed, setSeed]               = useState(() => readSeedFromURL() || randomSeed());
+  const [fine, setFine]               = useState(null);
+  const [fineTotal, setFineTotal]     = useState({ count: 0, value: 0 });
+  const [damage, setDamage]           = useState(createDamage);
+  const [stopped, setStopped]         = useState(true);
+  const [volumes, setVolumes]         = useState(DEFAULT_VOLUMES);
+  const [survival, setSurvival]       = useState({ health: PLAYER_HEALTH, score: 0, nights: 0 });
+  const [gameOver, setGameOver]       = useState(null);   // recordRun() result once the car is wrecked
+  const [run, setRun]                 = useState(0);      // bumped to rebuild everything for a new run
+  const [missions, setMissions]       = useState(missionMenu);
+  const [race, setRace]               = useState(null);   // RacePanel view while a mission is on
+  const [finish, setFinish]           = useState(null);   // updateMission() result at the finish line
+  const [replay, setReplay]           = useState(null);   // ReplayPanel view while reviewing the session
 
   const lastSpeedRef   = useRef(-1);
   const cameraModeRef  = useRef(0);
-  const hitCooldownRef = useRef(0);
 
-  const toggleNight  = useCallback(() => setNightMode(n => !n), []);
-  const toggleRain   = useCallback(() => setRaining(r => !r),   []);
   const toggleCamera = useCallback(() => {
     setCameraMode(m => { const next = (m + 1) % 3; cameraModeRef.current = next; return next; });
   }, []);
 
-  useEffect(() => { nightRef.current = nightMode; }, [nightMode]);
-  useEffect(() => { rainRef.current  = raining;  }, [raining]);
+  useEffect(() => { writeSeedToURL(seed); }, [seed]);
+
+  const changeSeed = useCallback((next) => {
+    const s = String(next ?? '').trim();
+    setSeed(s || randomSeed());
+    // a new city is a new run: survival starts over with the rebuild
+    setGameOver(null);
+    setFine(null);
+    setFineTotal({ count: 0, value: 0 });
+    setDamage(createDamage());
+    setRace(null);
+    setFinish(null);
+    setReplay(null);
+  }, []);
+
+  // time of day carries over when the city is rebuilt for a new seed
+  const dayRef        = useRef(null);
+  const lastMinuteRef = useRef(-1);
+  if (dayRef.current === null) dayRef.current = createDayCycle();
+  const setClock = useCallback((hour) => {
+    setClockHour(dayRef.current, hour);
+    lastMinuteRef.current = -1;   // HUD catches up next frame
+  }, []);
+  const changeDayLength = useCallback((seconds) => {
+    setDayLength(dayRef.current, seconds);
+    lastMinuteRef.current = -1;
+  }, []);
+
+  // weather carries over too; 'auto' hands it back to the schedule
+  const weatherRef = useRef(null);
+  if (weatherRef.current === null) weatherRef.current = createWeather();
+  const changeWeather = useCallback((state) => {
+    const w = weatherRef.current;
+    if (state === 'auto') setWeatherAuto(w);
+    else forceWeather(w, state);
+    setWeatherView({ state: w.state, auto: w.auto });
+  }, []);
+
+  // a new run: same city, back to the morning
+  const restart = useCallback(() => {
+    setClockHour(dayRef.current, START_HOUR);
+    lastMinuteRef.current = -1;
+    setGameOver(null);
+    setFine(null);
+    setFineTotal({ count: 0, value: 0 });
+    setDamage(createDamage());
+    setRace(null);
+    setFinish(null);
+    setReplay(null);
+    setRun(r => r + 1);
+  }, []);
+
+  // set by the game loop; repairs only while the car is standing still
+  const repairRef = useRef(null);
+  const repair = useCallback(() => repairRef.current?.(), []);
+
+  // set by the game loop: { start(id), stop() }
+  const missionRef = useRef(null);
+  const startRace = useCallback((id) => { setFinish(null); missionRef.current?.start(id); }, []);
+  const stopRace  = useCallback(() => { setFinish(null); missionRef.current?.stop(); }, []);
+
+  // ghosts are plain files: export the saved one, import one to race
+  const [ghostNote, setGhostNote] = useState(null);
+  const exportGhost = useCallback((id) => {
+    const replay = loadGhost(id);
+    if (replay) downloadGhost(replay);
+  }, []);
+  const importGhost = useCallback((file) => {
+    readGhostFile(file).then(replay => {
+      const mission = MISSIONS.find(m => m.id === replay.mission);
+      if (!mission) throw new Error(`ghost: no mission ${replay.mission}`);
+      setGhostNote(saveGhost(replay) ? `Fantasma importado: ${mission.name}` : 'Sem espaço para salvar o fantasma');
+      setMissions(missionMenu());
+    }).catch(() => setGhostNote('Arquivo de fantasma inválido'));
+  }, []);
+
+  // set by the game loop: open / close the session replay, and its transport
+  const replayRef = useRef(null);
+  const [replayControls] = useState(() => Object.fromEntries(
+    ['open', 'close', 'pause', 'seek', 'rate', 'follow', 'markIn', 'markOut', 'exportClip', 'load']
+      .map(name => [name, (...args) => replayRef.current?.[name](...args)])));
 
   const audioRef = useRef(null);
   const toggleMute = useCallback(() => {
@@ -63,14 +194,25 @@ export default function OpenWorldDrive() {
       setMuted(m);
     }
   }, []);
+  const radioRef = useRef(null);
   const toggleMusic = useCallback(() => {
-    if (audioRef.current) {
+    if (audioRef.current && radioRef.current) {
       audioRef.current.init();
       audioRef.current.resume();
-      const m = audioRef.current.toggleMusic();
-      setMusicOn(m);
+      radioRef.current.toggle();
     }
   }, []);
+  const radioNext    = useCallback(() => radioRef.current?.next(), []);
+  const radioPrev    = useCallback(() => radioRef.current?.previous(), []);
+  const radioStation = useCallback(() => radioRef.current?.nextStation(), []);
+  const radioShuffle = useCallback(() => radioRef.current?.toggleShuffle(), []);
+  // mixer levels survive the audio graph being rebuilt for a new seed
+  const volumesRef = useRef(DEFAULT_VOLUMES);
+  const changeVolume = useCallback((bus, value) => {
+    volumesRef.current = { ...volumesRef.current, [bus]: value };
+    audioRef.current?.setVolume(bus, value);
+    setVolumes(volumesRef.current);
+  }, []);
 
   useEffect(() => {
     if (!mountRef.current) return;
@@ -113,30 +255,75 @@ export default function OpenWorldDrive() {
     scene.add(headlight.target);
 
     // ── Build world ───────────────────────────────────────────
-    const worldData = buildWorld(scene);
-    const { buildings, trees, lamps, trafficLightMats, roadMat } = worldData;
+    // one independent stream per generator, all derived from the seed
+    const worldData = buildWorld(scene, seed);
+    const day = dayRef.current;
+    const weather = weatherRef.current;
+    let weatherShown = { state: weather.state, auto: weather.auto };
+    let strikesHeard = weather.strikes;
+    const lightningColor = new THREE.Color(0xdde6ff);
+    const streetLights = createStreetLights(scene);
+    const wetRoad = createWetRoad(scene, seed);
+    const signals = createSignalController(scene);
+    const violations = createViolationTracker();
 
     // ── Build car ─────────────────────────────────────────────
     const car = buildCar(scene);
 
     // ── NPCs ──────────────────────────────────────────────────
-    const npcs = createNPCs(scene);
+    const roadGraph = buildRoadGraph();
+    const npcIndex = createSpatialHash(16);
+    const npcs = createNPCs(scene, createRNG(seed, 'npcs'), roadGraph, npcIndex);
+    const minimapNPCs = [];
 
     // ── Effects ───────────────────────────────────────────────
     const rainSys  = createRainSystem(scene);
+    const snowSys  = createSnowSystem(scene);
     const dustSys  = createDustSystem(scene);
-    const cloudSys = createClouds(scene);
+    const spraySys = createDustSystem(scene, SPRAY);
+    const smokeSys = createDustSystem(scene, SMOKE);
+    const skidMarks = createSkidMarks(scene);
+    const marking = [0, 0, 0, 0];   // skid-mark strength per wheel (FL, FR, RL, RR)
+    const cloudSys = createClouds(scene, createRNG(seed, 'clouds'));
 
     // ── Monster ───────────────────────────────────────────────
-    const monster = createMonster(scene);
+    const horde = createHorde(scene);
+    let monsterShown = null;
+    const minimapMonsters = [];
+    const survival = createSurvival();
+    let survivalShown = null;
+
+    // ── Missions ──────────────────────────────────────────────
+    const raceSys = createMissions(scene);
+    let raceShown = null;
+    let lastSplit = null;   // { delta, at } of the last gate, shown for a few s
+    const ghost = createGhost(scene);
+
+    // ── Session replay ────────────────────────────────────────
+    const session = createSession(seed);
+    const live = { car, speed: 0, day, weather, npcs, horde };   // what a tick records
+    const orbit = new OrbitControls(camera, renderer.domElement);
+    orbit.enabled = false;
+    let playback = null;      // createPlayback() while reviewing; the game is paused
+    let held = null;          // the live state playback overwrites
+    let follow = true;        // the orbit camera travels with the car
+    const followFrom = new THREE.Vector3();
+    const marks = { from: 0, to: 0 };   // clip in / out, session time
+    let replayNote = null;
+    let replayShown = null;
 
     // ── Audio ─────────────────────────────────────────────────
-    const audio = createAudio();
+    const audio = createAudio(volumesRef.current);
     audioRef.current = audio;
+    const spatial = createPositionalAudio();
+    const radio = createRadio(audio);
+    radioRef.current = radio;
+    radio.subscribe(setRadio);
 
     const startAudio = () => {
       audio.init();
       audio.resume();
+      radio.resume();
       window.removeEventListener('click', startAudio);
       window.removeEventListener('keydown', startAudio);
       window.removeEventListener('touchstart', startAudio);
@@ -147,17 +334,151 @@ export default function OpenWorldDrive() {
 
     // ── Physics state ─────────────────────────────────────────
     const st = {
-      speed: 0, angle: 0, keys: {}, drifting: false,
+      speed: 0, angle: 0, keys: {}, drifting: false, stopped: true,
+      car: createVehicleState(),
+      damage: createDamage(),
+      vehicle: DEFAULT_VEHICLE,   // stepVehicle config with damage penalties
+      debris: createDebris(),
       cam: { distance: CAM_BASE_DIST, height: CAM_BASE_HEIGHT, smoothX: 0, smoothZ: -CAM_BASE_DIST },
     };
 
+    // ── Damage / repair ───────────────────────────────────────
+    const refreshDamage = () => {
+      st.vehicle = damagedVehicle(st.damage);
+      setDamage({ ...st.damage });
+    };
+    repairRef.current = () => {
+      if (Math.abs(st.car.vf) > REPAIR_MAX_SPEED) return;
+      repairCar(car, st.damage, st.debris);
+      refreshDamage();
+    };
+    missionRef.current = {
+      start(id) {
+        const mission = MISSIONS.find(m => m.id === id);
+        if (!mission) return;
+        startMission(raceSys, mission);
+        setGhost(ghost, loadGhost(mission.id));
+        // onto the grid, standing still
+        const { x, z, angle } = mission.start;
+        st.car = createVehicleState(x, z, angle);
+        car.position.set(x, car.position.y, z);
+        car.rotation.y = angle;
+        st.cam.smoothX = x - Math.sin(angle) * CAM_BASE_DIST;
+        st.cam.smoothZ = z - Math.cos(angle) * CAM_BASE_DIST;
+        lastSplit = null;
+      },
+      stop() {
+        stopMission(raceSys);
+        setGhost(ghost, null);
+        raceShown = null;
+        setRace(null);
+      },
+    };
+
+    const showPlayback = (sess) => {
+      if (playback) disposePlayback(playback);
+      playback = createPlayback(scene, sess);
+      marks.from = playback.start;
+      marks.to = playback.end;
+    };
+    // transport controls only act while the replay is open
+    const whilePlaying = (fn) => (...args) => {
+      if (!playback) return;
+      fn(...args);
+      replayShown = null;
+    };
+    replayRef.current = {
+      open() {
+        if (playback) return;
+        flushSession(session);
+        spillSession(session);
+        if (!session.chunks.length) return;
+        held = holdLive(live);
+        ghost.car.visible = false;
+        showPlayback(session);
+        seekPlayback(playback, playback.end - REPLAY_LEAD);
+        orbit.target.copy(car.position);
+        orbit.enabled = true;
+        replayNote = null;
+        replayShown = null;
+      },
+      close() {
+        if (!playback) return;
+        disposePlayback(playback);
+        playback = null;
+        resumeLive(held, live);
+        orbit.enabled = false;
+        clock.getDelta();   // the time spent reviewing does not count
+        setReplay(null);
+      },
+      pause: whilePlaying(() => {
+        if (playback.paused && playback.time >= playback.end) seekPlayback(playback, playback.start);
+        playback.paused = !playback.paused;
+      }),
+      seek: whilePlaying((t) => seekPlayback(playback, t)),
+      rate: whilePlaying((r) => { playback.rate = r; }),
+      follow: whilePlaying(() => { follow = !follow; }),
+      markIn: whilePlaying(() => {
+        marks.from = playback.time;
+        if (marks.to <= marks.from) marks.to = playback.end;
+      }),
+      markOut: whilePlaying(() => {
+        marks.to = playback.time;
+        if (marks.from >= marks.to) marks.from = playback.start;
+      }),
+      exportClip: whilePlaying(() => {
+        if (marks.to <= marks.from) return;
+        const { session: sess } = playback, { from, to } = marks;
+        unpackSession(sess, from, to).then(() => {
+          downloadSession(clipSession(sess, from, to), `replay-${seed}-${Math.floor(from)}`);
+        }).catch(() => {
+          replayNote = 'Não foi possível exportar o clipe';
+          replayShown = null;
+        });
+      }),
+      load: whilePlaying((file) => {
+        readSessionFile(file).then(sess => {
+          if (!playback) return;
+          if (sess.seed !== seed) replayNote = `Clipe de outra cidade (seed ${sess.seed})`;
+          else {
+            showPlayback(sess);
+            replayNote = null;
+          }
+          replayShown = null;
+        }).catch(() => {
+          replayNote = 'Arquivo de replay inválido';
+          replayShown = null;
+        });
+      }),
+    };
+
     // ── Keyboard ──────────────────────────────────────────────
     const onKeyDown = (e) => {
+      if (playback) {
+        // replay: space pauses, ← / → skip, Esc back to the game.  These
+        // keys are the replay's only: no button click or slider nudge too
+        const act = {
+          Space:      () => replayRef.current.pause(),
+          ArrowLeft:  () => replayRef.current.seek(playback.time - REPLAY_SKIP),
+          ArrowRight: () => replayRef.current.seek(playback.time + REPLAY_SKIP),
+          Escape:     () => replayRef.current.close(),
+        }[e.code];
+        if (act) {
+          e.preventDefault();
+          act();
+        }
+        return;
+      }
       st.keys[e.code] = true;
       if (e.code === 'KeyC') {
         cameraModeRef.current = (cameraModeRef.current + 1) % 3;
         setCameraMode(cameraModeRef.current);
       }
+      if (e.code === 'KeyR') repairRef.current();
+      // radio: M station (⇧M back), N / B next / previous track
+      if (e.code === 'KeyM') { if (e.shiftKey) radio.prevStation(); else radio.nextStation(); }
+      if (e.code === 'KeyN') radio.next();
+      if (e.code === 'KeyB') radio.previous();
     };
     const onKeyUp = (e) => { st.keys[e.code] = false; };
     window.addEventListener('keydown', onKeyDown);
@@ -172,7 +493,90 @@ export default function OpenWorldDrive() {
     };
     window.addEventListener('resize', onResize);
 
-    let tlClock = 0;
+    // sky, sun, fog and lamps from the clock and weather; the headlight
+    // and the sun's shadow camera follow the car mesh
+    const lightScene = (sec) => {
+      const a = car.rotation.y;
+      headlight.position.set(car.position.x + Math.sin(a) * 3, 2.5, car.position.z + Math.cos(a) * 3);
+      headlight.target.position.set(car.position.x + Math.sin(a) * 20, 0, car.position.z + Math.cos(a) * 20);
+
+      scene.background.copy(day.sky);
+      scene.fog.color.copy(day.sky);
+      ambientLight.intensity = day.ambient;
+      sunLight.intensity     = day.sunI;
+      sunLight.color.copy(day.sunColor);
+      hemiLight.intensity    = day.hemi;
+      hemiLight.color.copy(day.sky);
+      hemiLight.groundColor.copy(day.ground);
+      headlight.intensity    = Math.max(day.lights * 2.5, weather.overcast * 0.8);
+      setCityLights(worldData, day.lights);
+      updateStreetLights(streetLights, worldData.index, car.position.x, car.position.z, day.lights, sec);
+
+      scene.fog.near = weather.fogNear;
+      scene.fog.far  = weather.fogFar;
+
+      // lightning washes the sky and the street in cold light
+      if (weather.flash > 0) {
+        scene.background.lerp(lightningColor, weather.flash * 0.7);
+        scene.fog.color.copy(scene.background);
+        ambientLight.intensity += weather.flash * 1.2;
+        hemiLight.intensity    += weather.flash * 0.8;
+      }
+
+      // sun (or moon) follows the car so its shadow camera covers it
+      sunLight.position.copy(car.position).addScaledVector(day.sunDir, 150);
+      sunLight.target.position.copy(car.position);
+
+      const minute = Math.floor(day.hour * 60);
+      if (minute !== lastMinuteRef.current) {
+        lastMinuteRef.current = minute;
+        setClockView({ minute, night: day.isNight, dayLength: day.dayLength });
+      }
+    };
+
+    // one frame of the replay: the recorded state, lit as it was and seen
+    // from the orbit camera.  Nothing is simulated.
+    const reviewFrame = (sec) => {
+      followFrom.copy(car.position);
+      const shown = updatePlayback(playback, sec, live);
+      const step = playback.paused ? 0 : sec * playback.rate;
+      if (follow) {
+        followFrom.subVectors(car.position, followFrom);
+        camera.position.add(followFrom);
+        orbit.target.add(followFrom);
+      }
+      orbit.update();
+
+      updateDayCycle(day, 0, weather.overcast);
+      lightScene(step);
+      updateRain(rainSys, step, car.position, weather.rain);
+      updateSnow(snowSys, step, car.position, weather.snow);
+      updateClouds(cloudSys, step, day.isNight, weather.clouds);
+      // the rain as replayed; the engine idles and the street voices keep quiet
+      audio.update(0, weather.rain);
+      silencePositionalAudio(spatial, audio);
+
+      const displaySpeed = Math.abs(Math.round(shown.speed * SPEED_MULT));
+      if (displaySpeed !== lastSpeedRef.current) {
+        lastSpeedRef.current = displaySpeed;
+        setSpeed(displaySpeed);
+      }
+      const ctx = minimapRef.current?.getContext('2d');
+      if (ctx) drawMinimap(ctx, car.position, car.rotation.y, npcs, shown.monsters);
+
+      const time = Math.round(playback.time * 10) / 10;
+      if (!replayShown || time !== replayShown.time) {
+        replayShown = {
+          time, start: playback.start, end: playback.end,
+          paused: playback.paused, rate: playback.rate, follow,
+          from: marks.from, to: marks.to,
+          clip: playback.session !== session, note: replayNote,
+        };
+        setReplay(replayShown);
+      }
+      renderer.render(scene, camera);
+    };
+
     let hitFlashVal = 0;
     const clock = new THREE.Clock();
     let animId;
@@ -189,88 +593,89 @@ export default function OpenWorldDrive() {
       const dt  = Math.min(rawDelta * 60, 3);
       const sec = rawDelta;
 
+      if (playback) {
+        reviewFrame(sec);
+        return;
+      }
+
       const tc = touchRef.current;
       const k  = st.keys;
 
-      // ── Input ────────────────────────────────────────────────
-      const accel    = k['ArrowUp']    || k['KeyW'] || tc.gas;
-      const brake    = k['ArrowDown']  || k['KeyS'] || tc.brake;
-      const left     = k['ArrowLeft']  || k['KeyA'] || tc.left;
-      const right    = k['ArrowRight'] || k['KeyD'] || tc.right;
-      const driftKey = k['Space'] || tc.drift;
+      // ── Input (a wrecked car just rolls to a stop) ───────────
+      const alive    = !survival.over;
+      const accel    = alive && (k['ArrowUp']    || k['KeyW'] || tc.gas);
+      const brake    = alive && (k['ArrowDown']  || k['KeyS'] || tc.brake);
+      const left     = alive && (k['ArrowLeft']  || k['KeyA'] || tc.left);
+      const right    = alive && (k['ArrowRight'] || k['KeyD'] || tc.right);
+      const driftKey = alive && (k['Space'] || tc.drift);
+
+      // ── Weather (also soaks / dries the road) ────────────────
+      updateWeather(weather, sec);
+      if (weather.state !== weatherShown.state || weather.auto !== weatherShown.auto) {
+        weatherShown = { state: weather.state, auto: weather.auto };
+        setWeatherView(weatherShown);
+      }
+      if (weather.strikes !== strikesHeard) {
+        strikesHeard = weather.strikes;
+        audio.playThunder(weather.thunderDelay);
+      }
 
-      // ── Drift ────────────────────────────────────────────────
-      const isDrifting = driftKey && Math.abs(st.speed) > 0.3;
+      // ── Car physics ──────────────────────────────────────────
+      const phys = st.car;
+      const ground = groundFor(surfaceAt(phys.x, phys.z), weather.wetness, weather.snowCover);
+      stepVehicle(phys, {
+        throttle: accel, brake, handbrake: driftKey,
+        steer: (left ? 1 : 0) - (right ? 1 : 0),
+      }, dt, ground, st.vehicle);
+      st.speed = phys.vf;
+      st.angle = phys.angle;
+
+      // ── Drift (the body is actually sliding) ─────────────────
+      const isDrifting = phys.sliding;
       if (isDrifting !== st.drifting) {
         st.drifting = isDrifting;
         setDrifting(isDrifting);
       }
 
-      // ── Car physics ──────────────────────────────────────────
-      if (accel) st.speed = Math.min(st.speed + CAR_ACCEL * dt, CAR_MAX_SPEED);
-      else if (brake) st.speed = Math.max(st.speed - CAR_BRAKE * dt, CAR_REVERSE_MAX);
-      else {
-        const fric = isDrifting ? DRIFT_FRICTION : CAR_FRICTION;
-        if (st.speed > 0) st.speed = Math.max(0, st.speed - fric * dt);
-        else if (st.speed < 0) st.speed = Math.min(0, st.speed + fric * dt);
-      }
-
-      if (isDrifting) st.speed *= (1 - 0.02 * dt);
-
-      const sf = Math.min(Math.abs(st.speed) / 1.0, 1);
-      const steerMult = isDrifting ? DRIFT_STEER_MULT : 1;
-      if (left)  st.angle += STEER_SPEED * steerMult * sf * (st.speed >= 0 ? 1 : -1) * dt;
-      if (right) st.angle -= STEER_SPEED * steerMult * sf * (st.speed >= 0 ? 1 : -1) * dt;
-
-      let nx = car.position.x + Math.sin(st.angle) * st.speed * dt;
-      let nz = car.position.z + Math.cos(st.angle) * st.speed * dt;
-
-      // ── Collisions ───────────────────────────────────────────
-      let collided = false;
-      for (const b of buildings) {
-        if (Math.abs(nx - b.x) < b.hw && Math.abs(nz - b.z) < b.hd) {
-          collided = true; break;
+      let nx = phys.x;
+      let nz = phys.z;
+
+      // ── Collisions (push out + slide along) ─────────────────
+      const contact = resolveContacts(nx, nz, worldData, npcIndex);
+      if (contact) {
+        nx = contact.x;
+        nz = contact.z;
+        const v = vehicleVelocity(phys);
+        const impact = collideVehicle(phys, contact.nx, contact.nz);
+        st.speed = phys.vf;
+        if (impact > 0.05) audio.playCrash(impact);
+        if (applyImpact(st.damage, phys.angle, contact.nx, contact.nz, impact)) {
+          updateCarDamage(car, st.damage, st.debris, v.x, v.z);
+          refreshDamage();
         }
       }
-      if (!collided) {
-        for (const t of trees) {
-          const dx = nx - t.x, dz = nz - t.z;
-          if (dx * dx + dz * dz < t.r * t.r + 2) { collided = true; break; }
-        }
-      }
-      if (!collided) {
-        for (const l of lamps) {
-          const dx = nx - l.x, dz = nz - l.z;
-          if (dx * dx + dz * dz < l.r * l.r + 2) { collided = true; break; }
-        }
-      }
-      if (!collided && checkNPCCollision(npcs, nx, nz)) collided = true;
+      updateDebris(st.debris, dt);
 
-      if (collided) {
-        st.speed *= -0.3;
-        nx = car.position.x;
-        nz = car.position.z;
-        audio.playCrash();
+      const isStopped = Math.abs(phys.vf) <= REPAIR_MAX_SPEED;
+      if (isStopped !== st.stopped) {
+        st.stopped = isStopped;
+        setStopped(isStopped);
       }
 
       // ── Position ─────────────────────────────────────────────
-      car.position.x = Math.max(-WORLD_BOUND, Math.min(WORLD_BOUND, nx));
-      car.position.z = Math.max(-WORLD_BOUND, Math.min(WORLD_BOUND, nz));
+      const prevPos = { x: car.position.x, z: car.position.z };
+      car.position.x = nx;
+      car.position.z = nz;
+      phys.x = car.position.x;
+      phys.z = car.position.z;
       car.rotation.y = st.angle;
+      updateWorld(worldData, car.position.x, car.position.z);
 
       const leanTarget = isDrifting
         ? (left ? 0.06 : right ? -0.06 : 0)
         : (left ? 0.03 : right ? -0.03 : 0);
       car.rotation.z += (leanTarget - car.rotation.z) * 0.08 * dt;
 
-      // ── Headlight ────────────────────────────────────────────
-      headlight.position.set(
-        car.position.x + Math.sin(st.angle) * 3, 2.5,
-        car.position.z + Math.cos(st.angle) * 3);
-      headlight.target.position.set(
-        car.position.x + Math.sin(st.angle) * 20, 0,
-        car.position.z + Math.cos(st.angle) * 20);
-
       // ── Camera ───────────────────────────────────────────────
       const cm = cameraModeRef.current;
       if (cm === 0) {
@@ -292,67 +697,91 @@ export default function OpenWorldDrive() {
           car.position.z + Math.cos(st.angle) * 20);
       }
 
-      // ── Sun follow ───────────────────────────────────────────
-      sunLight.position.set(car.position.x + 50, 100, car.position.z + 40);
-      sunLight.target.position.copy(car.position);
-
       // ── Day / Night ──────────────────────────────────────────
-      const isNight = nightRef.current;
-      if (isNight) {
-        scene.background.set(0x0a0a1a);
-        scene.fog.color.set(0x0a0a1a);
-        ambientLight.intensity = 0.08;
-        sunLight.intensity     = 0.05;
-        hemiLight.intensity    = 0.05;
-        headlight.intensity    = 2.5;
-      } else {
-        const sky = rainRef.current ? 0x5a6a7a : 0x87ceeb;
-        scene.background.set(sky);
-        scene.fog.color.set(sky);
-        ambientLight.intensity = rainRef.current ? 0.3 : 0.5;
-        sunLight.intensity     = rainRef.current ? 0.4 : 1.0;
-        hemiLight.intensity    = 0.3;
-        headlight.intensity    = rainRef.current ? 0.8 : 0;
-      }
+      updateDayCycle(day, sec, weather.overcast);
+      const isNight = day.isNight;
+      lightScene(sec);
 
       // ── Wet road ─────────────────────────────────────────────
-      if (rainRef.current) {
-        roadMat.roughness = 0.15;
-        roadMat.metalness = 0.6;
-      } else {
-        roadMat.roughness = 0.7;
-        roadMat.metalness = 0;
-      }
+      updateWetRoad(wetRoad, sec, { world: worldData, weather, camera, lights: streetLights.lights });
 
       // ── Traffic lights ───────────────────────────────────────
-      tlClock += sec;
-      const phase = (tlClock % 6) / 6;
-      if (phase < 0.45) {
-        trafficLightMats.red.emissiveIntensity    = 0.1;
-        trafficLightMats.yellow.emissiveIntensity = 0.1;
-        trafficLightMats.green.emissiveIntensity  = 0.9;
-      } else if (phase < 0.55) {
-        trafficLightMats.red.emissiveIntensity    = 0.1;
-        trafficLightMats.yellow.emissiveIntensity = 0.9;
-        trafficLightMats.green.emissiveIntensity  = 0.1;
-      } else {
-        trafficLightMats.red.emissiveIntensity    = 0.9;
-        trafficLightMats.yellow.emissiveIntensity = 0.1;
-        trafficLightMats.green.emissiveIntensity  = 0.1;
+      updateSignals(signals, sec);
+
+      // ── Traffic violations ───────────────────────────────────
+      const issued = checkViolations(violations, {
+        prev: prevPos, pos: car.position, signals, sec,
+        speedKmh: Math.abs(st.speed * SPEED_MULT),
+      });
+      if (issued.length) {
+        setFine(issued[issued.length - 1]);
+        setFineTotal({ count: violations.log.length, value: violations.total });
+      }
+
+      // ── Missions ─────────────────────────────────────────────
+      if (raceSys.mission) {
+        const ev = updateMission(raceSys, sec, prevPos, car.position);
+        if (ev && ev.type !== 'start') lastSplit = { delta: ev.delta, at: raceSys.time };
+        if (ev?.type === 'start') startRecording(ghost);
+        if (raceSys.phase === 'racing' || ev?.type === 'finish') recordFrame(ghost, raceSys.time, st.car);
+        if (ev?.type === 'finish') {
+          const replay = finishRecording(ghost, raceSys.mission.id, ev.result.total);
+          setFinish({ ...ev.result, ghostSaved: !!replay && keepBestGhost(replay) });
+          setMissions(missionMenu());
+        }
+        updateGhost(ghost, raceSys.phase === 'finished' ? null : raceSys.time);
+        const { mission } = raceSys;
+        const showDelta = lastSplit && raceSys.time - lastSplit.at < SPLIT_SHOW_TIME;
+        const rv = {
+          name: mission.name,
+          phase: raceSys.phase,
+          lap: Math.min(raceSys.lap + 1, mission.laps),
+          laps: mission.laps,
+          // gates after the start line; a loop's last one is the start line again
+          gate: raceSys.next || mission.gates.length,
+          gates: mission.loop ? mission.gates.length : mission.gates.length - 1,
+          time: Math.floor(raceSys.time * 10) / 10,
+          segment: Math.floor((raceSys.time - raceSys.segStart) * 10) / 10,
+          delta: showDelta ? lastSplit.delta : null,
+        };
+        if (!raceShown || rv.time !== raceShown.time || rv.phase !== raceShown.phase ||
+            rv.gate !== raceShown.gate || rv.lap !== raceShown.lap || rv.delta !== raceShown.delta) {
+          raceShown = rv;
+          setRace(rv);
+        }
       }
 
       // ── NPCs ─────────────────────────────────────────────────
-      updateNPCs(npcs, dt);
+      updateNPCs(npcs, dt, (i, axis) => getSignalState(signals, i, axis));
 
       // ── Monster ──────────────────────────────────────────────
-      const monResult = updateMonster(monster, dt, car.position, isNight);
-      setMonsterDist(Math.round(monResult.dist));
-
-      if (hitCooldownRef.current > 0) hitCooldownRef.current -= sec;
-      if (monResult.isClose && hitCooldownRef.current <= 0) {
-        st.speed *= -0.5;
-        hitFlashVal = 0.6;
-        hitCooldownRef.current = 2;
+      const monResult = updateHorde(horde, dt, car.position, isNight, {
+        graph: roadGraph, world: worldData,
+        heading: st.angle, headlight: Math.min(1, headlight.intensity / 2.5),
+      });
+      const mv = { dist: Math.round(monResult.dist), state: monResult.state, type: monResult.type, count: monResult.count };
+      if (!monsterShown || mv.dist !== monsterShown.dist || mv.state !== monsterShown.state ||
+          mv.type !== monsterShown.type || mv.count !== monsterShown.count) {
+        monsterShown = mv;
+        setMonsterView(mv);
+      }
+
+      // each type strikes its own way: damage, and how hard it knocks the car
+      for (const m of monResult.hits) {
+        if (survival.over) break;
+        st.car.vf *= m.stats.knock;
+        st.car.vr *= m.stats.knock;
+        st.speed = st.car.vf;
+        hitFlashVal = Math.min(0.6, m.stats.damage / 50);
+        audio.playCrash(m.stats.damage / 50);
+        if (hitPlayer(survival, m.stats.damage)) setGameOver(recordRun(survival, seed));
+      }
+      updateSurvival(survival, sec, { monster: monResult, isNight, daylight: day.daylight });
+      const shown = { health: Math.ceil(survival.health), score: Math.round(survival.score), nights: survival.nights };
+      if (!survivalShown || shown.health !== survivalShown.health ||
+          shown.score !== survivalShown.score || shown.nights !== survivalShown.nights) {
+        survivalShown = shown;
+        setSurvival(shown);
       }
       if (hitFlashVal > 0) {
         hitFlashVal = Math.max(0, hitFlashVal - sec * 1.5);
@@ -360,12 +789,34 @@ export default function OpenWorldDrive() {
       }
 
       // ── Effects ──────────────────────────────────────────────
-      updateRain(rainSys, sec, car.position, rainRef.current && !isNight);
-      updateDust(dustSys, sec, car.position, st.angle, st.speed * (isDrifting ? 2 : 1));
-      updateClouds(cloudSys, sec, isNight, rainRef.current);
+      updateRain(rainSys, sec, car.position, weather.rain);
+      updateSnow(snowSys, sec, car.position, weather.snow);
+      // wet roads throw spray instead of dust; puddles throw the most
+      const water = Math.max(waterAt(wetRoad, car.position.x, car.position.z), weather.wetness * 0.3);
+      updateDust(dustSys, sec, car.position, st.angle, st.speed * (isDrifting ? 2 : 1), 1 - weather.wetness);
+      updateDust(spraySys, sec, car.position, st.angle, st.speed, water);
+
+      // rubber: sliding marks the rears (the fronts too when it is big),
+      // locked brakes mark all four; water washes most of it out
+      const slide = phys.sliding ? Math.min(1, (Math.abs(phys.slip) - 0.05) * 3) : 0;
+      const locked = brake && st.speed > 0.35 ? 0.7 : 0;
+      const handbrake = driftKey && Math.abs(st.speed) > 0.2 ? 0.8 : 0;
+      const rubber = 1 - 0.7 * weather.wetness;
+      marking[0] = marking[1] = Math.max(locked, slide > 0.6 ? slide * 0.6 : 0) * rubber;
+      marking[2] = marking[3] = Math.max(locked, slide, handbrake) * rubber;
+      updateSkidMarks(skidMarks, sec, car, marking);
+      const smoke = Math.min(1, (Math.abs(phys.slip) - 0.3) * 4) * (1 - weather.wetness);
+      updateDust(smokeSys, sec, car.position, st.angle, st.speed, phys.sliding ? smoke : 0);
+      updateClouds(cloudSys, sec, isNight, weather.clouds);
 
       // ── Audio ────────────────────────────────────────────────
-      audio.update(st.speed, isNight, rainRef.current, monResult.dist);
+      audio.update(st.speed, weather.rain, {
+        throttle: accel, slip: phys.slip, sliding: phys.sliding,
+      });
+      updatePositionalAudio(spatial, audio, {
+        camera, sec, npcIndex, monster: horde.nearest, signals,
+        ear: cm === 1 ? car.position : null,   // aerial cam listens at street level
+      });
 
       // ── HUD speed ────────────────────────────────────────────
       const displaySpeed = Math.abs(Math.round(st.speed * SPEED_MULT));
@@ -377,9 +828,19 @@ export default function OpenWorldDrive() {
       // ── Minimap ──────────────────────────────────────────────
       if (minimapRef.current) {
         const ctx = minimapRef.current.getContext('2d');
-        if (ctx) drawMinimap(ctx, car.position, st.angle, npcs, monster.mesh.position, isNight);
+        if (ctx) {
+          minimapNPCs.length = 0;
+          queryRadius(npcIndex, car.position.x, car.position.z, MINIMAP_NPC_RANGE, minimapNPCs);
+          minimapMonsters.length = 0;
+          for (const m of horde.monsters) if (m.mesh.visible) minimapMonsters.push(m.mesh.position);
+          drawMinimap(ctx, car.position, st.angle, minimapNPCs, minimapMonsters, missionRoute(raceSys));
+        }
       }
 
+      // ── Session recording ────────────────────────────────────
+      live.speed = st.speed;
+      recordTick(session, sec, live);
+
       // ── Render ───────────────────────────────────────────────
       renderer.render(scene, camera);
     };
@@ -397,7 +858,9 @@ export default function OpenWorldDrive() {
       window.removeEventListener('click', startAudio);
       window.removeEventListener('keydown', startAudio);
       window.removeEventListener('touchstart', startAudio);
+      orbit.dispose();
 
+      radio.dispose();
       audio.dispose();
 
       scene.traverse(obj => {
@@ -410,29 +873,58 @@ export default function OpenWorldDrive() {
       renderer.dispose();
       if (container.contains(renderer.domElement)) container.removeChild(renderer.domElement);
     };
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [seed, run]); // eslint-disable-line react-hooks/exhaustive-deps
 
   return (
     <div style={{ width: '100vw', height: '100vh', position: 'relative', overflow: 'hidden', background: '#000' }}>
       {loading && <LoadingScreen />}
       <HitFlash intensity={hitFlash} />
+      <FineNotice fine={fine} total={fineTotal} />
+      <RadioNotice radio={radio} />
+      <DamageIndicator damage={damage} canRepair={stopped} onRepair={repair} />
+      <SurvivalPanel survival={survival} />
+      <GameOverScreen result={replay ? null : gameOver} onRestart={restart} onReplay={replayControls.open} />
+      <RacePanel race={race} />
+      <ReplayPanel replay={replay} controls={replayControls} />
+      <FinishScreen
+        result={finish}
+        onRetry={() => startRace(finish.mission.id)}
+        onClose={stopRace}
+      />
       <div ref={mountRef} style={{ width: '100%', height: '100%' }} />
       <Minimap canvasRef={minimapRef} />
       <HUD
         speed={speed}
-        nightMode={nightMode}
-        raining={raining}
-        onToggleNight={toggleNight}
-        onToggleRain={toggleRain}
+        clock={clockView}
+        onSetClock={setClock}
+        onSetDayLength={changeDayLength}
+        weather={weatherView}
+        onSetWeather={changeWeather}
         onToggleCamera={toggleCamera}
         onToggleMute={toggleMute}
         onToggleMusic={toggleMusic}
+        onRadioNext={radioNext}
+        onRadioPrev={radioPrev}
+        onRadioStation={radioStation}
+        onRadioShuffle={radioShuffle}
         touchRef={touchRef}
         drifting={drifting}
-        monsterDist={monsterDist}
+        monster={monsterView}
+        missions={missions}
+        racing={!!race}
+        onStartMission={startRace}
+        onStopMission={stopRace}
+        onExportGhost={exportGhost}
+        onImportGhost={importGhost}
+        ghostNote={ghostNote}
+        onOpenReplay={replayControls.open}
         muted={muted}
-        musicOn={musicOn}
+        radio={radio}
+        volumes={volumes}
+        onChangeVolume={changeVolume}
         cameraMode={cameraMode}
+        seed={seed}
+        onChangeSeed={changeSeed}
       />
     </div>
   );
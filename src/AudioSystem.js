@@ -1,62 +1,251 @@
 // ── Audio System ────────────────────────────────────────────────
-// Background music via phonk.mp3 — no procedural audio.
-import phonkSrc from './assets/phonk.mp3';
+// Web Audio graph:
+//
+//   Radio.js ────────────────────────────┐
+//   engine, tyre screech, crashes ───────┤ sfx ──────── master ── out
+//   rain bed, thunder, PositionalAudio ──┘ ambience ──┘
+//
+// Everything except the radio is synthesised: oscillators and a shared
+// white-noise buffer run through filters, and update() only moves gain
+// and frequency targets, so the game loop never allocates nodes except
+// for one-shot crash and thunder sounds.  World-anchored sources (NPC
+// cars, the monster, crosswalks) live in PositionalAudio.js and plug
+// into the ambience bus through context / bus().
+import { CAR_MAX_SPEED } from './constants.js';
 
-export function createAudio() {
-  let audio = null;
+export const DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.8, ambience: 0.7 };
+
+const GEARS          = 5;
+const ENGINE_IDLE_HZ = 38;
+const ENGINE_RANGE_HZ = 110;     // added at the top of each gear
+const SMOOTH         = 0.05;     // setTargetAtTime constant (s)
+const CRASH_GAP      = 0.12;     // s between crash sounds while scraping
+
+function noiseBuffer(ctx, seconds = 2) {
+  const buf  = ctx.createBuffer(1, ctx.sampleRate * seconds, ctx.sampleRate);
+  const data = buf.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buf;
+}
+
+function loopNoise(ctx, buffer) {
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  src.loop = true;
+  src.start();
+  return src;
+}
+
+// speed → { rpm 0…1, gear } through a simple 5-speed box
+function engineState(speed) {
+  const s = Math.min(1, Math.abs(speed) / CAR_MAX_SPEED);
+  const gear = Math.min(GEARS - 1, Math.floor(s * GEARS));
+  const inGear = s * GEARS - gear;
+  return { rpm: 0.2 + 0.8 * inGear, gear };
+}
+
+export function createAudio(volumes = DEFAULT_VOLUMES) {
+  let ctx = null;
   let started = false;
   let muted = false;
-  let musicOn = false;
+  let lastCrash = 0;
+  const vol = { ...volumes };
+
+  let buses = null;       // { master, music, sfx, ambience } gain nodes
+  let noise = null;
+  let engine = null, screech = null, rainBed = null;
+
+  const set = (param, value) => param.setTargetAtTime(value, ctx.currentTime, SMOOTH);
+
+  function buildGraph() {
+    const gainTo = (v, out) => { const g = ctx.createGain(); g.gain.value = v; g.connect(out); return g; };
+    const master = gainTo(muted ? 0 : vol.master, ctx.destination);
+    buses = {
+      master,
+      music:    gainTo(vol.music,    master),
+      sfx:      gainTo(vol.sfx,      master),
+      ambience: gainTo(vol.ambience, master),
+    };
+    noise = noiseBuffer(ctx);
+
+    // ── engine: saw + square sub-octave through a lowpass ──
+    {
+      const gain = gainTo(0, buses.sfx);
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.Q.value = 2;
+      filter.connect(gain);
+      const saw = ctx.createOscillator();
+      saw.type = 'sawtooth';
+      const sub = ctx.createOscillator();
+      sub.type = 'square';
+      const subGain = gainTo(0.5, filter);
+      saw.connect(filter);
+      sub.connect(subGain);
+      saw.frequency.value = ENGINE_IDLE_HZ;
+      sub.frequency.value = ENGINE_IDLE_HZ / 2;
+      saw.start(); sub.start();
+      engine = { gain, filter, saw, sub };
+    }
+
+    // ── tyre screech: band-passed noise ──
+    {
+      const gain = gainTo(0, buses.sfx);
+      const band = ctx.createBiquadFilter();
+      band.type = 'bandpass';
+      band.frequency.value = 1800;
+      band.Q.value = 6;
+      band.connect(gain);
+      loopNoise(ctx, noise).connect(band);
+      screech = { gain, band };
+    }
+
+    // ── rain bed: noise with the rumble and hiss cut ──
+    {
+      const gain = gainTo(0, buses.ambience);
+      const low = ctx.createBiquadFilter();
+      low.type = 'lowpass';
+      low.frequency.value = 6000;
+      const high = ctx.createBiquadFilter();
+      high.type = 'highpass';
+      high.frequency.value = 700;
+      loopNoise(ctx, noise).connect(high);
+      high.connect(low);
+      low.connect(gain);
+      rainBed = { gain };
+    }
+  }
 
   function init() {
     if (started) return;
-    audio = new Audio(phonkSrc);
-    audio.loop = true;
-    audio.volume = 0.5;
+    const AC = window.AudioContext || window.webkitAudioContext;
+    if (AC) {
+      ctx = new AC();
+      buildGraph();
+    }
     started = true;
   }
 
   function resume() {
-    if (!audio) init();
-    if (audio) {
-      audio.play().catch(() => {});
-    }
+    if (!started) init();
+    if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {});
   }
 
   return {
     get started() { return started; },
     get muted() { return muted; },
-    get musicOn() { return musicOn; },
+    get volumes() { return { ...vol }; },
+    get context() { return ctx; },
+    bus(name) { return buses?.[name] ?? null; },
     init,
     resume,
 
     toggleMute() {
       muted = !muted;
-      if (audio) audio.muted = muted;
+      if (buses) set(buses.master.gain, muted ? 0 : vol.master);
       return muted;
     },
 
-    toggleMusic() {
-      musicOn = !musicOn;
-      if (audio) {
-        if (musicOn) {
-          audio.play().catch(() => {});
-        } else {
-          audio.pause();
-        }
-      }
-      return musicOn;
+    // bus: 'master' | 'music' | 'sfx' | 'ambience', value 0 … 1
+    setVolume(bus, value) {
+      if (!(bus in vol)) return;
+      vol[bus] = Math.max(0, Math.min(1, value));
+      if (buses && (bus !== 'master' || !muted)) set(buses[bus].gain, vol[bus]);
     },
 
-    playCrash() {},
+    // impact: normal speed from collideVehicle (≈ 0.05 graze … 1 head-on)
+    playCrash(impact = 0.5) {
+      if (!ctx) return;
+      const now = ctx.currentTime;
+      if (now - lastCrash < CRASH_GAP) return;
+      lastCrash = now;
+      const strength = Math.min(1, impact);
+
+      // crunch: noise burst, brighter and longer for harder hits
+      const src = ctx.createBufferSource();
+      src.buffer = noise;
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = 900 + strength * 3000;
+      const gain = ctx.createGain();
+      const length = 0.15 + strength * 0.5;
+      gain.gain.setValueAtTime(0.2 + strength * 0.8, now);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + length);
+      src.connect(filter);
+      filter.connect(gain);
+      gain.connect(buses.sfx);
+      src.start(now, Math.random() * 1.5);
+      src.stop(now + length);
+
+      // thump: falling sine for the body of the hit
+      const thump = ctx.createOscillator();
+      thump.frequency.setValueAtTime(70 + strength * 40, now);
+      thump.frequency.exponentialRampToValueAtTime(30, now + 0.3);
+      const tg = ctx.createGain();
+      tg.gain.setValueAtTime(strength, now);
+      tg.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+      thump.connect(tg);
+      tg.connect(buses.sfx);
+      thump.start(now);
+      thump.stop(now + 0.35);
+    },
 
-    update() {},
+    // delay: s between flash and sound; closer strikes are louder and
+    // keep more of the high crack
+    playThunder(delay = 1) {
+      if (!ctx) return;
+      const t = ctx.currentTime + delay;
+      const near = Math.max(0, 1 - delay / 3);
+      const length = 2.5 + Math.random() * 1.5;
+
+      const src = ctx.createBufferSource();
+      src.buffer = noise;
+      src.loop = true;
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.setValueAtTime(300 + near * 1500, t);
+      filter.frequency.exponentialRampToValueAtTime(120, t + length);
+      const gain = ctx.createGain();
+      gain.gain.setValueAtTime(0.001, t);
+      gain.gain.exponentialRampToValueAtTime(0.3 + near * 0.6, t + 0.05 + (1 - near) * 0.4);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + length);
+      src.connect(filter);
+      filter.connect(gain);
+      gain.connect(buses.ambience);
+      src.start(t, Math.random() * 1.5);
+      src.stop(t + length);
+    },
+
+    // rain: 0 … 1 (Weather `rain`); car: { throttle, slip, sliding }
+    // from the vehicle this frame
+    update(speed, rain, car = {}) {
+      if (!ctx) return;
+
+      // engine
+      const { rpm, gear } = engineState(speed);
+      const rev  = car.throttle ? 1 : 0;
+      const idle = Math.abs(speed) < 0.02;
+      const r    = idle ? 0.15 + rev * 0.25 : rpm;
+      const freq = ENGINE_IDLE_HZ + r * ENGINE_RANGE_HZ + gear * 6;
+      set(engine.saw.frequency, freq);
+      set(engine.sub.frequency, freq / 2);
+      set(engine.filter.frequency, 300 + r * 1800 + rev * 600);
+      set(engine.gain.gain, 0.08 + r * 0.1 + rev * 0.05);
+
+      // tyre screech
+      const slip = Math.abs(car.slip || 0);
+      const screechLevel = car.sliding ? Math.min(0.35, slip * 0.8) * Math.min(1, Math.abs(speed) / 0.5) : 0;
+      set(screech.gain.gain, screechLevel);
+      set(screech.band.frequency, 1400 + slip * 1500);
+
+      // rain
+      set(rainBed.gain.gain, 0.35 * rain);
+    },
 
     dispose() {
-      if (audio) {
-        audio.pause();
-        audio.src = '';
-        audio = null;
+      if (ctx) {
+        ctx.close().catch(() => {});
+        ctx = null;
       }
     },
   };
@@ -1,14 +1,23 @@
 import * as THREE from 'three';
 
+// The loose parts (bumpers, hood, trunk, mirrors, wheels) are built as
+// their own pivots and listed in car.userData.parts with their rest
+// transforms, so Damage.js can dent, bend and knock them off.
 export function buildCar(scene) {
   const car = new THREE.Group();
 
-  const add = (geo, mat, x, y, z) => {
+  const add = (geo, mat, x, y, z, parent = car) => {
     const m = new THREE.Mesh(geo, mat);
     m.position.set(x, y, z);
-    car.add(m);
+    parent.add(m);
     return m;
   };
+  const pivot = (x, y, z) => {
+    const g = new THREE.Group();
+    g.position.set(x, y, z);
+    car.add(g);
+    return g;
+  };
 
   // ── Chassis ───────────────────────────────────────────────
   const chassisMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 });
@@ -25,7 +34,7 @@ export function buildCar(scene) {
 
   // Hood scoop
   const scoopMat = new THREE.MeshStandardMaterial({ color: 0x2b2d42, roughness: 0.4, metalness: 0.6 });
-  add(new THREE.BoxGeometry(0.6, 0.12, 0.8), scoopMat, 0, 1.36, 1.3);
+  add(new THREE.BoxGeometry(0.6, 0.12, 0.8), scoopMat, 0, 0.21, 0.1, hood);
 
   // Trunk
   const trunk = add(new THREE.BoxGeometry(2.1, 0.25, 1.2), bodyMat, 0, 1.1, -1.8);
@@ -56,15 +65,19 @@ export function buildCar(scene) {
   // ── Side mirrors ──────────────────────────────────────────
   const mirrorMat = new THREE.MeshStandardMaterial({ color: 0xc1121f, metalness: 0.6, roughness: 0.3 });
   const mGlassMat = new THREE.MeshStandardMaterial({ color: 0x88ccee, metalness: 1, roughness: 0 });
-  [-1.25, 1.25].forEach(x => {
-    add(new THREE.BoxGeometry(0.25, 0.18, 0.35), mirrorMat, x, 1.25, 0.5);
-    add(new THREE.BoxGeometry(0.04, 0.12, 0.2), mGlassMat, x + (x > 0 ? 0.13 : -0.13), 1.25, 0.5);
+  const [mirrorL, mirrorR] = [1.25, -1.25].map(x => {
+    const mirror = pivot(x, 1.25, 0.5);
+    add(new THREE.BoxGeometry(0.25, 0.18, 0.35), mirrorMat, 0, 0, 0, mirror);
+    add(new THREE.BoxGeometry(0.04, 0.12, 0.2), mGlassMat, x > 0 ? 0.13 : -0.13, 0, 0, mirror);
+    return mirror;
   });
 
   // ── Bumpers ───────────────────────────────────────────────
   const bumperMat = new THREE.MeshStandardMaterial({ color: 0x2b2d42, roughness: 0.6, metalness: 0.3 });
-  add(new THREE.BoxGeometry(2.4, 0.3, 0.25), bumperMat, 0, 0.55,  2.5);
-  add(new THREE.BoxGeometry(2.4, 0.3, 0.25), bumperMat, 0, 0.55, -2.5);
+  const bumperFront = pivot(0, 0.55,  2.5);
+  const bumperRear  = pivot(0, 0.55, -2.5);
+  add(new THREE.BoxGeometry(2.4, 0.3, 0.25), bumperMat, 0, 0, 0, bumperFront);
+  add(new THREE.BoxGeometry(2.4, 0.3, 0.25), bumperMat, 0, 0, 0, bumperRear);
 
   // Grille + slats
   add(new THREE.BoxGeometry(1.4, 0.25, 0.06),
@@ -76,8 +89,8 @@ export function buildCar(scene) {
 
   // License plates
   const plateMat = new THREE.MeshStandardMaterial({ color: 0xf1faee, roughness: 0.5 });
-  add(new THREE.BoxGeometry(0.6, 0.2, 0.04), plateMat, 0, 0.5,  2.53);
-  add(new THREE.BoxGeometry(0.6, 0.2, 0.04), plateMat, 0, 0.5, -2.53);
+  add(new THREE.BoxGeometry(0.6, 0.2, 0.04), plateMat, 0, -0.05,  0.03, bumperFront);
+  add(new THREE.BoxGeometry(0.6, 0.2, 0.04), plateMat, 0, -0.05, -0.03, bumperRear);
 
   // ── Wheels ────────────────────────────────────────────────
   const tireMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.95 });
@@ -85,13 +98,16 @@ export function buildCar(scene) {
   const hubMat  = new THREE.MeshStandardMaterial({ color: 0x888888, metalness: 0.8, roughness: 0.2 });
   const archMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.8 });
 
-  [[-1.15, 0.35, 1.5], [1.15, 0.35, 1.5], [-1.15, 0.35, -1.5], [1.15, 0.35, -1.5]].forEach(pos => {
-    const tire = add(new THREE.CylinderGeometry(0.38, 0.38, 0.3, 16), tireMat, pos[0], pos[1], pos[2]);
+  // front-left, front-right, rear-left, rear-right (left = +x)
+  const wheels = [[1.15, 0.35, 1.5], [-1.15, 0.35, 1.5], [1.15, 0.35, -1.5], [-1.15, 0.35, -1.5]].map(pos => {
+    const wheel = pivot(pos[0], pos[1], pos[2]);
+    const tire = add(new THREE.CylinderGeometry(0.38, 0.38, 0.3, 16), tireMat, 0, 0, 0, wheel);
     tire.rotation.z = Math.PI / 2; tire.castShadow = true;
-    const rim = add(new THREE.CylinderGeometry(0.24, 0.24, 0.32, 12), rimMat, pos[0], pos[1], pos[2]);
+    const rim = add(new THREE.CylinderGeometry(0.24, 0.24, 0.32, 12), rimMat, 0, 0, 0, wheel);
     rim.rotation.z = Math.PI / 2;
-    add(new THREE.SphereGeometry(0.1, 8, 8), hubMat, pos[0] + (pos[0] > 0 ? 0.17 : -0.17), pos[1], pos[2]);
+    add(new THREE.SphereGeometry(0.1, 8, 8), hubMat, pos[0] > 0 ? 0.17 : -0.17, 0, 0, wheel);
     add(new THREE.BoxGeometry(0.15, 0.5, 0.9), archMat, pos[0] + (pos[0] > 0 ? 0.08 : -0.08), pos[1] + 0.2, pos[2]);
+    return wheel;
   });
 
   // ── Headlights ────────────────────────────────────────────
@@ -105,8 +121,8 @@ export function buildCar(scene) {
 
   // Fog lights
   const fogMat = new THREE.MeshStandardMaterial({ color: 0xffffee, emissive: 0xffffaa, emissiveIntensity: 0.5 });
-  add(new THREE.SphereGeometry(0.1, 8, 8), fogMat, -0.9, 0.48, 2.52);
-  add(new THREE.SphereGeometry(0.1, 8, 8), fogMat,  0.9, 0.48, 2.52);
+  add(new THREE.SphereGeometry(0.1, 8, 8), fogMat, -0.9, -0.07, 0.02, bumperFront);
+  add(new THREE.SphereGeometry(0.1, 8, 8), fogMat,  0.9, -0.07, 0.02, bumperFront);
 
   // Tail lights
   const tlMat = new THREE.MeshStandardMaterial({ color: 0xff0000, emissive: 0xff0000, emissiveIntensity: 0.6 });
@@ -129,6 +145,14 @@ export function buildCar(scene) {
   add(new THREE.CylinderGeometry(0.015, 0.01, 0.8, 4),
     new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.7 }), -0.6, 2.15, -0.8);
 
+  const parts = { body: bodyLower, hood, trunk, bumperFront, bumperRear, mirrorL, mirrorR, wheels };
+  const rest = new Map();
+  [bodyLower, hood, trunk, bumperFront, bumperRear, mirrorL, mirrorR, ...wheels].forEach(p => rest.set(p, {
+    position: p.position.clone(), rotation: p.rotation.clone(), scale: p.scale.clone(),
+  }));
+  car.userData.parts = parts;
+  car.userData.rest  = rest;
+
   scene.add(car);
   return car;
 }
@@ -0,0 +1,137 @@
+// ── Collision Response ──────────────────────────────────────────
+// Contact resolution for the player's car against building AABBs,
+// tree / lamp circles and NPC cars (the streamed city has no edge to
+// hit).  The car is pushed out along the penetration normal and only
+// the velocity INTO the obstacle is removed, so grazing a wall scrapes
+// along it while a head-on hit stops the car dead.  The removed normal
+// speed is the impact strength handed on to sound and damage.
+// lineOfSight() tells whether a straight line clears the buildings
+// (monster navigation).
+import { NPC_RADIUS } from './NPCSystem.js';
+import { vehicleVelocity, setVehicleVelocity } from './VehiclePhysics.js';
+import { queryBox } from './SpatialHash.js';
+
+const PROP_PAD    = 2;      // circle colliders: r² + 2, as the old overlap test
+const MAX_PASSES  = 4;
+const RESTITUTION = 0.15;   // bounce off the normal
+const SCRAPE      = 0.35;   // tangential speed lost per unit of normal impact
+const ALIGN       = 0.25;   // yaw kick per unit of impact
+
+function boxContact(x, z, b) {
+  const dx = x - b.x, dz = z - b.z;
+  const px = b.hw - Math.abs(dx);
+  const pz = b.hd - Math.abs(dz);
+  if (px <= 0 || pz <= 0) return null;
+  return px < pz
+    ? { nx: Math.sign(dx) || 1, nz: 0, depth: px }
+    : { nx: 0, nz: Math.sign(dz) || 1, depth: pz };
+}
+
+function circleContact(x, z, cx, cz, r) {
+  const dx = x - cx, dz = z - cz;
+  const d2 = dx * dx + dz * dz;
+  if (d2 >= r * r) return null;
+  const d = Math.sqrt(d2);
+  if (d < 1e-6) return { nx: 1, nz: 0, depth: r };
+  return { nx: dx / d, nz: dz / d, depth: r - d };
+}
+
+function deepest(best, c, kind) {
+  if (c && (!best || c.depth > best.depth)) { c.kind = kind; return c; }
+  return best;
+}
+
+const candidates = [];
+
+// deepest single contact at (x, z), or null.
+// world.index holds buildings / trees / lamps, npcIndex the NPC cars.
+export function findContact(x, z, world, npcIndex) {
+  let best = null;
+
+  candidates.length = 0;
+  for (const o of queryBox(world.index, x, z, x, z, candidates)) {
+    if (o.kind === 'building') best = deepest(best, boxContact(x, z, o), o.kind);
+    else best = deepest(best, circleContact(x, z, o.x, o.z, Math.sqrt(o.r * o.r + PROP_PAD)), o.kind);
+  }
+
+  candidates.length = 0;
+  for (const n of queryBox(npcIndex, x, z, x, z, candidates)) {
+    best = deepest(best, circleContact(x, z, n.mesh.position.x, n.mesh.position.z, NPC_RADIUS), 'npc');
+  }
+
+  return best;
+}
+
+// Push (x, z) out of everything it overlaps.  Returns null when clear,
+// otherwise the corrected position and the averaged contact normal.
+export function resolveContacts(x, z, world, npcIndex) {
+  let nx = 0, nz = 0, kind = null;
+  for (let i = 0; i < MAX_PASSES; i++) {
+    const c = findContact(x, z, world, npcIndex);
+    if (!c) break;
+    x += c.nx * (c.depth + 0.01);
+    z += c.nz * (c.depth + 0.01);
+    nx += c.nx; nz += c.nz;
+    kind = kind ?? c.kind;
+  }
+  if (!kind) return null;
+  const len = Math.hypot(nx, nz) || 1;
+  return { x, z, nx: nx / len, nz: nz / len, kind };
+}
+
+// Remove the car's velocity into the surface with normal (nx, nz),
+// bleed some tangential speed, and return the impact strength
+// (normal speed, units / frame).
+export function collideVehicle(phys, nx, nz) {
+  const v  = vehicleVelocity(phys);
+  const vn = v.x * nx + v.z * nz;
+  if (vn >= 0) return 0;                       // already separating
+
+  const impact = -vn;
+  let tx = v.x - vn * nx, tz = v.z - vn * nz;
+  const vt = Math.hypot(tx, tz);
+  if (vt > 1e-6) {
+    const keep = Math.max(0, 1 - (SCRAPE * impact) / vt);
+    tx *= keep; tz *= keep;
+  }
+
+  setVehicleVelocity(phys,
+    tx - RESTITUTION * vn * nx,
+    tz - RESTITUTION * vn * nz);
+  // the contact twists the nose away from the wall, toward the tangent
+  const rn = -Math.cos(phys.angle) * nx + Math.sin(phys.angle) * nz;
+  phys.yaw = phys.yaw * Math.max(0, 1 - impact) - rn * impact * ALIGN;
+  return impact;
+}
+
+// ── Line of sight ───────────────────────────────────────────────
+// slab test of one axis: narrows [t0, t1] to where the segment is
+// inside [lo, hi]; returns the new range or null when it misses
+function clipAxis(p, d, lo, hi, range) {
+  if (Math.abs(d) < 1e-9) return p < lo || p > hi ? null : range;
+  let ta = (lo - p) / d, tb = (hi - p) / d;
+  if (ta > tb) [ta, tb] = [tb, ta];
+  range[0] = Math.max(range[0], ta);
+  range[1] = Math.min(range[1], tb);
+  return range[0] <= range[1] ? range : null;
+}
+
+const blockers = [];
+const range = [0, 1];
+
+// true when the segment (x0, z0) → (x1, z1), widened by `pad`, misses
+// every building box in world.index
+export function lineOfSight(world, x0, z0, x1, z1, pad = 0) {
+  blockers.length = 0;
+  queryBox(world.index,
+    Math.min(x0, x1) - pad, Math.min(z0, z1) - pad,
+    Math.max(x0, x1) + pad, Math.max(z0, z1) + pad, blockers);
+  const dx = x1 - x0, dz = z1 - z0;
+  for (const b of blockers) {
+    if (b.kind !== 'building') continue;
+    range[0] = 0; range[1] = 1;
+    if (clipAxis(x0, dx, b.x - b.hw - pad, b.x + b.hw + pad, range) &&
+        clipAxis(z0, dz, b.z - b.hd - pad, b.z + b.hd + pad, range)) return false;
+  }
+  return true;
+}
@@ -0,0 +1,180 @@
+// ── Car Damage ──────────────────────────────────────────────────
+// Five zones (front, rear, left, right, wheels) fill from 0 to 1 with
+// the impact strength reported by collideVehicle.  The zone is picked
+// from where the obstacle sits relative to the car's heading.
+//
+// Damage costs performance (a bent front end chokes the engine, bent
+// wheels cut steering lock and pull the car to one side) and shows on
+// the model: bumpers and hood crumple, the body caves in, wheels camber
+// out, and past a threshold bumpers, mirrors and the hood fall off.
+import { DEFAULT_VEHICLE } from './VehiclePhysics.js';
+
+export const DAMAGE_ZONES = ['front', 'rear', 'left', 'right', 'wheels'];
+
+const MIN_IMPACT   = 0.08;   // normal speed (units / frame) a bumper shrugs off
+const PER_IMPACT   = 0.6;    // zone damage per unit of impact above that
+const WHEEL_SHARE  = { front: 0.15, rear: 0.15, left: 0.35, right: 0.35 };
+const TOP_SPEED_LOSS = { front: 0.35, rear: 0.15 };
+const ACCEL_LOSS   = 0.3;    // from the front (radiator / engine)
+const STEER_LOSS   = 0.4;    // lock lost with fully bent wheels
+const PULL         = 0.15;   // steering bias toward the more damaged side
+
+// part → zone damage at which it falls off
+const DETACH = {
+  bumperFront: ['front', 0.7],
+  bumperRear:  ['rear',  0.7],
+  hood:        ['front', 0.95],
+  mirrorL:     ['left',  0.5],
+  mirrorR:     ['right', 0.5],
+};
+
+const GRAVITY = 0.015;       // debris, units / frame²
+
+export function createDamage() {
+  return { front: 0, rear: 0, left: 0, right: 0, wheels: 0 };
+}
+
+// zone of the car facing the obstacle; (nx, nz) is the contact normal
+// from resolveContacts, pointing from the obstacle toward the car
+export function impactZone(angle, nx, nz) {
+  const fwd   = -(nx * Math.sin(angle) + nz * Math.cos(angle));
+  const right = -(-nx * Math.cos(angle) + nz * Math.sin(angle));
+  if (Math.abs(fwd) >= Math.abs(right)) return fwd > 0 ? 'front' : 'rear';
+  return right > 0 ? 'right' : 'left';
+}
+
+// Returns the zone that took the hit, or null when it was too soft.
+export function applyImpact(damage, angle, nx, nz, impact) {
+  const amount = (impact - MIN_IMPACT) * PER_IMPACT;
+  if (amount <= 0) return null;
+  const zone = impactZone(angle, nx, nz);
+  damage[zone]   = Math.min(1, damage[zone] + amount);
+  damage.wheels  = Math.min(1, damage.wheels + amount * WHEEL_SHARE[zone]);
+  return zone;
+}
+
+export function damageTotal(damage) {
+  return DAMAGE_ZONES.reduce((sum, z) => sum + damage[z], 0) / DAMAGE_ZONES.length;
+}
+
+// vehicle config for stepVehicle with the damage penalties applied
+export function damagedVehicle(damage, cfg = DEFAULT_VEHICLE) {
+  const topSpeed = 1 - TOP_SPEED_LOSS.front * damage.front - TOP_SPEED_LOSS.rear * damage.rear;
+  return {
+    ...cfg,
+    maxSpeed:  cfg.maxSpeed * topSpeed,
+    accel:     cfg.accel * (1 - ACCEL_LOSS * damage.front),
+    maxSteer:  cfg.maxSteer * (1 - STEER_LOSS * damage.wheels),
+    // positive pull steers left: a caved-in left side drags that way
+    steerPull: PULL * damage.wheels * Math.sign(damage.left - damage.right),
+  };
+}
+
+// ── Visuals ─────────────────────────────────────────────────────
+// Whenever damage changes the parts are reset to their rest pose and
+// bent again, so the look is a pure function of the zones.
+function restore(part, rest) {
+  const r = rest.get(part);
+  part.position.copy(r.position);
+  part.rotation.copy(r.rotation);
+  part.scale.copy(r.scale);
+}
+
+export function createDebris() {
+  return { pieces: [] };
+}
+
+// knock `part` off the car into the scene, flung along the car's motion
+function detach(debris, car, name, part, vx, vz) {
+  car.parent.attach(part);
+  debris.pieces.push({
+    name, part,
+    vx: vx * 0.5 + (Math.random() - 0.5) * 0.1,
+    vy: 0.12 + Math.random() * 0.08,
+    vz: vz * 0.5 + (Math.random() - 0.5) * 0.1,
+    spin: (Math.random() - 0.5) * 0.3,
+  });
+}
+
+// bend / drop parts to match `damage`; (vx, vz) is the car's velocity,
+// inherited by anything that falls off this frame
+export function updateCarDamage(car, damage, debris, vx = 0, vz = 0) {
+  const { parts, rest } = car.userData;
+
+  for (const [name, [zone, limit]] of Object.entries(DETACH)) {
+    const part = parts[name];
+    if (damage[zone] >= limit && part.parent === car) detach(debris, car, name, part, vx, vz);
+  }
+
+  const attached = (p) => p.parent === car;
+  const { front, rear, left, right, wheels } = damage;
+
+  if (attached(parts.bumperFront)) {
+    restore(parts.bumperFront, rest);
+    parts.bumperFront.position.z -= front * 0.35;
+    parts.bumperFront.rotation.y  = front * 0.25 * (left > right ? 1 : -1);
+    parts.bumperFront.rotation.x  = front * 0.3;
+  }
+  if (attached(parts.bumperRear)) {
+    restore(parts.bumperRear, rest);
+    parts.bumperRear.position.z += rear * 0.35;
+    parts.bumperRear.rotation.x  = -rear * 0.3;
+  }
+  if (attached(parts.hood)) {
+    // crumples from the nose and buckles upward
+    restore(parts.hood, rest);
+    parts.hood.scale.z    = 1 - front * 0.3;
+    parts.hood.position.z -= front * 0.27;
+    parts.hood.rotation.x = -front * 0.35;
+  }
+  restore(parts.trunk, rest);
+  parts.trunk.scale.z    = 1 - rear * 0.35;
+  parts.trunk.position.z += rear * 0.2;
+  parts.trunk.rotation.x = rear * 0.3;
+
+  // sides cave in toward the centre line
+  restore(parts.body, rest);
+  parts.body.scale.x    = 1 - (left + right) * 0.05;
+  parts.body.position.x = (right - left) * 0.03;
+
+  for (const [mirror, side] of [[parts.mirrorL, left], [parts.mirrorR, right]]) {
+    if (!attached(mirror)) continue;
+    restore(mirror, rest);
+    mirror.rotation.y = side * 0.9 * Math.sign(mirror.position.x);
+  }
+
+  // bent wheels camber out; the harder-hit side the most
+  parts.wheels.forEach((w, i) => {
+    restore(w, rest);
+    const isLeft = i % 2 === 0;
+    const side   = (isLeft ? left : right) + (i < 2 ? front : rear) * 0.5;
+    w.rotation.z = (isLeft ? 1 : -1) * wheels * side * 0.25;
+  });
+}
+
+// loose parts tumble and come to rest on the road
+export function updateDebris(debris, dt) {
+  for (const p of debris.pieces) {
+    if (p.vy === 0) continue;
+    p.vy -= GRAVITY * dt;
+    p.part.position.x += p.vx * dt;
+    p.part.position.y += p.vy * dt;
+    p.part.position.z += p.vz * dt;
+    p.part.rotation.x += p.spin * dt;
+    p.part.rotation.z += p.spin * 0.5 * dt;
+    if (p.part.position.y <= 0.15) {
+      p.part.position.y = 0.15;
+      p.part.rotation.x = Math.round(p.part.rotation.x / Math.PI) * Math.PI;
+      p.part.rotation.z = 0;
+      p.vx = p.vy = p.vz = 0;
+    }
+  }
+}
+
+// full repair: zones back to zero, fallen parts bolted back on
+export function repairCar(car, damage, debris) {
+  for (const z of DAMAGE_ZONES) damage[z] = 0;
+  for (const p of debris.pieces) car.add(p.part);
+  debris.pieces.length = 0;
+  updateCarDamage(car, damage, debris);
+}
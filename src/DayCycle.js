@@ -0,0 +1,96 @@
+// ── Day / Night Cycle ───────────────────────────────────────────
+// A 24-hour clock that runs DAY_LENGTH real seconds per in-game day.
+// Everything that depends on the time of day samples it from here:
+// the sun's arc (the moon takes over the same light at night), sky /
+// fog / light colours keyed through dawn and dusk, how strongly the
+// street lamps and windows glow, and whether the monster is out.
+import * as THREE from 'three';
+import { DAY_LENGTH, START_HOUR, NIGHT_START, NIGHT_END } from './constants.js';
+
+// Lighting keyframes by hour, blended linearly in between.
+//   sun / sunI  colour and intensity of the directional light
+//   lights      0 … 1 glow of lamps, windows and headlights
+//   day         0 … 1 how much daylight there is (overcast greys it out)
+const NIGHT    = { sky: 0x0a0a1a, ground: 0x1a2420, sun: 0x8090c0, sunI: 0.05, ambient: 0.08, hemi: 0.05, lights: 1,   day: 0 };
+const TWILIGHT = { sky: 0x3a3552, ground: 0x2e3a34, sun: 0xb08aa0, sunI: 0.08, ambient: 0.15, hemi: 0.1,  lights: 0.8, day: 0.2 };
+const DAWN     = { sky: 0xf2a27a, ground: 0x4a5a45, sun: 0xffa060, sunI: 0.5,  ambient: 0.3,  hemi: 0.18, lights: 0.2, day: 0.6 };
+const DUSK     = { sky: 0xe8875a, ground: 0x4a5a45, sun: 0xff8040, sunI: 0.5,  ambient: 0.3,  hemi: 0.18, lights: 0.3, day: 0.6 };
+const DAY      = { sky: 0x87ceeb, ground: 0x4a7c59, sun: 0xffffff, sunI: 1.0,  ambient: 0.5,  hemi: 0.3,  lights: 0,   day: 1 };
+
+const KEYS = [
+  [0, NIGHT], [5, NIGHT], [6, TWILIGHT], [7, DAWN], [8.5, DAY],
+  [16, DAY], [17.5, DUSK], [18, TWILIGHT], [19.5, NIGHT], [24, NIGHT],
+].map(([hour, k]) => ({
+  hour, ...k,
+  sky: new THREE.Color(k.sky), ground: new THREE.Color(k.ground), sun: new THREE.Color(k.sun),
+}));
+
+const OVERCAST_SKY = new THREE.Color(0x5a6a7a);
+
+const wrapHour = (h) => ((h % 24) + 24) % 24;
+
+export function createDayCycle(hour = START_HOUR, dayLength = DAY_LENGTH) {
+  const cycle = {
+    hour: wrapHour(hour),
+    dayLength,
+    // sampled by updateDayCycle
+    sky: new THREE.Color(), ground: new THREE.Color(), sunColor: new THREE.Color(),
+    sunDir: new THREE.Vector3(0, 1, 0),   // toward the sun, or the moon at night
+    sunI: 1, ambient: 0.5, hemi: 0.3, lights: 0, daylight: 1,
+    isNight: false,
+  };
+  updateDayCycle(cycle, 0);
+  return cycle;
+}
+
+export function setClockHour(cycle, hour) {
+  cycle.hour = wrapHour(hour);
+}
+
+export function setDayLength(cycle, seconds) {
+  cycle.dayLength = Math.max(1, seconds);
+}
+
+// 'HH:MM'
+export function formatClock(hour) {
+  const m = Math.floor(wrapHour(hour) * 60);
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// advance by `sec` real seconds and sample the lighting under
+// `overcast` (0 clear … 1 storm, Weather `overcast`)
+export function updateDayCycle(cycle, sec, overcast = 0) {
+  cycle.hour = wrapHour(cycle.hour + sec * 24 / cycle.dayLength);
+  const h = cycle.hour;
+
+  let i = 0;
+  while (KEYS[i + 1].hour <= h) i++;
+  const a = KEYS[i], b = KEYS[i + 1];
+  const t = (h - a.hour) / (b.hour - a.hour);
+  const mix = (k) => a[k] + (b[k] - a[k]) * t;
+
+  cycle.sky.lerpColors(a.sky, b.sky, t);
+  cycle.ground.lerpColors(a.ground, b.ground, t);
+  cycle.sunColor.lerpColors(a.sun, b.sun, t);
+  cycle.sunI     = mix('sunI');
+  cycle.ambient  = mix('ambient');
+  cycle.hemi     = mix('hemi');
+  cycle.lights   = mix('lights');
+  cycle.daylight = mix('day');
+
+  // overcast: the daylit sky goes grey and the sun loses its punch
+  const grey = overcast * cycle.daylight;
+  cycle.sky.lerp(OVERCAST_SKY, grey);
+  cycle.sunI    *= 1 - 0.6 * grey;
+  cycle.ambient *= 1 - 0.4 * grey;
+
+  // sun rises in the east (+x) at 06:00 and sets in the west at 18:00,
+  // tilted toward +z; the moon runs the opposite arc.  Kept a little
+  // above the horizon so shadows stay on the map.
+  const arc = (h - 6) / 12 * Math.PI;
+  const up  = Math.sin(arc) >= 0 ? 1 : -1;
+  cycle.sunDir.set(Math.cos(arc) * up, Math.max(0.15, Math.abs(Math.sin(arc))), 0.45).normalize();
+
+  cycle.isNight = h >= NIGHT_START || h < NIGHT_END;
+  return cycle;
+}
@@ -1,4 +1,4 @@
-// ── Visual Effects: Rain, Dust / Exhaust, Clouds ────────────────
+// ── Visual Effects: Rain, Snow, Dust / Spray / Smoke, Clouds ────
 import * as THREE from 'three';
 import { WORLD_SIZE } from './constants.js';
 
@@ -30,12 +30,14 @@ export function createRainSystem(scene) {
   return { points: rain, velocities };
 }
 
-export function updateRain(sys, delta, carPos, active) {
-  sys.points.visible = active;
-  if (!active) return;
+// density 0 … 1 (Weather `rain`) sets how many drops are drawn
+export function updateRain(sys, delta, carPos, density) {
+  const n = Math.floor(sys.velocities.length * Math.min(1, density));
+  sys.points.visible = n > 0;
+  if (!n) return;
+  sys.points.geometry.setDrawRange(0, n);
 
   const pos = sys.points.geometry.attributes.position.array;
-  const n   = pos.length / 3;
   for (let i = 0; i < n; i++) {
     pos[i * 3 + 1] -= sys.velocities[i] * delta;
     if (pos[i * 3 + 1] < 0) {
@@ -48,11 +50,86 @@ export function updateRain(sys, delta, carPos, active) {
 }
 
 // ═══════════════════════════════════════════════════════════════
-// DUST / EXHAUST
+// SNOW
 // ═══════════════════════════════════════════════════════════════
-export function createDustSystem(scene) {
-  const count = 150;
+export function createSnowSystem(scene) {
+  const count = 3000;
   const positions = new Float32Array(count * 3);
+  const velocities = new Float32Array(count);
+  const phases = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    positions[i * 3]     = (Math.random() - 0.5) * 160;
+    positions[i * 3 + 1] = Math.random() * 50;
+    positions[i * 3 + 2] = (Math.random() - 0.5) * 160;
+    velocities[i] = 2 + Math.random() * 3;
+    phases[i] = Math.random() * Math.PI * 2;
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+  const mat = new THREE.PointsMaterial({
+    color: 0xffffff, size: 0.5, transparent: true, opacity: 0.85, depthWrite: false,
+  });
+
+  const snow = new THREE.Points(geo, mat);
+  snow.visible = false;
+  scene.add(snow);
+  return { points: snow, velocities, phases, time: 0 };
+}
+
+// flakes drift sideways as they fall; density 0 … 1 (Weather `snow`)
+export function updateSnow(sys, delta, carPos, density) {
+  const n = Math.floor(sys.velocities.length * Math.min(1, density));
+  sys.points.visible = n > 0;
+  if (!n) return;
+  sys.points.geometry.setDrawRange(0, n);
+  sys.time += delta;
+
+  const pos = sys.points.geometry.attributes.position.array;
+  for (let i = 0; i < n; i++) {
+    const sway = Math.sin(sys.time * 1.3 + sys.phases[i]) * delta;
+    pos[i * 3]     += sway;
+    pos[i * 3 + 1] -= sys.velocities[i] * delta;
+    pos[i * 3 + 2] += sway * 0.6;
+    // respawn on the ground or once the car has left the flake behind
+    if (pos[i * 3 + 1] < 0 || Math.abs(pos[i * 3] - carPos.x) > 80 || Math.abs(pos[i * 3 + 2] - carPos.z) > 80) {
+      pos[i * 3]     = carPos.x + (Math.random() - 0.5) * 160;
+      pos[i * 3 + 1] = pos[i * 3 + 1] < 0 ? 40 + Math.random() * 10 : Math.random() * 50;
+      pos[i * 3 + 2] = carPos.z + (Math.random() - 0.5) * 160;
+    }
+  }
+  sys.points.geometry.attributes.position.needsUpdate = true;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DUST / EXHAUST  (SPRAY: water off the tyres, SMOKE: burning rubber)
+// ═══════════════════════════════════════════════════════════════
+//   spread   random jitter of the emit point
+//   wheels   half track of the rear wheels; 0 emits from the centre
+//   lift     [min, max] upward speed, units / s
+//   kick     backward / sideways throw per unit of car speed
+//   gravity  units / s²
+const DUST = {
+  count: 150, color: 0xbbaa88, size: 0.6, opacity: 0.35,
+  spread: 1.5, wheels: 0, lift: [1, 3], kick: 0, gravity: 0.5, life: [0.5, 1.5],
+};
+export const SPRAY = {
+  count: 400, color: 0xd8e2ea, size: 0.35, opacity: 0.55,
+  spread: 0.4, wheels: 0.9, lift: [1.5, 3.5], kick: 8, gravity: 9, life: [0.3, 0.7],
+};
+
+export const SMOKE = {
+  count: 240, color: 0xe0e0e0, size: 1.6, opacity: 0.45,
+  spread: 0.6, wheels: 0.9, lift: [0.5, 1.5], kick: 2, gravity: -0.4, life: [1.2, 2.5],
+};
+
+export function createDustSystem(scene, opts = {}) {
+  const cfg = { ...DUST, ...opts };
+  const count = cfg.count;
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) positions[i * 3 + 1] = -100;
   const ages = new Float32Array(count).fill(999);
   const maxAges = new Float32Array(count);
   const vx = new Float32Array(count);
@@ -63,38 +140,43 @@ export function createDustSystem(scene) {
   geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
   const mat = new THREE.PointsMaterial({
-    color: 0xbbaa88, size: 0.6, transparent: true, opacity: 0.35, depthWrite: false,
+    color: cfg.color, size: cfg.size, transparent: true, opacity: cfg.opacity, depthWrite: false,
   });
 
   const dust = new THREE.Points(geo, mat);
   scene.add(dust);
-  return { points: dust, ages, maxAges, vx, vy, vz, nextIdx: 0, emitTimer: 0 };
+  return { points: dust, cfg, ages, maxAges, vx, vy, vz, nextIdx: 0, emitTimer: 0 };
 }
 
-export function updateDust(sys, delta, carPos, carAngle, carSpeed) {
-  const { points, ages, maxAges, vx, vy, vz } = sys;
+// amount 0 … 1 scales the emission rate (e.g. how much water is on the road)
+export function updateDust(sys, delta, carPos, carAngle, carSpeed, amount = 1) {
+  const { points, cfg, ages, maxAges, vx, vy, vz } = sys;
   const pos   = points.geometry.attributes.position.array;
   const count = ages.length;
   const abs   = Math.abs(carSpeed);
 
   // emit
   sys.emitTimer += delta;
-  if (abs > 0.2 && sys.emitTimer > 0.02) {
+  if (abs > 0.2 && amount > 0 && sys.emitTimer > 0.02 / amount) {
     sys.emitTimer = 0;
     const idx = sys.nextIdx;
     sys.nextIdx = (sys.nextIdx + 1) % count;
 
-    const bx = carPos.x - Math.sin(carAngle) * 3;
-    const bz = carPos.z - Math.cos(carAngle) * 3;
+    // alternate rear wheels; right = (-cos a, sin a)
+    const side = cfg.wheels * (idx % 2 ? 1 : -1);
+    const bx = carPos.x - Math.sin(carAngle) * 3 - Math.cos(carAngle) * side;
+    const bz = carPos.z - Math.cos(carAngle) * 3 + Math.sin(carAngle) * side;
+    const kick = cfg.kick * abs;
 
-    pos[idx * 3]     = bx + (Math.random() - 0.5) * 1.5;
+    pos[idx * 3]     = bx + (Math.random() - 0.5) * cfg.spread;
     pos[idx * 3 + 1] = 0.2 + Math.random() * 0.3;
-    pos[idx * 3 + 2] = bz + (Math.random() - 0.5) * 1.5;
+    pos[idx * 3 + 2] = bz + (Math.random() - 0.5) * cfg.spread;
     ages[idx]    = 0;
-    maxAges[idx] = 0.5 + Math.random() * 1.0;
-    vx[idx] = (Math.random() - 0.5) * 2;
-    vy[idx] = 1 + Math.random() * 2;
-    vz[idx] = (Math.random() - 0.5) * 2;
+    maxAges[idx] = cfg.life[0] + Math.random() * (cfg.life[1] - cfg.life[0]);
+    const fling = Math.sign(side) * kick * 0.4 * Math.random();
+    vx[idx] = (Math.random() - 0.5) * 2 - Math.sin(carAngle) * kick - Math.cos(carAngle) * fling;
+    vy[idx] = cfg.lift[0] + Math.random() * (cfg.lift[1] - cfg.lift[0]);
+    vz[idx] = (Math.random() - 0.5) * 2 - Math.cos(carAngle) * kick + Math.sin(carAngle) * fling;
   }
 
   // update
@@ -104,48 +186,52 @@ export function updateDust(sys, delta, carPos, carAngle, carSpeed) {
     pos[i * 3]     += vx[i] * delta;
     pos[i * 3 + 1] += vy[i] * delta;
     pos[i * 3 + 2] += vz[i] * delta;
-    vy[i] -= 0.5 * delta;
-    if (ages[i] >= maxAges[i]) pos[i * 3 + 1] = -100;
+    vy[i] -= cfg.gravity * delta;
+    if (ages[i] >= maxAges[i] || pos[i * 3 + 1] < 0) { ages[i] = maxAges[i]; pos[i * 3 + 1] = -100; }
   }
 
   points.geometry.attributes.position.needsUpdate = true;
-  points.material.opacity = Math.min(0.35, abs * 0.3);
+  points.material.opacity = Math.min(cfg.opacity, abs * 0.3);
 }
 
 // ═══════════════════════════════════════════════════════════════
 // CLOUDS
 // ═══════════════════════════════════════════════════════════════
-export function createClouds(scene) {
+export function createClouds(scene, rng) {
   const mat = new THREE.MeshBasicMaterial({
     color: 0xffffff, transparent: true, opacity: 0.5, depthWrite: false, side: THREE.DoubleSide,
   });
 
   const clouds = [];
   for (let i = 0; i < 15; i++) {
-    const size = 20 + Math.random() * 40;
+    const size = 20 + rng() * 40;
     const geo  = new THREE.SphereGeometry(size, 8, 6);
     geo.scale(1, 0.25, 1);
     const mesh = new THREE.Mesh(geo, mat);
     mesh.position.set(
-      (Math.random() - 0.5) * WORLD_SIZE,
-      80 + Math.random() * 30,
-      (Math.random() - 0.5) * WORLD_SIZE,
+      (rng() - 0.5) * WORLD_SIZE,
+      80 + rng() * 30,
+      (rng() - 0.5) * WORLD_SIZE,
     );
     scene.add(mesh);
-    clouds.push({ mesh, speed: 2 + Math.random() * 5 });
+    clouds.push({ mesh, speed: 2 + rng() * 5 });
   }
 
   return { clouds, material: mat };
 }
 
-export function updateClouds(sys, delta, isNight, isRaining) {
+const CLOUD_CLEAR = new THREE.Color(0xffffff);
+const CLOUD_GREY  = new THREE.Color(0x777777);
+
+// cover 0 … 1 (Weather `clouds`): thicker, greyer and faster as it rises
+export function updateClouds(sys, delta, isNight, cover) {
   for (const c of sys.clouds) {
     c.mesh.visible = !isNight;
-    c.mesh.position.x += c.speed * delta;
+    c.mesh.position.x += c.speed * (1 + cover) * delta;
     if (c.mesh.position.x > WORLD_SIZE * 0.4) c.mesh.position.x = -WORLD_SIZE * 0.4;
   }
   if (!isNight) {
-    sys.material.opacity = isRaining ? 0.85 : 0.5;
-    sys.material.color.set(isRaining ? 0x888888 : 0xffffff);
+    sys.material.opacity = 0.5 + 0.4 * cover;
+    sys.material.color.lerpColors(CLOUD_CLEAR, CLOUD_GREY, cover);
   }
 }
@@ -0,0 +1,179 @@
+// ── Ghost ───────────────────────────────────────────────────────
+// Race against your own best run.  While a mission is on, the car's
+// position, heading and speed go into a Replay.js track every frame,
+// timed from the start line.  At the finish the run is kept if it beats
+// the saved ghost of that mission, and the next attempt plays it back as
+// a translucent copy of the car (buildCar with recoloured materials) —
+// it drives through everything, nothing collides with it.
+//
+// Ghosts live in localStorage per mission and can be exported to / read
+// from JSON files:
+//   { "format": "owd-ghost", "version": 1, "mission": "volta-da-quadra",
+//     "total": 61.4, "date": "…", "frames": 3684, "data": "<base64>" }
+import * as THREE from 'three';
+import { buildCar } from './Car.js';
+import { createTrack, pushFrame, encodeTrack, decodeTrack } from './Replay.js';
+
+// channels: time (ms), x / z (5 cm), angle (mrad), speed
+const SCALES = [1000, 20, 20, 1000, 1000];
+const T = 0, X = 1, Z = 2, ANGLE = 3, SPEED = 4;
+const CH = SCALES.length;
+
+const FORMAT        = 'owd-ghost';
+const VERSION       = 1;
+const GHOST_KEY     = 'owd-mission-ghost';
+const GHOST_COLOR   = new THREE.Color(0x4fc3f7);
+const GHOST_OPACITY = 0.35;
+
+// every material of the car, tinted toward GHOST_COLOR and see-through
+function ghostify(car) {
+  const tinted = new Map();
+  car.traverse(obj => {
+    if (!obj.isMesh) return;
+    obj.castShadow = false;
+    let mat = tinted.get(obj.material);
+    if (!mat) {
+      mat = new THREE.MeshBasicMaterial({
+        color: obj.material.color.clone().lerp(GHOST_COLOR, 0.7),
+        transparent: true, opacity: GHOST_OPACITY, depthWrite: false,
+      });
+      tinted.set(obj.material, mat);
+    }
+    obj.material = mat;
+  });
+  for (const original of tinted.keys()) original.dispose();
+}
+
+// ── Storage ─────────────────────────────────────────────────────
+function loadAll() {
+  try {
+    return JSON.parse(window.localStorage.getItem(GHOST_KEY)) ?? {};
+  } catch {
+    return {};   // storage blocked or corrupt
+  }
+}
+
+export function loadGhost(id) {
+  return loadAll()[id] ?? null;
+}
+
+export function saveGhost(replay) {
+  const all = loadAll();
+  all[replay.mission] = replay;
+  try {
+    window.localStorage.setItem(GHOST_KEY, JSON.stringify(all));
+    return true;
+  } catch {
+    return false;   // blocked or full; the ghost lasts this session only
+  }
+}
+
+// saves the run if it is faster than the mission's saved ghost; true
+// when it did
+export function keepBestGhost(replay) {
+  const old = loadGhost(replay.mission);
+  if (old && old.total <= replay.total) return false;
+  return saveGhost(replay);
+}
+
+// ── Files ───────────────────────────────────────────────────────
+export function downloadGhost(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `fantasma-${replay.mission}.json`;
+  a.click();
+  // revoked right away, some browsers cancel the download it started
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File → replay; rejects anything that is not a readable ghost
+export async function readGhostFile(file) {
+  const replay = JSON.parse(await file.text());
+  if (replay?.format !== FORMAT || replay.version !== VERSION) throw new Error('ghost: not a ghost file');
+  if (typeof replay.mission !== 'string' || !(replay.total > 0)) throw new Error('ghost: no mission or time');
+  decodeTrack(SCALES, replay);
+  return replay;
+}
+
+// ═════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═════════════════════════════════════════════════════════════════
+
+export function createGhost(scene) {
+  const car = buildCar(scene);
+  ghostify(car);
+  car.visible = false;
+  return {
+    car,
+    track: null,        // recording in progress
+    frames: null,       // decoded ghost being played (Float64Array, CH per frame)
+    count: 0,
+    cursor: 0,          // frame at or before the last playback time
+    speed: 0,           // the ghost's speed at the playback time
+  };
+}
+
+// ── Recording ───────────────────────────────────────────────────
+export function startRecording(gh) {
+  gh.track = createTrack(SCALES);
+}
+
+// time: s since the start line; car: VehiclePhysics state
+export function recordFrame(gh, time, car) {
+  if (gh.track) pushFrame(gh.track, [time, car.x, car.z, car.angle, car.vf]);
+}
+
+// → the replay to keep, or null if nothing was recorded
+export function finishRecording(gh, mission, total) {
+  const track = gh.track;
+  gh.track = null;
+  if (!track?.frames) return null;
+  return {
+    format: FORMAT, version: VERSION,
+    mission, total,
+    date: new Date().toISOString(),
+    ...encodeTrack(track),
+  };
+}
+
+// ── Playback ────────────────────────────────────────────────────
+// replay: a stored ghost, or null for none
+export function setGhost(gh, replay) {
+  gh.frames = null;
+  gh.count = 0;
+  gh.cursor = 0;
+  gh.car.visible = false;
+  if (!replay) return;
+  try {
+    gh.frames = decodeTrack(SCALES, replay);
+    gh.count = replay.frames;
+  } catch {
+    // a broken save just means no ghost
+  }
+}
+
+// time: s since the start line (0 while waiting behind it), or null to
+// hide the ghost.  It vanishes once its run is over.
+export function updateGhost(gh, time) {
+  const f = gh.frames;
+  if (!f || time == null || time > f[(gh.count - 1) * CH + T]) {
+    gh.car.visible = false;
+    return;
+  }
+  if (f[gh.cursor * CH + T] > time) gh.cursor = 0;   // restarted
+  while (gh.cursor < gh.count - 1 && f[(gh.cursor + 1) * CH + T] <= time) gh.cursor++;
+
+  const a = gh.cursor * CH;
+  const b = Math.min(gh.cursor + 1, gh.count - 1) * CH;
+  const span = f[b + T] - f[a + T];
+  const k = span > 0 ? Math.min(1, (time - f[a + T]) / span) : 0;
+  const lerp = (c) => f[a + c] + (f[b + c] - f[a + c]) * k;
+
+  gh.car.position.x = lerp(X);
+  gh.car.position.z = lerp(Z);
+  gh.car.rotation.y = lerp(ANGLE);
+  gh.speed = lerp(SPEED);
+  gh.car.visible = true;
+}
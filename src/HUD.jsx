@@ -1,5 +1,22 @@
 // ── HUD Components: speedometer, controls, minimap, loading ────
-import { ROAD_DEFS, WORLD_SIZE } from './constants.js';
+import { useState } from 'react';
+import { ROAD_DEFS, WORLD_SIZE, PLAYER_HEALTH } from './constants.js';
+import { formatClock } from './DayCycle.js';
+import { WEATHER_STATES } from './Weather.js';
+
+const WEATHER_LABELS = {
+  clear: '☀️ LIMPO', overcast: '☁️ NUBLADO', rain: '🌧️ CHUVA',
+  storm: '⛈️ TEMPESTADE', fog: '🌫️ NEBLINA', snow: '❄️ NEVE',
+};
+
+const MONSTER_LABELS = {
+  stalk: 'À ESPREITA', hunt: 'CAÇANDO', search: 'PROCURANDO', retreat: 'FUGINDO',
+};
+const MONSTER_ICONS = { giant: '👹', crawler: '🕷️', shadow: '👤' };
+
+// race clock 'M:SS.s' and split deltas '+1.23' / '−0.45'
+const formatRaceTime = (s) => `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
+const formatDelta = (d) => `${d < 0 ? '−' : '+'}${Math.abs(d).toFixed(2)}`;
 
 // ─── Button style (shared) ──────────────────────────────────────
 const btnStyle = {
@@ -18,10 +35,16 @@ const smallBtn = {
 
 // ─── Main HUD ───────────────────────────────────────────────────
 export function HUD({
-  speed, nightMode, raining,
-  onToggleNight, onToggleRain, onToggleCamera, onToggleMute, onToggleMusic,
-  touchRef, drifting, monsterDist, muted, cameraMode, musicOn,
+  speed, clock, weather,
+  onSetClock, onSetDayLength, onSetWeather, onToggleCamera, onToggleMute, onToggleMusic,
+  onRadioNext, onRadioPrev, onRadioStation, onRadioShuffle,
+  touchRef, drifting, monster, muted, cameraMode, radio,
+  seed, onChangeSeed, volumes, onChangeVolume,
+  missions, racing, onStartMission, onStopMission, onExportGhost, onImportGhost, ghostNote,
+  onOpenReplay,
 }) {
+  const [panel, setPanel] = useState(null);   // 'clock' | 'weather' | 'missions' | 'mixer' | null
+  const togglePanel = (name) => setPanel(p => (p === name ? null : name));
   const t = (key, val) => (e) => {
     if (e) e.preventDefault();
     touchRef.current[key] = val;
@@ -43,17 +66,46 @@ export function HUD({
         Feito por EDEN
       </div>
 
-      {/* ── Monster distance indicator (night only) ── */}
-      {nightMode && monsterDist < 500 && (
+      {/* ── World seed (shareable map) ── */}
+      <div style={{
+        position: 'absolute', top: 40, left: 16,
+        display: 'flex', alignItems: 'center', gap: 6, padding: '4px 8px',
+        background: 'rgba(0,0,0,0.5)', borderRadius: 8, backdropFilter: 'blur(6px)',
+        fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem',
+      }}>
+        <span style={{ opacity: 0.7, letterSpacing: 1 }}>🌍 SEED</span>
+        <input
+          key={seed}
+          defaultValue={seed}
+          spellCheck={false}
+          onKeyDown={(e) => {
+            e.stopPropagation();   // keep WASD out of the game loop while typing
+            if (e.key === 'Enter') { onChangeSeed(e.currentTarget.value); e.currentTarget.blur(); }
+          }}
+          onBlur={(e) => { if (e.currentTarget.value !== seed) onChangeSeed(e.currentTarget.value); }}
+          style={{
+            width: 90, padding: '2px 6px', borderRadius: 4,
+            border: '1px solid rgba(255,255,255,0.3)', background: 'rgba(255,255,255,0.1)',
+            color: '#fff', fontSize: '0.75rem', fontFamily: 'monospace',
+          }}
+        />
+        <button onClick={() => onChangeSeed('')} title="Nova cidade" style={{
+          ...smallBtn, padding: '2px 8px', background: '#37474f', color: '#fff',
+        }}>🎲</button>
+      </div>
+
+      {/* ── Nearest monster: type, state, distance, how many are out ── */}
+      {monster.state !== 'gone' && monster.dist < 500 && (
         <div style={{
           position: 'absolute', top: 50, left: '50%', transform: 'translateX(-50%)',
           padding: '6px 18px', borderRadius: 10,
-          background: monsterDist < 30 ? 'rgba(200,0,0,0.7)' : 'rgba(0,0,0,0.6)',
+          background: monster.state === 'hunt' && monster.dist < 30 ? 'rgba(200,0,0,0.7)' : 'rgba(0,0,0,0.6)',
           fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff',
           fontSize: '0.9rem', fontWeight: 700, backdropFilter: 'blur(6px)',
-          animation: monsterDist < 50 ? 'monster-pulse 0.5s ease-in-out infinite' : 'none',
+          animation: monster.state === 'hunt' && monster.dist < 50 ? 'monster-pulse 0.5s ease-in-out infinite' : 'none',
         }}>
-          👹 {Math.round(monsterDist)}m
+          {MONSTER_ICONS[monster.type]} {MONSTER_LABELS[monster.state]} · {monster.dist}m
+          {monster.count > 1 && <span style={{ opacity: 0.7 }}> · ×{monster.count}</span>}
         </div>
       )}
 
@@ -85,30 +137,175 @@ export function HUD({
         <div style={{ fontSize: '0.75rem', opacity: 0.6, letterSpacing: 1 }}>KM/H</div>
         <div style={{ width: 1, height: 30, background: 'rgba(255,255,255,0.2)', margin: '0 2px' }} />
 
-        <button onClick={onToggleNight} style={{
-          ...smallBtn,
-          background: nightMode ? '#f1faee' : '#2b2d42',
-          color: nightMode ? '#2b2d42' : '#f1faee',
-        }}>{nightMode ? '☀️ DIA' : '🌙 NOITE'}</button>
+        <button onClick={() => togglePanel('clock')} title="Hora do dia" style={{
+          ...smallBtn, fontVariantNumeric: 'tabular-nums',
+          background: clock.night ? '#2b2d42' : '#f1faee',
+          color: clock.night ? '#f1faee' : '#2b2d42',
+          outline: panel === 'clock' ? '2px solid #ffd166' : 'none',
+        }}>{clock.night ? '🌙' : '☀️'} {formatClock(clock.minute / 60)}</button>
 
-        <button onClick={onToggleRain} style={{
+        <button onClick={() => togglePanel('weather')} title="Clima" style={{
           ...smallBtn,
-          background: raining ? '#4fc3f7' : '#37474f', color: '#fff',
-        }}>{raining ? '🌧️ CHUVA' : '☁️ LIMPO'}</button>
+          background: weather.state === 'clear' ? '#37474f' : '#4fc3f7', color: '#fff',
+          outline: panel === 'weather' ? '2px solid #ffd166' : 'none',
+        }}>{WEATHER_LABELS[weather.state]}</button>
+
+        <button onClick={() => togglePanel('missions')} title="Missões" style={{
+          ...smallBtn, background: racing ? '#ffd600' : '#37474f', color: racing ? '#2b2d42' : '#fff',
+          outline: panel === 'missions' ? '2px solid #ffd166' : 'none',
+        }}>🏁 {racing ? 'CORRIDA' : 'MISSÕES'}</button>
 
         <button onClick={onToggleCamera} style={{
           ...smallBtn, background: '#555', color: '#fff',
         }}>{camLabels[cameraMode] || '🎥 CAM'}</button>
 
+        {/* blurred, or the handbrake (space) would click it again after Esc */}
+        <button onClick={(e) => { e.currentTarget.blur(); onOpenReplay(); }} title="Rever a sessão" style={{
+          ...smallBtn, background: '#37474f', color: '#fff',
+        }}>🎬 REPLAY</button>
+
         <button onClick={onToggleMute} style={{
           ...smallBtn, background: muted ? '#c1121f' : '#2e7d32', color: '#fff',
         }}>{muted ? '🔇' : '🔊'}</button>
 
         <button onClick={onToggleMusic} style={{
-          ...smallBtn, background: musicOn ? '#6a1b9a' : '#37474f', color: '#fff',
-        }}>{musicOn ? '🎵 MÚSICA' : '🎵 OFF'}</button>
+          ...smallBtn, background: radio.on ? '#6a1b9a' : '#37474f', color: '#fff',
+        }}>{radio.on ? `📻 ${radio.station?.freq || 'RÁDIO'}` : '📻 OFF'}</button>
+
+        {radio.on && (
+          <>
+            <button onClick={onRadioPrev} title="Faixa anterior (B)" style={{ ...smallBtn, padding: '6px 8px', background: '#4a148c', color: '#fff' }}>⏮</button>
+            <button onClick={onRadioNext} title="Próxima faixa (N)" style={{ ...smallBtn, padding: '6px 8px', background: '#4a148c', color: '#fff' }}>⏭</button>
+            <button onClick={onRadioStation} title="Trocar estação (M)" style={{ ...smallBtn, padding: '6px 8px', background: '#4a148c', color: '#fff' }}>📡</button>
+            <button onClick={onRadioShuffle} title="Aleatório" style={{
+              ...smallBtn, padding: '6px 8px', background: radio.shuffle ? '#f1faee' : '#4a148c', color: radio.shuffle ? '#4a148c' : '#fff',
+            }}>🔀</button>
+          </>
+        )}
+
+        <button onClick={() => togglePanel('mixer')} title="Volume" style={{
+          ...smallBtn, background: panel === 'mixer' ? '#f1faee' : '#37474f', color: panel === 'mixer' ? '#2b2d42' : '#fff',
+        }}>🎚️</button>
       </div>
 
+      {/* ── Clock: time of day and how long a day lasts ── */}
+      {panel === 'clock' && (
+        <div style={{
+          position: 'absolute', bottom: 96, left: '50%', transform: 'translateX(-50%)',
+          display: 'grid', gridTemplateColumns: 'auto 180px', gap: '6px 10px', alignItems: 'center',
+          padding: '10px 16px', background: 'rgba(0,0,0,0.65)', borderRadius: 12, backdropFilter: 'blur(10px)',
+          fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem', letterSpacing: 1,
+        }}>
+          <span style={{ opacity: 0.7 }}>HORA</span>
+          <input type="range" min={0} max={23.75} step={0.25} value={Math.floor(clock.minute / 15) / 4}
+            onChange={(e) => onSetClock(Number(e.currentTarget.value))} />
+          <span />
+          <div style={{ display: 'flex', gap: 4 }}>
+            {[[6, '🌅'], [12, '☀️'], [18, '🌇'], [0, '🌙']].map(([h, icon]) => (
+              <button key={h} onClick={() => onSetClock(h)} title={formatClock(h)} style={{
+                ...smallBtn, padding: '2px 8px', background: '#37474f', color: '#fff',
+              }}>{icon}</button>
+            ))}
+          </div>
+          <span style={{ opacity: 0.7 }}>DIA DURA</span>
+          <select value={clock.dayLength} onChange={(e) => onSetDayLength(Number(e.currentTarget.value))} style={{
+            padding: '2px 6px', borderRadius: 4, border: '1px solid rgba(255,255,255,0.3)',
+            background: '#263238', color: '#fff', fontSize: '0.75rem',
+          }}>
+            {[120, 300, 600, 1200, 3600].map(s => (
+              <option key={s} value={s}>{s / 60} min</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* ── Weather: force a state or leave it to the schedule ── */}
+      {panel === 'weather' && (
+        <div style={{
+          position: 'absolute', bottom: 96, left: '50%', transform: 'translateX(-50%)',
+          display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 6, maxWidth: 360,
+          padding: '10px 16px', background: 'rgba(0,0,0,0.65)', borderRadius: 12, backdropFilter: 'blur(10px)',
+          fontFamily: "'Segoe UI', system-ui, sans-serif",
+        }}>
+          <button onClick={() => onSetWeather('auto')} style={{
+            ...smallBtn, background: weather.auto ? '#f1faee' : '#37474f', color: weather.auto ? '#2b2d42' : '#fff',
+          }}>🔄 AUTO</button>
+          {WEATHER_STATES.map(state => {
+            const active = !weather.auto && weather.state === state;
+            return (
+              <button key={state} onClick={() => onSetWeather(state)} style={{
+                ...smallBtn, background: active ? '#4fc3f7' : '#37474f', color: '#fff',
+              }}>{WEATHER_LABELS[state]}</button>
+            );
+          })}
+        </div>
+      )}
+
+      {/* ── Missions: pick a race, or give up the current one ── */}
+      {panel === 'missions' && (
+        <div style={{
+          position: 'absolute', bottom: 96, left: '50%', transform: 'translateX(-50%)',
+          display: 'flex', flexDirection: 'column', gap: 6, minWidth: 300,
+          padding: '10px 16px', background: 'rgba(0,0,0,0.65)', borderRadius: 12, backdropFilter: 'blur(10px)',
+          fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem',
+        }}>
+          {missions.map(m => (
+            <div key={m.id} style={{ display: 'flex', gap: 6 }}>
+              <button onClick={() => { onStartMission(m.id); setPanel(null); }} style={{
+                ...smallBtn, flex: 1, display: 'flex', justifyContent: 'space-between', gap: 12,
+                background: '#37474f', color: '#fff', textAlign: 'left',
+              }}>
+                <span>
+                  {m.name}
+                  <span style={{ opacity: 0.6, fontWeight: 400 }}>
+                    {' · '}{m.loop ? `${m.laps} ${m.laps === 1 ? 'volta' : 'voltas'}` : 'sprint'}, {m.gates} portais
+                  </span>
+                </span>
+                <span style={{ color: '#ffc107', fontVariantNumeric: 'tabular-nums' }}>
+                  {m.best != null ? `🏆 ${formatRaceTime(m.best)}` : '—'}
+                </span>
+              </button>
+              {m.ghost != null && (
+                <button onClick={() => onExportGhost(m.id)} title={`Exportar fantasma (${formatRaceTime(m.ghost)})`} style={{
+                  ...smallBtn, padding: '6px 10px', background: '#0277bd', color: '#fff',
+                }}>👻 ⬇</button>
+              )}
+            </div>
+          ))}
+          <label style={{ ...smallBtn, textAlign: 'center', background: '#01579b', color: '#fff' }}>
+            👻 IMPORTAR FANTASMA
+            <input type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={e => {
+              if (e.target.files[0]) onImportGhost(e.target.files[0]);
+              e.target.value = '';
+            }} />
+          </label>
+          {ghostNote && <span style={{ opacity: 0.8, textAlign: 'center' }}>{ghostNote}</span>}
+          {racing && (
+            <button onClick={() => { onStopMission(); setPanel(null); }} style={{
+              ...smallBtn, background: '#c1121f', color: '#fff',
+            }}>✖ ABANDONAR CORRIDA</button>
+          )}
+        </div>
+      )}
+
+      {/* ── Mixer: one slider per audio bus ── */}
+      {panel === 'mixer' && (
+        <div style={{
+          position: 'absolute', bottom: 96, left: '50%', transform: 'translateX(-50%)',
+          display: 'grid', gridTemplateColumns: 'auto 120px', gap: '6px 10px', alignItems: 'center',
+          padding: '10px 16px', background: 'rgba(0,0,0,0.65)', borderRadius: 12, backdropFilter: 'blur(10px)',
+          fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem', letterSpacing: 1,
+        }}>
+          {[['master', 'GERAL'], ['music', 'MÚSICA'], ['sfx', 'EFEITOS'], ['ambience', 'AMBIENTE']].map(([bus, label]) => (
+            <label key={bus} style={{ display: 'contents' }}>
+              <span style={{ opacity: 0.7 }}>{label}</span>
+              <input type="range" min={0} max={1} step={0.05} value={volumes[bus]}
+                onChange={(e) => onChangeVolume(bus, Number(e.currentTarget.value))} />
+            </label>
+          ))}
+        </div>
+      )}
+
       {/* ── Keyboard legend ── */}
       <div style={{
         position: 'absolute', top: 16, left: '50%', transform: 'translateX(-50%)',
@@ -118,7 +315,7 @@ export function HUD({
       }}>
         <b>W/↑</b> Acelerar &nbsp; <b>S/↓</b> Frear &nbsp;
         <b>A/←</b> Esq &nbsp; <b>D/→</b> Dir &nbsp;
-        <b>SPACE</b> Drift &nbsp; <b>C</b> Câmera
+        <b>SPACE</b> Drift &nbsp; <b>C</b> Câmera &nbsp; <b>R</b> Reparar &nbsp; <b>M</b> Rádio
       </div>
 
       {/* ── Touch: steering (left side) ── */}
@@ -177,6 +374,343 @@ export function HitFlash({ intensity }) {
   );
 }
 
+// ─── Traffic fine ("multa") toast + running total ──────────────
+const brl = (v) => v.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+export function FineNotice({ fine, total }) {
+  if (!total.count) return null;
+  return (
+    <>
+      {fine && (
+        <div key={fine.id} style={{
+          position: 'absolute', top: 120, left: '50%', transform: 'translateX(-50%)',
+          padding: '8px 18px', borderRadius: 10, zIndex: 40,
+          background: 'rgba(255,193,7,0.92)', color: '#1a1a1a',
+          fontFamily: "'Segoe UI', system-ui, sans-serif", textAlign: 'center',
+          pointerEvents: 'none', animation: 'fine-toast 3.5s ease-out forwards',
+        }}>
+          <div style={{ fontSize: '0.95rem', fontWeight: 900, letterSpacing: 2 }}>🚨 MULTA</div>
+          <div style={{ fontSize: '0.8rem', fontWeight: 600 }}>
+            {fine.label}{fine.detail ? ` · ${fine.detail}` : ''} · {brl(fine.value)}
+          </div>
+        </div>
+      )}
+      <div style={{
+        position: 'absolute', top: 206, right: 16,
+        padding: '4px 10px', borderRadius: 8,
+        background: 'rgba(0,0,0,0.6)', color: '#ffc107',
+        fontFamily: "'Segoe UI', system-ui, sans-serif",
+        fontSize: '0.75rem', fontWeight: 700, backdropFilter: 'blur(6px)',
+      }}>
+        🧾 {total.count} {total.count === 1 ? 'multa' : 'multas'} · {brl(total.value)}
+      </div>
+      <style>{`
+        @keyframes fine-toast {
+          0%   { opacity: 0; transform: translate(-50%, -10px); }
+          8%   { opacity: 1; transform: translate(-50%, 0); }
+          80%  { opacity: 1; }
+          100% { opacity: 0; }
+        }
+      `}</style>
+    </>
+  );
+}
+
+// ─── Radio: station / track toast on every change ──────────────
+export function RadioNotice({ radio }) {
+  if (!radio.on || !radio.seq) return null;
+  return (
+    <>
+      <div key={radio.seq} style={{
+        position: 'absolute', bottom: 160, left: 16,
+        padding: '8px 14px', borderRadius: 10, zIndex: 40, minWidth: 160,
+        background: 'rgba(74,20,140,0.85)', color: '#fff',
+        fontFamily: "'Segoe UI', system-ui, sans-serif",
+        pointerEvents: 'none', animation: 'radio-toast 3s ease-out forwards',
+      }}>
+        <div style={{ fontSize: '0.95rem', fontWeight: 900, letterSpacing: 1 }}>
+          📻 {radio.station ? `${radio.station.freq} ${radio.station.name}` : 'RÁDIO'}
+        </div>
+        <div style={{ fontSize: '0.8rem', opacity: 0.85 }}>
+          {radio.noSignal
+            ? '〰️ SEM SINAL'
+            : radio.track ? `${radio.track.title}${radio.track.artist ? ` · ${radio.track.artist}` : ''}` : 'Sintonizando…'}
+        </div>
+      </div>
+      <style>{`
+        @keyframes radio-toast {
+          0%   { opacity: 0; transform: translateX(-10px); }
+          10%  { opacity: 1; transform: translateX(0); }
+          75%  { opacity: 1; }
+          100% { opacity: 0; }
+        }
+      `}</style>
+    </>
+  );
+}
+
+// ─── Car damage: per-zone silhouette + repair ──────────────────
+const zoneColor = (v) => `hsl(${Math.round(120 * (1 - v))}, 80%, 45%)`;
+
+export function DamageIndicator({ damage, canRepair, onRepair }) {
+  const { front, rear, left, right, wheels } = damage;
+  const total = Math.round((front + rear + left + right + wheels) / 5 * 100);
+  const wheel = (pos) => (
+    <div style={{ position: 'absolute', width: 6, height: 12, borderRadius: 2, background: zoneColor(wheels), ...pos }} />
+  );
+
+  return (
+    <div style={{
+      position: 'absolute', top: 76, left: 16,
+      display: 'flex', alignItems: 'center', gap: 10, padding: '6px 10px',
+      background: 'rgba(0,0,0,0.5)', borderRadius: 8, backdropFilter: 'blur(6px)',
+      fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem',
+    }}>
+      {/* top-down car, nose up; left of the car is on the left */}
+      <div style={{ position: 'relative', width: 34, height: 56 }}>
+        <div style={{ position: 'absolute', left: 7, top: 0,  width: 20, height: 12, borderRadius: '6px 6px 2px 2px', background: zoneColor(front) }} />
+        <div style={{ position: 'absolute', left: 7, top: 44, width: 20, height: 12, borderRadius: '2px 2px 6px 6px', background: zoneColor(rear) }} />
+        <div style={{ position: 'absolute', left: 7,  top: 14, width: 9, height: 28, borderRadius: 2, background: zoneColor(left) }} />
+        <div style={{ position: 'absolute', left: 18, top: 14, width: 9, height: 28, borderRadius: 2, background: zoneColor(right) }} />
+        {wheel({ left: 0, top: 8 })}{wheel({ right: 0, top: 8 })}
+        {wheel({ left: 0, top: 36 })}{wheel({ right: 0, top: 36 })}
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+        <span style={{ opacity: 0.7, letterSpacing: 1 }}>🔧 DANO</span>
+        <span style={{ fontSize: '1rem', fontWeight: 800, color: zoneColor(total / 100) }}>{total}%</span>
+        {total > 0 && (
+          <button onClick={onRepair} disabled={!canRepair}
+            title={canRepair ? 'Reparar (R)' : 'Pare o carro para reparar'}
+            style={{
+              ...smallBtn, padding: '2px 8px',
+              background: canRepair ? '#2e7d32' : '#37474f', color: '#fff',
+              opacity: canRepair ? 1 : 0.5, cursor: canRepair ? 'pointer' : 'not-allowed',
+            }}>REPARAR</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Survival: health, nights survived, escape score ──────────
+export function SurvivalPanel({ survival }) {
+  const { health, score, nights } = survival;
+  const frac = health / PLAYER_HEALTH;
+  return (
+    <div style={{
+      position: 'absolute', top: 160, left: 16, width: 150,
+      display: 'flex', flexDirection: 'column', gap: 4, padding: '6px 10px',
+      background: 'rgba(0,0,0,0.5)', borderRadius: 8, backdropFilter: 'blur(6px)',
+      fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span style={{ opacity: 0.7, letterSpacing: 1 }}>❤️ VIDA</span>
+        <span style={{ fontWeight: 800, color: zoneColor(1 - frac) }}>{Math.ceil(health)}</span>
+      </div>
+      <div style={{ height: 6, background: '#333', borderRadius: 3, overflow: 'hidden' }}>
+        <div style={{
+          width: `${frac * 100}%`, height: '100%', background: zoneColor(1 - frac),
+          transition: 'width 0.3s',
+        }} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span>🌙 {nights} {nights === 1 ? 'noite' : 'noites'}</span>
+        <span style={{ fontWeight: 800, color: '#ffc107' }}>⭐ {score}</span>
+      </div>
+    </div>
+  );
+}
+
+// ─── Game over: the run's result, best runs, restart ───────────
+const formatTime = (s) => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+
+export function GameOverScreen({ result, onRestart, onReplay }) {
+  if (!result) return null;
+  const { run, board, rank } = result;
+  return (
+    <div style={{
+      position: 'absolute', inset: 0, zIndex: 90,
+      display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: 14,
+      background: 'rgba(20,0,0,0.85)', backdropFilter: 'blur(4px)',
+      fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff',
+    }}>
+      <div style={{ fontSize: '2.4rem', fontWeight: 900, letterSpacing: 4, color: '#ff5252' }}>👹 FIM DE JOGO</div>
+      <div style={{ fontSize: '1rem', opacity: 0.85 }}>
+        ⭐ {run.score} pontos · 🌙 {run.nights} {run.nights === 1 ? 'noite' : 'noites'} · ⏱️ {formatTime(run.time)}
+      </div>
+      <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', minWidth: 300 }}>
+        <thead>
+          <tr style={{ opacity: 0.6, textAlign: 'left' }}>
+            <th style={{ padding: '2px 8px' }}>#</th>
+            <th style={{ padding: '2px 8px' }}>NOITES</th>
+            <th style={{ padding: '2px 8px' }}>PONTOS</th>
+            <th style={{ padding: '2px 8px' }}>TEMPO</th>
+            <th style={{ padding: '2px 8px' }}>SEED</th>
+          </tr>
+        </thead>
+        <tbody>
+          {board.map((r, i) => (
+            <tr key={r.date + i} style={{
+              background: i === rank ? 'rgba(255,193,7,0.25)' : 'transparent',
+              fontWeight: i === rank ? 800 : 400,
+            }}>
+              <td style={{ padding: '2px 8px' }}>{i + 1}</td>
+              <td style={{ padding: '2px 8px' }}>{r.nights}</td>
+              <td style={{ padding: '2px 8px' }}>{r.score}</td>
+              <td style={{ padding: '2px 8px' }}>{formatTime(r.time)}</td>
+              <td style={{ padding: '2px 8px', fontFamily: 'monospace' }}>{r.seed}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', gap: 10 }}>
+        <button onClick={onRestart} style={{
+          ...smallBtn, padding: '10px 28px', fontSize: '1rem', background: '#c1121f', color: '#fff',
+        }}>🔄 JOGAR DE NOVO</button>
+        <button onClick={onReplay} style={{
+          ...smallBtn, padding: '10px 28px', fontSize: '1rem', background: '#37474f', color: '#fff',
+        }}>🎬 VER REPLAY</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Race: lap / gate counters, timers, split against the best ─
+export function RacePanel({ race }) {
+  if (!race) return null;
+  return (
+    <div style={{
+      position: 'absolute', top: 240, right: 16, minWidth: 150,
+      display: 'flex', flexDirection: 'column', gap: 2, padding: '8px 12px',
+      background: 'rgba(0,0,0,0.6)', borderRadius: 8, backdropFilter: 'blur(6px)',
+      fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem',
+      fontVariantNumeric: 'tabular-nums',
+    }}>
+      <span style={{ fontWeight: 800, letterSpacing: 1 }}>🏁 {race.name}</span>
+      {race.phase === 'ready' ? (
+        <span style={{ color: '#ffd600' }}>Cruze a largada!</span>
+      ) : (
+        <>
+          <span>
+            {race.laps > 1 && <>VOLTA {race.lap}/{race.laps} · </>}PORTAL {race.gate}/{race.gates}
+          </span>
+          <span style={{ fontSize: '1.3rem', fontWeight: 900 }}>{formatRaceTime(race.time)}</span>
+          <span style={{ opacity: 0.7 }}>trecho {formatRaceTime(race.segment)}</span>
+          {race.delta != null && (
+            <span style={{ fontWeight: 800, color: race.delta < 0 ? '#69f0ae' : '#ff5252' }}>
+              {formatDelta(race.delta)}
+            </span>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Race finish: total, laps, splits against the old bests ────
+export function FinishScreen({ result, onRetry, onClose }) {
+  if (!result) return null;
+  const { mission, total, laps, splits, best, records } = result;
+  const cell = { padding: '2px 8px', textAlign: 'right' };
+  return (
+    <div style={{
+      position: 'absolute', inset: 0, zIndex: 80,
+      display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: 12,
+      background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(4px)',
+      fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontVariantNumeric: 'tabular-nums',
+    }}>
+      <div style={{ fontSize: '1rem', opacity: 0.7, letterSpacing: 2 }}>🏁 {mission.name}</div>
+      <div style={{ fontSize: '2.4rem', fontWeight: 900 }}>{formatRaceTime(total)}</div>
+      {records.total
+        ? <div style={{ color: '#ffc107', fontWeight: 800 }}>🏆 NOVO RECORDE!</div>
+        : <div style={{ opacity: 0.7 }}>recorde {formatRaceTime(best.total)} ({formatDelta(total - best.total)})</div>}
+      {result.ghostSaved && <div style={{ color: '#4fc3f7', fontWeight: 700 }}>👻 fantasma salvo para a próxima</div>}
+      <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+        <thead>
+          <tr style={{ opacity: 0.6 }}>
+            <th style={{ ...cell, textAlign: 'left' }}>TRECHO</th>
+            {laps.map((_, l) => <th key={l} style={cell}>{laps.length > 1 ? `VOLTA ${l + 1}` : 'TEMPO'}</th>)}
+            <th style={cell}>MELHOR</th>
+          </tr>
+        </thead>
+        <tbody>
+          {splits[0].map((_, s) => (
+            <tr key={s}>
+              <td style={{ ...cell, textAlign: 'left' }}>{s + 1}</td>
+              {splits.map((lap, l) => <td key={l} style={cell}>{formatRaceTime(lap[s])}</td>)}
+              <td style={{ ...cell, color: records.splits[s] ? '#69f0ae' : '#fff', fontWeight: records.splits[s] ? 800 : 400 }}>
+                {records.splits[s] ? '★ novo' : formatRaceTime(best.splits[s])}
+              </td>
+            </tr>
+          ))}
+          {laps.length > 1 && (
+            <tr style={{ borderTop: '1px solid rgba(255,255,255,0.3)' }}>
+              <td style={{ ...cell, textAlign: 'left' }}>VOLTA</td>
+              {laps.map((t, l) => <td key={l} style={{ ...cell, fontWeight: 800 }}>{formatRaceTime(t)}</td>)}
+              <td />
+            </tr>
+          )}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', gap: 10 }}>
+        <button onClick={onRetry} style={{ ...smallBtn, padding: '10px 24px', background: '#ffd600', color: '#2b2d42' }}>🔄 REPETIR</button>
+        <button onClick={onClose} style={{ ...smallBtn, padding: '10px 24px', background: '#37474f', color: '#fff' }}>FECHAR</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Session replay: transport, scrub bar, clip in / out ────────
+const REPLAY_RATES = [0.25, 0.5, 1, 2];
+
+export function ReplayPanel({ replay, controls }) {
+  if (!replay) return null;
+  const { time, start, end, paused, rate, follow, from, to, clip, note } = replay;
+  const btn = (on) => ({
+    ...smallBtn, padding: '6px 10px', background: on ? '#ffd600' : '#37474f', color: on ? '#2b2d42' : '#fff',
+  });
+  return (
+    <div style={{
+      position: 'absolute', top: 16, left: '50%', transform: 'translateX(-50%)', zIndex: 70, minWidth: 440,
+      display: 'flex', flexDirection: 'column', gap: 8, padding: '10px 16px',
+      background: 'rgba(0,0,0,0.7)', borderRadius: 12, backdropFilter: 'blur(10px)',
+      fontFamily: "'Segoe UI', system-ui, sans-serif", color: '#fff', fontSize: '0.75rem',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <span style={{ fontWeight: 800, letterSpacing: 1, marginRight: 4 }}>🎬 {clip ? 'CLIPE' : 'REPLAY'}</span>
+        <button onClick={controls.pause} title="Pausar / continuar (espaço)" style={btn(false)}>{paused ? '▶' : '⏸'}</button>
+        {REPLAY_RATES.map(r => (
+          <button key={r} onClick={() => controls.rate(r)} style={btn(rate === r)}>{r}×</button>
+        ))}
+        <button onClick={controls.follow} title="A câmera acompanha o carro" style={btn(follow)}>🎥 SEGUIR</button>
+        <span style={{ marginLeft: 'auto', fontVariantNumeric: 'tabular-nums' }}>
+          {formatRaceTime(time - start)} / {formatRaceTime(end - start)}
+        </span>
+        <button onClick={controls.close} title="Voltar ao jogo (Esc)" style={{
+          ...smallBtn, padding: '6px 10px', background: '#c1121f', color: '#fff',
+        }}>✖</button>
+      </div>
+      <input type="range" min={start} max={end} step={0.05} value={time}
+        onChange={e => controls.seek(Number(e.target.value))} style={{ width: '100%' }} />
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontVariantNumeric: 'tabular-nums' }}>
+        <button onClick={controls.markIn} title="Início do clipe neste ponto" style={btn(false)}>⟦ {formatRaceTime(from - start)}</button>
+        <button onClick={controls.markOut} title="Fim do clipe neste ponto" style={btn(false)}>{formatRaceTime(to - start)} ⟧</button>
+        <button onClick={controls.exportClip} disabled={to <= from} style={{
+          ...smallBtn, padding: '6px 10px', background: '#0277bd', color: '#fff', opacity: to > from ? 1 : 0.4,
+        }}>✂ EXPORTAR CLIPE</button>
+        <label style={btn(false)}>
+          📂 ABRIR
+          <input type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={e => {
+            if (e.target.files[0]) controls.load(e.target.files[0]);
+            e.target.value = '';
+          }} />
+        </label>
+        {note && <span style={{ opacity: 0.8 }}>{note}</span>}
+      </div>
+    </div>
+  );
+}
+
 // ─── Minimap (canvas element) ───────────────────────────────────
 export function Minimap({ canvasRef }) {
   return (
@@ -189,7 +723,9 @@ export function Minimap({ canvasRef }) {
 }
 
 // draw function called from the game loop (imperative, not React)
-export function drawMinimap(ctx, carPos, carAngle, npcs, monsterPos, isNight) {
+// monsters: positions of the monsters currently in sight
+// route: race gates still to cross, the next one first (missionRoute)
+export function drawMinimap(ctx, carPos, carAngle, npcs, monsters, route = []) {
   const S = 180;
   const scale = S / WORLD_SIZE;
   const cx = S / 2, cy = S / 2;
@@ -217,18 +753,41 @@ export function drawMinimap(ctx, carPos, carAngle, npcs, monsterPos, isNight) {
     ctx.fill();
   });
 
-  // Monster (night only)
-  if (isNight && monsterPos) {
+  // Race route: a line through the gates ahead, the next one ringed
+  if (route.length) {
+    ctx.strokeStyle = 'rgba(255,214,0,0.6)';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(cx + carPos.x * scale, cy + carPos.z * scale);
+    route.forEach(g => ctx.lineTo(cx + g.x * scale, cy + g.z * scale));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    route.forEach((g, i) => {
+      ctx.fillStyle = i === 0 ? '#ffd600' : 'rgba(255,214,0,0.5)';
+      ctx.beginPath();
+      ctx.arc(cx + g.x * scale, cy + g.z * scale, i === 0 ? 4 : 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.strokeStyle = '#ffd600';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(cx + route[0].x * scale, cy + route[0].z * scale, 7, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  // Monsters
+  monsters.forEach(p => {
     ctx.fillStyle = '#ff0000';
     ctx.beginPath();
-    ctx.arc(cx + monsterPos.x * scale, cy + monsterPos.z * scale, 4, 0, Math.PI * 2);
+    ctx.arc(cx + p.x * scale, cy + p.z * scale, 4, 0, Math.PI * 2);
     ctx.fill();
     ctx.strokeStyle = 'rgba(255,0,0,0.4)';
     ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(cx + monsterPos.x * scale, cy + monsterPos.z * scale, 7, 0, Math.PI * 2);
+    ctx.arc(cx + p.x * scale, cy + p.z * scale, 7, 0, Math.PI * 2);
     ctx.stroke();
-  }
+  });
 
   // player
   ctx.save();
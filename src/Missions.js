@@ -0,0 +1,305 @@
+// ── Missions ────────────────────────────────────────────────────
+// Checkpoint races through the road network.  A mission (JSON, see
+// missions/index.js) lists checkpoints as a ROAD_DEFS index plus an
+// offset along that road; each becomes a gate straight across the
+// asphalt.  The first gate is the start line: the clock starts when the
+// car crosses it, then the gates must be taken in order.  A loop comes
+// back through the start line to finish each lap; a sprint ends at the
+// last gate.
+//
+// Every stretch between two gates is a segment.  Its time is compared
+// with the best split for that segment (any lap) and the best ones are
+// kept per mission in localStorage, with the best total.
+import * as THREE from 'three';
+import { ROAD_DEFS, ROAD_WIDTH } from './constants.js';
+
+const GATE_MARGIN = 2;      // units past the road edge that still count
+const GATE_HEIGHT = 6;
+const START_BACK  = 20;     // the car is placed this far before the start line
+const BEST_KEY    = 'owd-mission-best';
+
+// ── Parsing ─────────────────────────────────────────────────────
+// def → { id, name, description, order, laps, loop, gates, start }
+// gate: { x, z, axis, half } – crossed by moving along `axis`
+export function parseMission(def) {
+  const fail = (msg) => { throw new Error(`mission "${def.id ?? '?'}": ${msg}`); };
+  if (!def.id || !def.name) fail('needs an id and a name');
+  if (!Array.isArray(def.checkpoints) || def.checkpoints.length < 2) fail('needs at least two checkpoints');
+
+  const gates = def.checkpoints.map(({ road, offset = 0 }, i) => {
+    const r = ROAD_DEFS[road];
+    if (!r) fail(`checkpoint ${i}: no road ${road}`);
+    const alongX = r.w > r.d;
+    const length = alongX ? r.w : r.d;
+    if (Math.abs(offset) > length / 2) fail(`checkpoint ${i}: offset ${offset} is off road ${road}`);
+    return {
+      x: alongX ? r.x + offset : r.x,
+      z: alongX ? r.z : r.z + offset,
+      axis: alongX ? 'x' : 'z',
+      half: (alongX ? r.d : r.w) / 2,
+    };
+  });
+
+  const loop = def.loop !== false;
+  return {
+    id: def.id,
+    name: def.name,
+    description: def.description ?? '',
+    order: def.order ?? Infinity,
+    loop,
+    laps: loop ? Math.max(1, def.laps ?? 1) : 1,
+    gates,
+    start: startPose(gates),
+  };
+}
+
+// before the start line, in the right-hand lane, facing the way to gate 1
+function startPose(gates) {
+  const [g0, g1] = gates;
+  const other = g0.axis === 'x' ? 'z' : 'x';
+  const dir = Math.sign(g1[g0.axis] - g0[g0.axis]) || 1;
+  const pose = { x: g0.x, z: g0.z };
+  pose[g0.axis] -= dir * START_BACK;
+  // heading: forward is (sin a, cos a); the right-hand side is (-cos a, sin a)
+  const angle = g0.axis === 'x' ? dir * Math.PI / 2 : (dir > 0 ? 0 : Math.PI);
+  const right = g0.axis === 'x' ? Math.sin(angle) : -Math.cos(angle);
+  pose[other] += right * ROAD_WIDTH / 4;
+  return { ...pose, angle };
+}
+
+// number of segments in one lap
+const segmentsPerLap = (mission) => (mission.loop ? mission.gates.length : mission.gates.length - 1);
+
+// ── Best times ──────────────────────────────────────────────────
+export function loadBestTimes(id) {
+  try {
+    return JSON.parse(window.localStorage.getItem(BEST_KEY))?.[id] ?? null;
+  } catch {
+    return null;   // storage blocked or corrupt
+  }
+}
+
+function saveBestTimes(id, best) {
+  try {
+    const all = JSON.parse(window.localStorage.getItem(BEST_KEY)) ?? {};
+    all[id] = best;
+    window.localStorage.setItem(BEST_KEY, JSON.stringify(all));
+  } catch {
+    // not persisted; the records still show on the finish screen
+  }
+}
+
+// ── Gate markers ────────────────────────────────────────────────
+function checkerTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 8;
+  const g = canvas.getContext('2d');
+  for (let i = 0; i < 16; i++) {
+    for (let j = 0; j < 2; j++) {
+      g.fillStyle = (i + j) % 2 ? '#111' : '#fff';
+      g.fillRect(i * 4, j * 4, 4, 4);
+    }
+  }
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.magFilter = THREE.NearestFilter;
+  return tex;
+}
+
+function buildGate(gate, finish, checker) {
+  const g = new THREE.Group();
+  const width = (gate.half + GATE_MARGIN) * 2;
+  const postMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6 });
+  const bannerMat = new THREE.MeshStandardMaterial({
+    color: 0xffffff, map: finish ? checker : null, emissive: 0xffd600, emissiveIntensity: 0,
+  });
+  const curtainMat = new THREE.MeshBasicMaterial({
+    color: 0xffd600, transparent: true, opacity: 0, side: THREE.DoubleSide, depthWrite: false,
+  });
+
+  // built across local x; turned below so it spans the road
+  const postGeo = new THREE.CylinderGeometry(0.3, 0.3, GATE_HEIGHT, 8);
+  for (const side of [-1, 1]) {
+    const post = new THREE.Mesh(postGeo, postMat);
+    post.position.set(side * width / 2, GATE_HEIGHT / 2, 0);
+    post.castShadow = true;
+    g.add(post);
+  }
+  const banner = new THREE.Mesh(new THREE.BoxGeometry(width, 1, 0.3), bannerMat);
+  banner.position.y = GATE_HEIGHT - 0.5;
+  g.add(banner);
+  const curtain = new THREE.Mesh(new THREE.PlaneGeometry(width, GATE_HEIGHT - 1), curtainMat);
+  curtain.position.y = (GATE_HEIGHT - 1) / 2;
+  g.add(curtain);
+
+  g.position.set(gate.x, 0, gate.z);
+  g.rotation.y = gate.axis === 'x' ? Math.PI / 2 : 0;
+  return { group: g, bannerMat, curtainMat };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═════════════════════════════════════════════════════════════════
+
+export function createMissions(scene) {
+  const group = new THREE.Group();
+  scene.add(group);
+  return {
+    group,
+    checker: checkerTexture(),
+    markers: [],
+    mission: null,
+    phase: 'idle',      // 'idle' | 'ready' (before the start line) | 'racing' | 'finished'
+    next: 0,            // gate to cross next
+    lap: 0,
+    time: 0,            // s since the start line
+    segStart: 0,        // time the current segment began
+    splits: [],         // [lap][segment] s
+    best: null,         // saved best times when the mission started
+  };
+}
+
+function clearMarkers(ms) {
+  for (const m of ms.markers) {
+    ms.group.remove(m.group);
+    m.group.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
+  }
+  ms.markers = [];
+}
+
+// shows the gates; the caller puts the car at mission.start
+export function startMission(ms, mission) {
+  clearMarkers(ms);
+  const last = mission.loop ? 0 : mission.gates.length - 1;
+  ms.markers = mission.gates.map((gate, i) => {
+    const marker = buildGate(gate, i === last, ms.checker);
+    ms.group.add(marker.group);
+    return marker;
+  });
+  ms.mission = mission;
+  ms.phase = 'ready';
+  ms.next = 0;
+  ms.lap = 0;
+  ms.time = 0;
+  ms.segStart = 0;
+  ms.splits = [[]];
+  ms.best = loadBestTimes(mission.id);
+  highlight(ms);
+}
+
+export function stopMission(ms) {
+  clearMarkers(ms);
+  ms.mission = null;
+  ms.phase = 'idle';
+}
+
+// next gate bright, the one after it dim, the rest faint
+function highlight(ms) {
+  const n = ms.markers.length;
+  ms.markers.forEach((m, i) => {
+    const ahead = ms.phase === 'finished' ? -1 : (i - ms.next + n) % n;
+    m.bannerMat.emissiveIntensity = ahead === 0 ? 1 : ahead === 1 ? 0.3 : 0;
+    m.curtainMat.opacity = ahead === 0 ? 0.25 : 0;
+    m.group.visible = ms.phase !== 'finished';
+  });
+}
+
+function crossed(gate, prev, pos) {
+  const a = gate.axis, o = a === 'x' ? 'z' : 'x';
+  const before = prev[a] - gate[a], after = pos[a] - gate[a];
+  if (before === after || (before < 0) === (after < 0)) return false;
+  // where the move passes the gate line
+  const t = before / (before - after);
+  const across = prev[o] + (pos[o] - prev[o]) * t;
+  return Math.abs(across - gate[o]) < gate.half + GATE_MARGIN;
+}
+
+// prev / pos: the car's position last frame and now.  Returns null, or
+// the gate event this frame:
+//   { type: 'start' }
+//   { type: 'checkpoint' | 'lap' | 'finish', segment, time, delta }
+//     delta: s against the best split for that segment (null if none)
+//   'finish' also carries the result: { total, laps, splits, best, records }
+export function updateMission(ms, sec, prev, pos) {
+  if (ms.phase === 'racing') ms.time += sec;
+  if (ms.phase !== 'ready' && ms.phase !== 'racing') return null;
+  const { mission } = ms;
+  if (!crossed(mission.gates[ms.next], prev, pos)) return null;
+
+  if (ms.phase === 'ready') {
+    ms.phase = 'racing';
+    ms.next = 1;
+    highlight(ms);
+    return { type: 'start' };
+  }
+
+  // a segment done
+  const segment = ms.splits[ms.lap].length;
+  const time = ms.time - ms.segStart;
+  ms.splits[ms.lap].push(time);
+  ms.segStart = ms.time;
+  const bestSplit = ms.best?.splits?.[segment];
+  const delta = bestSplit == null ? null : time - bestSplit;
+
+  const lapDone = segment === segmentsPerLap(mission) - 1;
+  let type = 'checkpoint';
+  if (lapDone) {
+    ms.lap++;
+    if (ms.lap >= mission.laps) type = 'finish';
+    else { type = 'lap'; ms.splits.push([]); }
+  }
+  ms.next = (ms.next + 1) % mission.gates.length;
+
+  if (type !== 'finish') {
+    highlight(ms);
+    return { type, segment, time, delta };
+  }
+  ms.phase = 'finished';
+  highlight(ms);
+  return { type, segment, time, delta, result: finishRun(ms) };
+}
+
+// lap and split times, against and merged into the saved bests
+function finishRun(ms) {
+  const { mission, splits, best } = ms;
+  const laps = splits.map(lap => lap.reduce((a, b) => a + b, 0));
+  const total = ms.time;
+  const count = segmentsPerLap(mission);
+
+  const bestSplits = [];
+  const splitRecords = [];
+  for (let s = 0; s < count; s++) {
+    const mine = Math.min(...splits.map(lap => lap[s]));
+    const old = best?.splits?.[s];
+    splitRecords.push(old == null || mine < old);
+    bestSplits.push(old == null ? mine : Math.min(old, mine));
+  }
+  const totalRecord = best?.total == null || total < best.total;
+  saveBestTimes(mission.id, {
+    total: totalRecord ? total : best.total,
+    splits: bestSplits,
+  });
+
+  return {
+    mission: { id: mission.id, name: mission.name },
+    total, laps, splits,
+    best,                                    // before this run
+    records: { total: totalRecord, splits: splitRecords },
+  };
+}
+
+// minimap: the gates in race order from the next one, or [] when idle
+export function missionRoute(ms) {
+  if (!ms.mission || ms.phase === 'finished') return [];
+  const { gates } = ms.mission;
+  const route = [];
+  for (let k = 0; k < gates.length; k++) {
+    const i = (ms.next + k) % gates.length;
+    if (!ms.mission.loop && i < ms.next) break;   // a sprint does not wrap
+    route.push(gates[i]);
+  }
+  return route;
+}
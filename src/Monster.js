@@ -1,10 +1,61 @@
 // ── Monster System ──────────────────────────────────────────────
-// A slow, terrifying creature that only appears at night.
-// Chases the player with glowing red eyes and a sinister float.
+// Terrifying creatures that only come out at night and hunt the player.
+// The roster (MONSTER_TYPES) has three kinds, each with its own mesh,
+// speeds, senses and bite:
+//   giant    – slow horned brute; hard to dazzle, throws the car back
+//   crawler  – low and quick; sharp-eared but short-sighted, shies from
+//              the headlights, nips at the car to slow it down
+//   shadow   – half-there figure that blinks toward the car while unseen
+//              and vanishes again after it strikes
+// createHorde() sends out a roster per night from MONSTER_NIGHTS, more
+// and faster on each consecutive night.
+//
+// A monster does not simply know where the car is.  A small state
+// machine (monster.state) decides what it does:
+//   stalk    – trails the car by a rough scent, keeps `stalkDist` away
+//              for a while before creeping in, and flickers in and out
+//              of sight
+//   hunt     – it has spotted the car: charges, speeding up toward
+//              `huntSpeed` while it keeps line of sight
+//   search   – lost the car: walks to where it last saw it, lingers
+//              there, then goes back to stalking
+//   retreat  – dazzled by the headlights, or dawn broke: flees, then
+//              stalks again (or vanishes for the day)
+//   gone     – daytime, hidden
+// It spots the car at close range (`sense`), in plain sight within
+// `sight`, or much further off while it stands in the headlight beam.
+//
+// It cannot walk through buildings: it follows an A* route along the
+// road graph to its goal, re-planned twice a second, and cuts corners
+// by heading for the furthest waypoint it can see (lineOfSight against
+// the building boxes).
 import * as THREE from 'three';
-import { MONSTER_SPEED, MONSTER_SPAWN_DIST, MONSTER_HIT_DIST } from './constants.js';
+import { MONSTER_TYPES, MONSTER_NIGHTS, MONSTER_SPAWN_DIST } from './constants.js';
+import { findPath, nearestEdgePoint } from './RoadGraph.js';
+import { lineOfSight } from './Collision.js';
 
-function buildMonsterMesh() {
+const REPATH    = 0.5;    // s between route updates
+const BODY_PAD  = 1.5;    // clearance kept from building boxes when cutting corners
+const LOOKAHEAD = 4;      // waypoints checked for a shortcut
+const REACHED   = 3;      // units from a waypoint that count as passing it
+
+// perception
+const BEAM_HALF    = Math.PI / 5;  // beam half-angle (the car's SpotLight)
+const GLARE_DIST   = 30;           // the beam dazzles it inside this
+
+// behaviour (s)
+const STALK_TIME    = 8;     // stalking at least this long before it strikes
+const SCENT_TIME    = 4;     // how often a stalker re-guesses where the car is
+const SCENT_ERROR   = 30;    // … and how far off the guess can be
+const LOSE_TIME     = 1.5;   // out of sight this long → searching
+const SEARCH_TIME   = 15;
+const SEARCH_LINGER = 3;     // looks around the last known spot at least this long
+const RETREAT_TIME  = 5;
+const RETREAT_DIST  = 150;   // how far away it flees
+const ACCEL         = 0.8;   // per s toward the target speed
+
+// ── Giant: the horned brute ──
+function buildGiant() {
   const g = new THREE.Group();
   const add = (geo, mat, x, y, z) => {
     const m = new THREE.Mesh(geo, mat); m.position.set(x, y, z); g.add(m); return m;
@@ -70,87 +121,419 @@ function buildMonsterMesh() {
   g.add(glow);
 
   // scale up
-  g.scale.set(1.8, 1.8, 1.8);
+  g.scale.set(2.2, 2.2, 2.2);
+
+  return { group: g, limbs: [leftArm, rightArm], glow, eyeMat, sway: 2, bob: 0.4, lift: 0.3 };
+}
+
+// ── Crawler: low, many-legged, quick ──
+function buildCrawler() {
+  const g = new THREE.Group();
+  const add = (geo, mat, x, y, z) => {
+    const m = new THREE.Mesh(geo, mat); m.position.set(x, y, z); g.add(m); return m;
+  };
+
+  const shellMat = new THREE.MeshStandardMaterial({ color: 0x150a08, roughness: 0.5, metalness: 0.2 });
+  const legMat   = new THREE.MeshStandardMaterial({ color: 0x0a0505, roughness: 0.8 });
+  const eyeMat   = new THREE.MeshStandardMaterial({
+    color: 0xaaff00, emissive: 0xaaff00, emissiveIntensity: 2.5,
+  });
+
+  // ── Body + head ──
+  const body = add(new THREE.SphereGeometry(1, 12, 8), shellMat, 0, 0.9, 0);
+  body.scale.set(1.4, 0.5, 1.8);
+  body.castShadow = true;
+  add(new THREE.SphereGeometry(0.6, 10, 8), shellMat, 0, 0.9, 1.7).castShadow = true;
+
+  // ── Eyes (a cluster of four) ──
+  const eyeGeo = new THREE.SphereGeometry(0.12, 6, 4);
+  for (const [x, y] of [[-0.25, 1.1], [0.25, 1.1], [-0.4, 0.9], [0.4, 0.9]]) {
+    add(eyeGeo, eyeMat, x, y, 2.2);
+  }
+
+  // ── Legs (3 per side, splayed) ──
+  const legGeo = new THREE.BoxGeometry(2.2, 0.15, 0.15);
+  const limbs = [];
+  for (const side of [-1, 1]) {
+    for (const z of [-0.9, 0, 0.9]) {
+      const leg = add(legGeo, legMat, side * 1.6, 0.6, z);
+      leg.rotation.z = side * -0.5;
+      leg.userData.swing = 'y';    // scuttles sideways, not fore-and-aft
+      limbs.push(leg);
+    }
+  }
+
+  // ── Sickly green glow underneath ──
+  const glow = new THREE.PointLight(0x66ff00, 1.5, 30, 2);
+  glow.position.set(0, 0.5, 0);
+  g.add(glow);
 
-  return { group: g, leftArm, rightArm, glow, eyeMat };
+  g.scale.set(1.2, 1.2, 1.2);
+  return { group: g, limbs, glow, eyeMat, sway: 14, bob: 0.08, lift: 0 };
 }
 
+// ── Shadow: a tall, half-there figure that blinks closer ──
+function buildShadow() {
+  const g = new THREE.Group();
+  const add = (geo, mat, x, y, z) => {
+    const m = new THREE.Mesh(geo, mat); m.position.set(x, y, z); g.add(m); return m;
+  };
+
+  const veilMat = new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.75 });
+  const eyeMat  = new THREE.MeshStandardMaterial({
+    color: 0xb388ff, emissive: 0xb388ff, emissiveIntensity: 2.5,
+  });
+
+  // ── Cloak + head ──
+  add(new THREE.ConeGeometry(1.4, 6, 10), veilMat, 0, 3, 0);
+  add(new THREE.SphereGeometry(0.8, 10, 8), veilMat, 0, 6.4, 0);
+
+  // ── Eyes (pale violet) ──
+  add(new THREE.SphereGeometry(0.15, 6, 4), eyeMat, -0.3, 6.5, 0.7);
+  add(new THREE.SphereGeometry(0.15, 6, 4), eyeMat,  0.3, 6.5, 0.7);
+
+  // ── Long arms ──
+  const armGeo = new THREE.BoxGeometry(0.3, 4, 0.3);
+  const leftArm  = add(armGeo, veilMat, -1.1, 3.8, 0.2);
+  leftArm.rotation.z = 0.3;
+  const rightArm = add(armGeo, veilMat,  1.1, 3.8, 0.2);
+  rightArm.rotation.z = -0.3;
+
+  const glow = new THREE.PointLight(0x6a00ff, 1.5, 30, 2);
+  glow.position.set(0, 1, 0);
+  g.add(glow);
+
+  g.scale.set(1.5, 1.5, 1.5);
+  return { group: g, limbs: [leftArm, rightArm], glow, eyeMat, sway: 1.5, bob: 0.6, lift: 1 };
+}
+
+const BUILDERS = { giant: buildGiant, crawler: buildCrawler, shadow: buildShadow };
+
 // ═════════════════════════════════════════════════════════════════
 // PUBLIC API
 // ═════════════════════════════════════════════════════════════════
 
-export function createMonster(scene) {
-  const { group, leftArm, rightArm, glow, eyeMat } = buildMonsterMesh();
+// type: a MONSTER_TYPES key; speedScale: the night's speed multiplier;
+// bearing: rad added to "straight behind the player" for the spawn
+export function createMonster(scene, type = 'giant', speedScale = 1, bearing = 0) {
+  const { group, limbs, glow, eyeMat, sway, bob, lift } = BUILDERS[type]();
   group.visible = false;
   group.position.set(0, 0, -MONSTER_SPAWN_DIST);
   scene.add(group);
+  const base = MONSTER_TYPES[type];
 
   return {
+    type,
+    stats: { ...base, speed: base.speed * speedScale, huntSpeed: base.huntSpeed * speedScale },
+    bearing,
     mesh: group,
-    leftArm,
-    rightArm,
+    limbs,
     glow,
     eyeMat,
+    anim: { sway, bob, lift },
     time: 0,
-    wasNight: false,
     dist: 9999,
+    state: 'gone',
+    stateTime: 0,   // s in the current state
+    speed: base.speed * speedScale,
+    sees: false,    // perceives the car this frame
+    los: false,     // has a clear line to it
+    lastSeen: 0,    // s since it last perceived the car
+    lastKnown: { x: 0, z: 0 },
+    scent: { x: 0, z: 0 },
+    scentTimer: 0,
+    glare: 0,       // s spent in the headlight beam up close
+    flicker: 0,     // s until a stalker blinks in / out
+    teleport: base.teleport,   // s until a shadow may blink again
+    cooldown: 0,    // s until it can strike again
+    goal: { x: 0, z: 0 },
+    path: [],       // waypoints along the roads to the goal
+    next: 0,        // index of the waypoint being walked to
+    repath: 0,      // s until the route is re-planned
   };
 }
 
-export function updateMonster(monster, dt, carPos, isNight) {
+export function disposeMonster(scene, monster) {
+  scene.remove(monster.mesh);
+  monster.mesh.traverse(obj => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) obj.material.dispose();
+  });
+}
+
+function enter(monster, state) {
+  monster.state = state;
+  monster.stateTime = 0;
+  monster.repath = 0;
+  monster.mesh.visible = state !== 'gone';
+}
+
+// jump straight to (x, z) snapped onto the nearest street
+function blinkTo(monster, nav, x, z) {
+  const p = nearestEdgePoint(nav.graph, x, z);
+  monster.mesh.position.x = p.x;
+  monster.mesh.position.z = p.z;
+  monster.repath = 0;
+  monster.teleport = monster.stats.teleport;
+}
+
+// pick the point to walk toward this frame
+function steer(monster, goal, nav) {
+  const m = monster.mesh.position;
+  if (lineOfSight(nav.world, m.x, m.z, goal.x, goal.z, BODY_PAD)) return goal;
+
+  const { path } = monster;
+  while (monster.next < path.length - 1 &&
+         Math.hypot(path[monster.next].x - m.x, path[monster.next].z - m.z) < REACHED) monster.next++;
+  // furthest waypoint ahead that can be reached in a straight line
+  for (let k = Math.min(path.length - 1, monster.next + LOOKAHEAD); k > monster.next; k--) {
+    if (lineOfSight(nav.world, m.x, m.z, path[k].x, path[k].z, BODY_PAD)) { monster.next = k; break; }
+  }
+  return path[monster.next] ?? goal;
+}
+
+// what the monster knows about the car this frame
+function perceive(monster, sec, carPos, nav) {
+  const { sense, sight, beamSight } = monster.stats;
+  const m = monster.mesh.position;
+  const dx = m.x - carPos.x, dz = m.z - carPos.z;
+  const dist = monster.dist;
+  const los = dist < beamSight && lineOfSight(nav.world, carPos.x, carPos.z, m.x, m.z);
+  // inside the beam: within BEAM_HALF of the car's heading
+  const level = nav.headlight ?? 0;
+  const facing = (Math.sin(nav.heading) * dx + Math.cos(nav.heading) * dz) / Math.max(dist, 1e-3);
+  const lit = los && level > 0.1 && facing > Math.cos(BEAM_HALF);
+
+  monster.los = los;
+  monster.sees = dist < sense || (los && (dist < sight || (lit && dist < beamSight * level)));
+  if (monster.sees) {
+    monster.lastSeen = 0;
+    monster.lastKnown.x = carPos.x;
+    monster.lastKnown.z = carPos.z;
+  } else {
+    monster.lastSeen += sec;
+  }
+  monster.glare = lit && level > 0.3 && dist < GLARE_DIST
+    ? monster.glare + sec
+    : Math.max(0, monster.glare - sec);
+}
+
+function flee(monster, carPos, nav) {
+  const m = monster.mesh.position;
+  const d = Math.max(monster.dist, 1e-3);
+  const away = nearestEdgePoint(nav.graph,
+    m.x + (m.x - carPos.x) / d * RETREAT_DIST,
+    m.z + (m.z - carPos.z) / d * RETREAT_DIST);
+  monster.goal.x = away.x;
+  monster.goal.z = away.z;
+  monster.glare = 0;
+  enter(monster, 'retreat');
+}
+
+// nav: { graph, world, heading, headlight } – road graph for routes,
+// world.index for walls, the car's heading (rad) and headlight level
+// (0 off … 1 full) for the beam.  `hit` is true on the frame it strikes
+// the car; the caller applies the type's damage and knock.
+export function updateMonster(monster, dt, carPos, isNight, nav) {
   const m = monster.mesh;
+  const { stats } = monster;
+  const sec = dt / 60;
   monster.time += dt * 0.016;  // real-ish seconds
+  monster.stateTime += sec;
+  monster.cooldown = Math.max(0, monster.cooldown - sec);
+
+  // ── Nightfall: spawn behind the player, stalking ──
+  if (isNight && monster.state === 'gone') {
+    const spawnAngle = Math.atan2(carPos.x, carPos.z) + Math.PI + monster.bearing;
+    // … standing on the nearest street, never inside a block
+    blinkTo(monster, nav,
+      carPos.x + Math.sin(spawnAngle) * MONSTER_SPAWN_DIST,
+      carPos.z + Math.cos(spawnAngle) * MONSTER_SPAWN_DIST);
+    monster.speed = stats.speed;
+    monster.scent.x = carPos.x;
+    monster.scent.z = carPos.z;
+    monster.lastSeen = LOSE_TIME;
+    enter(monster, 'stalk');
+  }
+  if (monster.state === 'gone') return { isClose: false, hit: false, dist: monster.dist, state: 'gone' };
+
+  monster.dist = Math.hypot(carPos.x - m.position.x, carPos.z - m.position.z);
+  perceive(monster, sec, carPos, nav);
+
+  // ── Behaviour ──
+  if (monster.state !== 'retreat' && (!isNight || monster.glare > stats.glareTime)) flee(monster, carPos, nav);
 
-  // ── Night on: show + chase ──
-  if (isNight) {
-    if (!monster.wasNight) {
-      // just became night → spawn behind player
-      const spawnAngle = Math.atan2(carPos.x, carPos.z) + Math.PI;
-      m.position.x = carPos.x + Math.sin(spawnAngle) * MONSTER_SPAWN_DIST;
-      m.position.z = carPos.z + Math.cos(spawnAngle) * MONSTER_SPAWN_DIST;
-      m.visible = true;
-      monster.wasNight = true;
+  switch (monster.state) {
+    case 'stalk': {
+      monster.scentTimer -= sec;
+      if (monster.scentTimer <= 0) {
+        monster.scent.x = carPos.x + (Math.random() * 2 - 1) * SCENT_ERROR;
+        monster.scent.z = carPos.z + (Math.random() * 2 - 1) * SCENT_ERROR;
+        monster.scentTimer = SCENT_TIME;
+      }
+      if (monster.sees && monster.stateTime > STALK_TIME) enter(monster, 'hunt');
+      break;
     }
+    case 'hunt':
+      if (monster.lastSeen > LOSE_TIME) enter(monster, 'search');
+      break;
+    case 'search':
+      if (monster.sees) enter(monster, 'hunt');
+      else if (monster.stateTime > SEARCH_TIME || (monster.stateTime > SEARCH_LINGER &&
+               Math.hypot(monster.lastKnown.x - m.position.x, monster.lastKnown.z - m.position.z) < REACHED)) {
+        enter(monster, 'stalk');
+      }
+      break;
+    case 'retreat':
+      if (monster.stateTime > RETREAT_TIME || monster.dist > MONSTER_SPAWN_DIST) {
+        if (isNight) enter(monster, 'stalk');
+        else {
+          // gone for the day
+          enter(monster, 'gone');
+          m.position.set(0, -50, 0);
+          monster.dist = 9999;
+          return { isClose: false, hit: false, dist: monster.dist, state: 'gone' };
+        }
+      }
+      break;
+  }
 
-    // chase the player
-    const dx = carPos.x - m.position.x;
-    const dz = carPos.z - m.position.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-    monster.dist = dist;
-
-    if (dist > 2) {
-      const nx = dx / dist;
-      const nz = dz / dist;
-      m.position.x += nx * MONSTER_SPEED * dt;
-      m.position.z += nz * MONSTER_SPEED * dt;
-      m.rotation.y = Math.atan2(dx, dz);
+  // shadows blink in behind the car while it cannot see them
+  if (stats.teleport && (monster.state === 'stalk' || monster.state === 'search') && !monster.los) {
+    monster.teleport -= sec;
+    if (monster.teleport <= 0) {
+      const behind = nav.heading + Math.PI;
+      blinkTo(monster, nav,
+        carPos.x + Math.sin(behind) * stats.stalkDist,
+        carPos.z + Math.cos(behind) * stats.stalkDist);
+      monster.dist = Math.hypot(carPos.x - m.position.x, carPos.z - m.position.z);
     }
+  }
+  const { state } = monster;
 
-    // sinister floating animation
-    m.position.y = Math.sin(monster.time * 2) * 0.4 + 0.3;
+  // ── Goal and speed ──
+  const goal = state === 'hunt' && monster.sees ? carPos
+    : state === 'hunt' || state === 'search' ? monster.lastKnown
+    : state === 'stalk' ? (monster.sees ? carPos : monster.scent)
+    : monster.goal;
+  const topSpeed = state === 'retreat' || (state === 'hunt' && monster.los) ? stats.huntSpeed : stats.speed;
+  monster.speed += (topSpeed - monster.speed) * Math.min(1, ACCEL * sec);
 
-    // arm sway
-    monster.leftArm.rotation.x  = Math.sin(monster.time * 3) * 0.3;
-    monster.rightArm.rotation.x = Math.sin(monster.time * 3 + Math.PI) * 0.3;
+  // re-plan the route along the streets
+  monster.repath -= sec;
+  if (monster.repath <= 0) {
+    monster.path = findPath(nav.graph, m.position.x, m.position.z, goal.x, goal.z);
+    monster.path.push({ x: goal.x, z: goal.z });   // last leg off the road
+    monster.next = 1;
+    monster.repath = REPATH;
+  }
 
-    // eye pulse
-    monster.eyeMat.emissiveIntensity = 2.0 + Math.sin(monster.time * 5) * 0.8;
+  // ── Move ──
+  const target = steer(monster, goal, nav);
+  const dx = target.x - m.position.x;
+  const dz = target.z - m.position.z;
+  const dist = Math.hypot(dx, dz);
+  // a stalker keeps its distance for a while, then creeps in
+  const holding = state === 'stalk' && monster.stateTime < STALK_TIME && monster.dist < stats.stalkDist;
+  const onCar = state !== 'retreat' && monster.dist <= 2;
 
-    // glow intensity increases as it gets closer
-    monster.glow.intensity = Math.min(3, 1.5 + (150 / Math.max(dist, 10)));
+  if (!holding && !onCar && dist > 1e-3) {
+    const step = Math.min(dist, monster.speed * dt);
+    m.position.x += dx / dist * step;
+    m.position.z += dz / dist * step;
+    m.rotation.y = Math.atan2(dx, dz);
+  } else if (holding) {
+    m.rotation.y = Math.atan2(carPos.x - m.position.x, carPos.z - m.position.z);
+  }
 
+  // stalkers blink in and out of sight
+  if (state === 'stalk') {
+    monster.flicker -= sec;
+    if (monster.flicker <= 0) {
+      m.visible = !m.visible;
+      monster.flicker = m.visible ? 0.3 + Math.random() * 1.2 : 0.1 + Math.random() * 0.4;
+    }
   } else {
-    // ── Day: hide + reset ──
-    if (monster.wasNight) {
-      m.visible = false;
-      m.position.set(0, -50, 0);
-      monster.wasNight = false;
-      monster.dist = 9999;
+    m.visible = true;
+  }
+
+  // ── Animation: float / scuttle, limbs swing, frantic while hunting ──
+  const { sway, bob, lift } = monster.anim;
+  m.position.y = Math.sin(monster.time * 2) * bob + lift;
+  const rate = sway * (state === 'hunt' ? 2 : 1);
+  monster.limbs.forEach((limb, i) => {
+    limb.rotation[limb.userData.swing ?? 'x'] = Math.sin(monster.time * rate + i * Math.PI) * 0.3;
+  });
+
+  // eye pulse
+  monster.eyeMat.emissiveIntensity = (state === 'hunt' ? 3.0 : 2.0) + Math.sin(monster.time * 5) * 0.8;
+
+  // glow intensity increases as it gets closer
+  monster.glow.intensity = Math.min(3, 1.5 + (150 / Math.max(monster.dist, 10)));
+
+  // ── Attack ──
+  const isClose = state !== 'retreat' && monster.dist < stats.hitDist;
+  const hit = isClose && monster.cooldown <= 0;
+  if (hit) {
+    monster.cooldown = stats.cooldown;
+    // a shadow strikes and is gone again
+    if (stats.teleport) {
+      const away = Math.random() * Math.PI * 2;
+      blinkTo(monster, nav,
+        carPos.x + Math.sin(away) * RETREAT_DIST,
+        carPos.z + Math.cos(away) * RETREAT_DIST);
+      enter(monster, 'stalk');
     }
   }
 
+  return { isClose, hit, dist: monster.dist, state: monster.state };
+}
+
+// ── Horde: the night's roster ───────────────────────────────────
+export function createHorde(scene) {
   return {
-    isClose: isNight && monster.dist < MONSTER_HIT_DIST,
-    dist: monster.dist,
+    scene,
+    monsters: [],
+    night: 0,          // nights the horde has come out this run
+    wasNight: false,
+    nearest: null,     // closest monster still out, or null
   };
 }
+
+// runs every monster; returns the nearest one's { dist, state, type },
+// how many are out, whether any is close, and the monsters that struck
+// the car this frame (`hits`)
+export function updateHorde(horde, dt, carPos, isNight, nav) {
+  // nightfall: a fresh roster, harder every night
+  if (isNight && !horde.wasNight) {
+    for (const m of horde.monsters) disposeMonster(horde.scene, m);
+    const { roster, speed } = MONSTER_NIGHTS[Math.min(horde.night, MONSTER_NIGHTS.length - 1)];
+    horde.monsters = roster.map((type, i) =>
+      createMonster(horde.scene, type, speed, i * Math.PI * 2 / roster.length));
+    horde.night++;
+  }
+  horde.wasNight = isNight;
+
+  const result = { dist: 9999, state: 'gone', type: null, count: 0, isClose: false, hits: [] };
+  horde.nearest = null;
+  for (const m of horde.monsters) {
+    const r = updateMonster(m, dt, carPos, isNight, nav);
+    if (r.state === 'gone') continue;
+    result.count++;
+    result.isClose ||= r.isClose;
+    if (r.hit) result.hits.push(m);
+    if (r.dist < result.dist) {
+      result.dist = r.dist;
+      result.state = r.state;
+      result.type = m.type;
+      horde.nearest = m;
+    }
+  }
+
+  // all gone for the day
+  if (!isNight && horde.monsters.length && !result.count) {
+    for (const m of horde.monsters) disposeMonster(horde.scene, m);
+    horde.monsters = [];
+  }
+  return result;
+}
@@ -1,6 +1,10 @@
 // ── NPC Traffic System ──────────────────────────────────────────
+// Cars follow the road graph (RoadGraph.js), hold their lane, queue
+// behind each other, stop for red / amber and turn at junctions.
 import * as THREE from 'three';
-import { ROAD_DEFS, NPC_COUNT } from './constants.js';
+import { NPC_COUNT, STOP_LINE_DIST } from './constants.js';
+import { otherEnd } from './RoadGraph.js';
+import { moveItem, queryRadius } from './SpatialHash.js';
 
 const NPC_COLORS = [
   0x2196f3, 0x4caf50, 0xff9800, 0x9c27b0,
@@ -40,58 +44,182 @@ function buildNPCCar(color) {
   return g;
 }
 
+// ── Lane geometry ───────────────────────────────────────────────
+// NPCs drive on the right: the lane centre sits LANE to the right of
+// the road axis.  They stop CLEAR units before a node's centre (the
+// stop line) and cross the junction along a quadratic Bézier.
+const LANE      = 2.8;
+const CLEAR     = STOP_LINE_DIST;
+const CAR_GAP   = 7;      // bumper-to-bumper distance kept to the car ahead
+const NPC_ACCEL = 0.006;
+const NPC_BRAKE = 0.03;
+
+export const NPC_RADIUS = 3;   // collision circle around each NPC car
+
+function unitDir(graph, edge, fromId) {
+  const a = graph.nodes[fromId], b = graph.nodes[otherEnd(edge, fromId)];
+  const dx = b.x - a.x, dz = b.z - a.z;
+  const len = Math.hypot(dx, dz) || 1;
+  return { x: dx / len, z: dz / len };
+}
+
+// right-hand side of a heading (x, z) in this scene's coordinates
+function rightOf(d) { return { x: -d.z, z: d.x }; }
+
+function lanePoint(graph, edge, fromId, s) {
+  const a = graph.nodes[fromId];
+  const d = unitDir(graph, edge, fromId);
+  const r = rightOf(d);
+  return { x: a.x + d.x * s + r.x * LANE, z: a.z + d.z * s + r.z * LANE };
+}
+
+function bezier(p0, p1, p2, t) {
+  const u = 1 - t;
+  return {
+    x: u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+    z: u * u * p0.z + 2 * u * t * p1.z + t * t * p2.z,
+  };
+}
+
+// choose left / right / straight at `nodeId`; U-turn only at dead ends
+function pickNextEdge(graph, edge, nodeId, rng) {
+  const node = graph.nodes[nodeId];
+  const options = node.edges.filter(id => id !== edge.id);
+  if (!options.length) return edge;
+  return graph.edges[options[Math.floor(rng() * options.length)]];
+}
+
+function planTurn(graph, n, node) {
+  const inDir  = unitDir(graph, n.edge, n.from);
+  const next   = pickNextEdge(graph, n.edge, node.id, n.rng);
+  const outDir = unitDir(graph, next, node.id);
+
+  const p0 = lanePoint(graph, n.edge, n.from, n.edge.length - CLEAR);
+  const p2 = lanePoint(graph, next, node.id, CLEAR);
+  const dot = inDir.x * outDir.x + inDir.z * outDir.z;
+
+  let p1;
+  if (dot > 0.9) {                       // straight on
+    p1 = { x: (p0.x + p2.x) / 2, z: (p0.z + p2.z) / 2 };
+  } else if (dot < -0.9) {               // dead end → U-turn
+    p1 = { x: node.x + inDir.x * CLEAR, z: node.z + inDir.z * CLEAR };
+  } else {                               // left / right: corner of both lanes
+    const t = (p2.x - p0.x) * inDir.x + (p2.z - p0.z) * inDir.z;
+    p1 = { x: p0.x + inDir.x * t, z: p0.z + inDir.z * t };
+  }
+
+  let len = 0, prev = p0;
+  for (let i = 1; i <= 8; i++) {
+    const p = bezier(p0, p1, p2, i / 8);
+    len += Math.hypot(p.x - prev.x, p.z - prev.z);
+    prev = p;
+  }
+
+  return {
+    p0, p1, p2, len: Math.max(len, 1), t: 0,
+    inEdge: n.edge, inFrom: n.from, edge: next, from: node.id,
+  };
+}
+
 // ── Public API ──────────────────────────────────────────────────
-export function createNPCs(scene) {
+// `index` is a spatial hash the NPCs keep themselves registered in,
+// shared with collision and minimap queries.
+export function createNPCs(scene, rng, graph, index) {
   const npcs = [];
-  const validRoads = ROAD_DEFS.filter(r => Math.max(r.w, r.d) > 100);
-  if (!validRoads.length) return npcs;
+  const validEdges = graph.edges.filter(e => e.length > 60);
+  if (!validEdges.length) return npcs;
 
   for (let i = 0; i < NPC_COUNT; i++) {
-    const road = validRoads[i % validRoads.length];
-    const isH  = road.w > road.d;
+    const edge  = validEdges[Math.floor(rng() * validEdges.length)];
+    const from  = rng() > 0.5 ? edge.a : edge.b;
+    const s     = CLEAR + rng() * (edge.length - 2 * CLEAR);
     const color = NPC_COLORS[i % NPC_COLORS.length];
     const car   = buildNPCCar(color);
 
-    const length = isH ? road.w : road.d;
-    const pos  = (Math.random() - 0.5) * length * 0.7;
-    const lane = (Math.random() > 0.5 ? 1 : -1) * 2.8;
-    const dir  = Math.random() > 0.5 ? 1 : -1;
-
-    if (isH) {
-      car.position.set(road.x + pos, 0, road.z + lane);
-      car.rotation.y = dir > 0 ? Math.PI / 2 : -Math.PI / 2;
-    } else {
-      car.position.set(road.x + lane, 0, road.z + pos);
-      car.rotation.y = dir > 0 ? 0 : Math.PI;
-    }
+    const p = lanePoint(graph, edge, from, s);
+    const d = unitDir(graph, edge, from);
+    car.position.set(p.x, 0, p.z);
+    car.rotation.y = Math.atan2(d.x, d.z);
 
     scene.add(car);
-    npcs.push({ mesh: car, road, isH, speed: 0.15 + Math.random() * 0.4, direction: dir, lane });
+    const speed = 0.15 + rng() * 0.4;
+    const npc = { mesh: car, graph, rng, index, edge, from, s, speed, cur: speed, turn: null };
+    moveItem(index, npc, p.x, p.z, NPC_RADIUS);
+    npcs.push(npc);
   }
   return npcs;
 }
 
-export function updateNPCs(npcs, dt) {
+const nearby = [];
+const LOOKAHEAD = 24;   // cars further ahead than this never limit speed
+
+// `signalAt(signalIndex, axis)` → 'green' | 'yellow' | 'red' for traffic
+// travelling along `axis` ('x' = E–W, 'z' = N–S) into that intersection.
+export function updateNPCs(npcs, dt, signalAt) {
   for (const n of npcs) {
-    const len  = n.isH ? n.road.w : n.road.d;
-    const half = len * 0.38;
-    if (n.isH) {
-      n.mesh.position.x += n.speed * n.direction * dt;
-      if (n.mesh.position.x > n.road.x + half)      { n.direction = -1; n.mesh.rotation.y = -Math.PI / 2; }
-      else if (n.mesh.position.x < n.road.x - half)  { n.direction =  1; n.mesh.rotation.y =  Math.PI / 2; }
-    } else {
-      n.mesh.position.z += n.speed * n.direction * dt;
-      if (n.mesh.position.z > n.road.z + half)      { n.direction = -1; n.mesh.rotation.y = Math.PI; }
-      else if (n.mesh.position.z < n.road.z - half)  { n.direction =  1; n.mesh.rotation.y = 0; }
+    const { graph } = n;
+
+    // ── crossing a junction ──
+    if (n.turn) {
+      const tr = n.turn;
+      tr.t = Math.min(1, tr.t + (n.cur * dt) / tr.len);
+      const p = bezier(tr.p0, tr.p1, tr.p2, tr.t);
+      const q = bezier(tr.p0, tr.p1, tr.p2, Math.min(1, tr.t + 0.02));
+      if (q.x !== p.x || q.z !== p.z) n.mesh.rotation.y = Math.atan2(q.x - p.x, q.z - p.z);
+      n.mesh.position.x = p.x;
+      n.mesh.position.z = p.z;
+      moveItem(n.index, n, p.x, p.z, NPC_RADIUS);
+      n.cur = Math.min(n.speed, n.cur + NPC_ACCEL * dt);
+      if (tr.t >= 1) {
+        n.edge = tr.edge; n.from = tr.from; n.s = CLEAR; n.turn = null;
+      }
+      continue;
     }
-  }
-}
 
-export function checkNPCCollision(npcs, px, pz) {
-  for (const n of npcs) {
-    const dx = px - n.mesh.position.x;
-    const dz = pz - n.mesh.position.z;
-    if (dx * dx + dz * dz < 9) return true;   // radius ≈ 3
+    // ── on a road segment ──
+    const toNode = graph.nodes[otherEnd(n.edge, n.from)];
+    const stopS  = n.edge.length - CLEAR;
+    let limit = n.speed;
+
+    // red / amber: brake to the stop line unless already over it
+    if (toNode.signal >= 0 && signalAt(toNode.signal, n.edge.axis) !== 'green') {
+      const gap = stopS - n.s;
+      if (gap > 0.5) limit = Math.min(limit, Math.max(0, (gap - 0.5) * 0.06));
+    }
+
+    // keep distance to the car ahead in the same lane
+    nearby.length = 0;
+    queryRadius(n.index, n.mesh.position.x, n.mesh.position.z, LOOKAHEAD, nearby);
+    for (const o of nearby) {
+      if (o === n) continue;
+      let os;
+      if (!o.turn) {
+        if (o.edge !== n.edge || o.from !== n.from) continue;
+        os = o.s;
+      } else {
+        // still clearing the junction we are queueing for
+        if (o.turn.inEdge !== n.edge || o.turn.inFrom !== n.from) continue;
+        os = stopS + o.turn.t * o.turn.len;
+      }
+      if (os <= n.s) continue;
+      const gap = os - n.s - CAR_GAP;
+      limit = Math.min(limit, Math.max(0, gap * 0.06));
+    }
+
+    if (n.cur < limit) n.cur = Math.min(limit, n.cur + NPC_ACCEL * dt);
+    else n.cur = Math.max(limit, n.cur - NPC_BRAKE * dt);
+
+    n.s += n.cur * dt;
+    if (n.s >= stopS) {
+      n.s = stopS;
+      n.turn = planTurn(graph, n, toNode);
+    }
+
+    const p = lanePoint(graph, n.edge, n.from, n.s);
+    const d = unitDir(graph, n.edge, n.from);
+    n.mesh.position.x = p.x;
+    n.mesh.position.z = p.z;
+    n.mesh.rotation.y = Math.atan2(d.x, d.z);
+    moveItem(n.index, n, p.x, p.z, NPC_RADIUS);
   }
-  return false;
 }
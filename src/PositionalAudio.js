@@ -0,0 +1,281 @@
+// ── Positional Audio ────────────────────────────────────────────
+// World-anchored sounds on the ambience bus of AudioSystem:
+//   • a small pool of engine voices that latch onto the nearest NPC cars
+//   • a drone on the nearest monster (HRTF, so it can be placed behind
+//     you), pitched by its type
+//   • crosswalk beepers at the nearest signalled intersections
+// The listener follows the active camera.  Web Audio dropped built-in
+// doppler, so each voice's pitch is bent here from the relative radial
+// velocity of source and listener.
+import * as THREE from 'three';
+import { queryRadius } from './SpatialHash.js';
+import { getSignalState } from './TrafficSignals.js';
+
+const SOUND_SPEED     = 343;    // units / s (1 unit ≈ 1 m)
+const NPC_VOICES      = 6;
+const NPC_RANGE       = 120;
+const CROSSING_VOICES = 3;
+const CROSSING_RANGE  = 90;
+const WALK_TIME       = 4;      // s of fast ticking after a light turns green
+const TICK_SLOW       = 1.0;    // s between locator ticks
+const TICK_FAST       = 0.2;    // s between "walk" ticks
+const DRONE_RANGE     = 400;    // tremolo starts speeding up inside this
+const MONSTER_GAIN    = { stalk: 0.3, hunt: 0.8, search: 0.5, retreat: 0.2 };   // drone level per behaviour state
+const MONSTER_PITCH   = { giant: 1, crawler: 1.8, shadow: 0.7 };
+const SMOOTH          = 0.05;
+
+// ── helpers ─────────────────────────────────────────────────────
+function place(panner, p) {
+  if (panner.positionX) {
+    panner.positionX.value = p.x; panner.positionY.value = p.y; panner.positionZ.value = p.z;
+  } else {
+    panner.setPosition(p.x, p.y, p.z);
+  }
+}
+
+function placeListener(listener, p, fwd, up) {
+  if (listener.positionX) {
+    listener.positionX.value = p.x; listener.positionY.value = p.y; listener.positionZ.value = p.z;
+    listener.forwardX.value = fwd.x; listener.forwardY.value = fwd.y; listener.forwardZ.value = fwd.z;
+    listener.upX.value = up.x; listener.upY.value = up.y; listener.upZ.value = up.z;
+  } else {
+    listener.setPosition(p.x, p.y, p.z);
+    listener.setOrientation(fwd.x, fwd.y, fwd.z, up.x, up.y, up.z);
+  }
+}
+
+const _dir = new THREE.Vector3();
+const _rel = new THREE.Vector3();
+
+// pitch factor heard by a listener at `ear` moving with `earVel`
+function doppler(pos, vel, ear, earVel) {
+  _dir.subVectors(pos, ear);
+  const d = _dir.length();
+  if (d < 1e-3) return 1;
+  const receding = _rel.subVectors(vel, earVel).dot(_dir) / d;
+  return Math.max(0.5, Math.min(2, SOUND_SPEED / (SOUND_SPEED + receding)));
+}
+
+// a panned voice; `track` keeps its own velocity estimate
+function createVoice(ctx, out, opts) {
+  const panner = ctx.createPanner();
+  panner.panningModel  = opts.hrtf ? 'HRTF' : 'equalpower';
+  panner.distanceModel = 'inverse';
+  panner.refDistance   = opts.refDistance;
+  panner.rolloffFactor = opts.rolloff ?? 1;
+  panner.connect(out);
+  const gain = ctx.createGain();
+  gain.gain.value = 0;
+  gain.connect(panner);
+  return { panner, gain, target: null, pos: new THREE.Vector3(), vel: new THREE.Vector3(), fresh: true };
+}
+
+// move a voice to `p`, estimating its velocity over `sec`
+function track(voice, p, sec) {
+  if (voice.fresh || sec <= 0) voice.vel.set(0, 0, 0);
+  else voice.vel.set((p.x - voice.pos.x) / sec, (p.y - voice.pos.y) / sec, (p.z - voice.pos.z) / sec);
+  voice.pos.set(p.x, p.y, p.z);
+  voice.fresh = false;
+  place(voice.panner, voice.pos);
+}
+
+function buildGraph(pa, ctx, out) {
+  const set = (param, v) => { param.value = v; return param; };
+
+  // ── NPC engines: saw + sub through a lowpass, like the player's ──
+  pa.npcVoices = Array.from({ length: NPC_VOICES }, () => {
+    const v = createVoice(ctx, out, { refDistance: 8 });
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 500;
+    filter.connect(v.gain);
+    v.saw = ctx.createOscillator();
+    v.saw.type = 'sawtooth';
+    v.sub = ctx.createOscillator();
+    v.sub.type = 'square';
+    const subGain = ctx.createGain();
+    subGain.gain.value = 0.4;
+    v.saw.connect(filter);
+    v.sub.connect(subGain);
+    subGain.connect(filter);
+    set(v.saw.frequency, 40);
+    set(v.sub.frequency, 20);
+    v.saw.start(); v.sub.start();
+    return v;
+  });
+
+  // ── monster: detuned low saws, tremolo speeds up as it nears ──
+  {
+    const v = createVoice(ctx, out, { refDistance: 20, hrtf: true });
+    const trem = ctx.createGain();
+    trem.gain.value = 1;
+    trem.connect(v.gain);
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 220;
+    filter.connect(trem);
+    v.bases = [45, 47.5, 90.7];
+    v.oscs = v.bases.map(f => {
+      const o = ctx.createOscillator();
+      o.type = 'sawtooth';
+      o.frequency.value = f;
+      o.connect(filter);
+      o.start();
+      return o;
+    });
+    v.lfo = ctx.createOscillator();
+    v.lfo.frequency.value = 1;
+    const depth = ctx.createGain();
+    depth.gain.value = 0.4;
+    v.lfo.connect(depth);
+    depth.connect(trem.gain);
+    v.lfo.start();
+    pa.monsterVoice = v;
+  }
+
+  // ── crosswalk beepers: a sine blipped by an envelope ──
+  pa.crossVoices = Array.from({ length: CROSSING_VOICES }, () => {
+    const v = createVoice(ctx, out, { refDistance: 6, rolloff: 1.5 });
+    v.env = ctx.createGain();
+    v.env.gain.value = 0;
+    v.env.connect(v.gain);
+    const osc = ctx.createOscillator();
+    osc.frequency.value = 1900;
+    osc.connect(v.env);
+    osc.start();
+    v.next = 0;
+    return v;
+  });
+
+  pa.ctx = ctx;
+}
+
+// ── Public API ──────────────────────────────────────────────────
+export function createPositionalAudio() {
+  return {
+    ctx: null,
+    npcVoices: [], monsterVoice: null, crossVoices: [],
+    ear: new THREE.Vector3(), earVel: new THREE.Vector3(), earFresh: true,
+    clock: 0,
+    lights: [],          // last { ns, ew } per intersection
+    walkUntil: [],       // clock time the "walk" ticking ends, per intersection
+    nearby: [],
+  };
+}
+
+const _fwd = new THREE.Vector3();
+const _up  = new THREE.Vector3();
+
+// camera: the active camera; ear: optional position to listen from
+// (the aerial camera is too high to hear the street, so it listens at
+// the car but keeps the camera's orientation).
+export function updatePositionalAudio(pa, audio, { camera, ear, sec, npcIndex, monster, signals }) {
+  const ctx = audio.context;
+  if (!ctx) return;
+  if (pa.ctx !== ctx) buildGraph(pa, ctx, audio.bus('ambience'));
+  pa.clock += sec;
+  const now = ctx.currentTime;
+  const smooth = (param, v) => param.setTargetAtTime(v, now, SMOOTH);
+
+  // ── listener ──
+  const p = ear ?? camera.position;
+  if (pa.earFresh || sec <= 0) pa.earVel.set(0, 0, 0);
+  else pa.earVel.set((p.x - pa.ear.x) / sec, (p.y - pa.ear.y) / sec, (p.z - pa.ear.z) / sec);
+  pa.ear.set(p.x, p.y, p.z);
+  pa.earFresh = false;
+  camera.getWorldDirection(_fwd);
+  _up.set(0, 1, 0).applyQuaternion(camera.quaternion);
+  placeListener(ctx.listener, pa.ear, _fwd, _up);
+
+  // ── NPC voices: keep latched cars still in range, hand free voices
+  //    to the nearest unvoiced ones ──
+  pa.nearby.length = 0;
+  queryRadius(npcIndex, pa.ear.x, pa.ear.z, NPC_RANGE, pa.nearby);
+  const d2 = (n) => (n.mesh.position.x - pa.ear.x) ** 2 + (n.mesh.position.z - pa.ear.z) ** 2;
+  pa.nearby.sort((a, b) => d2(a) - d2(b));
+  const wanted = pa.nearby.slice(0, NPC_VOICES);
+  for (const v of pa.npcVoices) {
+    if (v.target && !wanted.includes(v.target)) { v.target = null; smooth(v.gain.gain, 0); }
+  }
+  for (const n of wanted) {
+    if (pa.npcVoices.some(v => v.target === n)) continue;
+    const v = pa.npcVoices.find(v => !v.target);
+    v.target = n;
+    v.fresh = true;
+    v.gain.gain.cancelScheduledValues(now);
+    v.gain.gain.setValueAtTime(0, now);
+  }
+  for (const v of pa.npcVoices) {
+    if (!v.target) continue;
+    track(v, v.target.mesh.position, sec);
+    const f = doppler(v.pos, v.vel, pa.ear, pa.earVel);
+    const speed = v.target.cur;
+    smooth(v.saw.frequency, (32 + speed * 120) * f);
+    smooth(v.sub.frequency, (16 + speed * 60) * f);
+    smooth(v.gain.gain, 0.1 + speed * 0.35);
+  }
+
+  // ── monster ──
+  const mv = pa.monsterVoice;
+  if (monster && monster.state !== 'gone') {
+    if (mv.target !== monster) { mv.target = monster; mv.fresh = true; }   // latched onto another one
+    track(mv, monster.mesh.position, sec);
+    const f = doppler(mv.pos, mv.vel, pa.ear, pa.earVel) * MONSTER_PITCH[monster.type];
+    mv.oscs.forEach((o, i) => smooth(o.frequency, mv.bases[i] * f));
+    const near = Math.max(0, 1 - monster.dist / DRONE_RANGE);
+    const hunting = monster.state === 'hunt';
+    smooth(mv.lfo.frequency, 1 + near * near * (hunting ? 12 : 7));
+    smooth(mv.gain.gain, MONSTER_GAIN[monster.state]);
+  } else {
+    mv.fresh = true;
+    smooth(mv.gain.gain, 0);
+  }
+
+  // ── crosswalks: a light turning green starts the fast "walk" ticks ──
+  signals.signals.forEach((s, i) => {
+    const ns = getSignalState(signals, i, 'z');
+    const ew = getSignalState(signals, i, 'x');
+    const last = pa.lights[i];
+    if (last && ((ns === 'green' && last.ns !== 'green') || (ew === 'green' && last.ew !== 'green'))) {
+      pa.walkUntil[i] = pa.clock + WALK_TIME;
+    }
+    pa.lights[i] = { ns, ew };
+  });
+
+  const near = signals.signals
+    .map((s, i) => ({ s, i, d: Math.hypot(s.x - pa.ear.x, s.z - pa.ear.z) }))
+    .filter(c => c.d < CROSSING_RANGE)
+    .sort((a, b) => a.d - b.d)
+    .slice(0, CROSSING_VOICES);
+  pa.crossVoices.forEach((v, k) => {
+    const c = near[k];
+    if (!c) { v.target = null; smooth(v.gain.gain, 0); return; }
+    if (v.target !== c.i) { v.target = c.i; v.next = now; }
+    place(v.panner, { x: c.s.x, y: 1.2, z: c.s.z });
+    smooth(v.gain.gain, 0.15);
+
+    const interval = pa.clock < (pa.walkUntil[c.i] ?? 0) ? TICK_FAST : TICK_SLOW;
+    while (v.next < now + 0.1) {
+      const t = Math.max(v.next, now);
+      v.env.gain.setValueAtTime(0, t);
+      v.env.gain.linearRampToValueAtTime(1, t + 0.005);
+      v.env.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
+      v.env.gain.setValueAtTime(0, t + 0.06);
+      v.next = t + interval;
+    }
+  });
+}
+
+// fades every voice out and lets go of its target (the game is paused,
+// e.g. while the session replay plays); the next update picks them up again
+export function silencePositionalAudio(pa, audio) {
+  const ctx = audio.context;
+  if (!ctx || pa.ctx !== ctx) return;
+  const now = ctx.currentTime;
+  for (const v of [...pa.npcVoices, pa.monsterVoice, ...pa.crossVoices]) {
+    v.target = null;
+    v.fresh = true;
+    v.gain.gain.setTargetAtTime(0, now, SMOOTH);
+  }
+  pa.earFresh = true;
+}
@@ -0,0 +1,268 @@
+// ── Radio ───────────────────────────────────────────────────────
+// Car radio on the music bus of AudioSystem.  Stations and their
+// track lists come from a JSON manifest (public/radio/stations.json):
+//
+//   { "shuffle": false,
+//     "stations": [
+//       { "id": "phonk", "name": "Phonk FM", "freq": "98.5",
+//         "tracks": [{ "title": "…", "artist": "…", "src": "phonk/track.mp3" }] } ] }
+//
+// Track `src` is relative to the manifest.  Nothing is imported at build
+// time: a missing manifest leaves the dial empty, a missing or broken
+// file is skipped, and a station with nothing playable gives static.
+//
+// Two <audio> decks alternate so every change (next / previous track,
+// station switch, end of track) crossfades instead of cutting.
+
+export const RADIO_MANIFEST = `${import.meta.env.BASE_URL}radio/stations.json`;
+
+const CROSSFADE   = 2;       // s
+const TUNE_STATIC = 0.35;    // s of static burst when switching station
+const STATIC_LEVEL = 0.12;
+const NO_SIGNAL_LEVEL = 0.05;
+
+function shuffled(n, first) {
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  // keep the track that is on air at the top
+  if (first !== undefined) {
+    order.splice(order.indexOf(first), 1);
+    order.unshift(first);
+  }
+  return order;
+}
+
+function parseManifest(manifest, url) {
+  const base = new URL(url, window.location.href);
+  return (manifest.stations ?? []).map((s, i) => ({
+    id:   s.id ?? `station-${i}`,
+    name: s.name ?? `Estação ${i + 1}`,
+    freq: s.freq ?? '',
+    tracks: (s.tracks ?? []).map(t => ({
+      title:  t.title ?? t.src,
+      artist: t.artist ?? '',
+      url:    new URL(t.src, base).href,
+      broken: false,
+    })),
+    pos: 0,
+    order: [],
+  }));
+}
+
+export function createRadio(audio, manifestUrl = RADIO_MANIFEST) {
+  let stations = [];
+  let current = 0;
+  let on = false;
+  let shuffle = false;
+  let seq = 0;          // bumps on every station / track change (HUD toast key)
+  let attempt = 0;      // cancels play() attempts overtaken by a newer change
+  let ctx = null;
+  let decks = null;     // two { el, gain, leaving, retired }
+  let live = 0;         // index of the deck on air
+  let staticGain = null;
+  const listeners = new Set();
+
+  const station = () => stations[current] ?? null;
+  const trackOf = (s) => (s && s.tracks.length ? s.tracks[s.order[s.pos]] : null);
+  const wrap = (i, n) => ((i % n) + n) % n;
+
+  function info() {
+    const s = station();
+    const t = trackOf(s);
+    return {
+      on, seq, shuffle,
+      station: s && { name: s.name, freq: s.freq },
+      track:   t && !t.broken ? { title: t.title, artist: t.artist } : null,
+      noSignal: on && (!s || s.tracks.every(t => t.broken)),
+    };
+  }
+  const emit = () => { const i = info(); listeners.forEach(cb => cb(i)); };
+
+  function setOrder(s) {
+    const playing = s.order.length ? s.order[s.pos] : undefined;
+    s.order = shuffle ? shuffled(s.tracks.length, playing) : s.tracks.map((_, i) => i);
+    s.pos = playing === undefined ? 0 : s.order.indexOf(playing);
+  }
+
+  fetch(manifestUrl)
+    .then(r => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+    .then(m => {
+      shuffle = !!m.shuffle;
+      stations = parseManifest(m, manifestUrl);
+      stations.forEach(setOrder);
+      if (on) playCurrent();
+      emit();
+    })
+    .catch(() => emit());   // no manifest: an empty dial, shown as no signal
+
+  // ── Web Audio plumbing (built once the context exists) ─────────
+  function attach() {
+    if (decks) return true;
+    ctx = audio.context;
+    const out = audio.bus('music');
+    if (!ctx || !out) return false;
+
+    decks = [0, 1].map(i => {
+      const el = new Audio();
+      el.preload = 'auto';
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      ctx.createMediaElementSource(el).connect(gain);
+      gain.connect(out);
+      const deck = { el, gain, leaving: false, retired: false };
+      // start the next track a crossfade before this one ends
+      el.addEventListener('timeupdate', () => {
+        if (live !== i || deck.leaving || !Number.isFinite(el.duration)) return;
+        if (el.duration - el.currentTime < CROSSFADE) { deck.leaving = true; step(1); }
+      });
+      el.addEventListener('ended', () => { if (live === i && !deck.leaving) step(1); });
+      return deck;
+    });
+
+    // radio static: band-passed noise
+    const buf = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    const noise = ctx.createBufferSource();
+    noise.buffer = buf;
+    noise.loop = true;
+    const band = ctx.createBiquadFilter();
+    band.type = 'bandpass';
+    band.frequency.value = 2500;
+    band.Q.value = 0.7;
+    staticGain = ctx.createGain();
+    staticGain.gain.value = 0;
+    noise.connect(band);
+    band.connect(staticGain);
+    staticGain.connect(out);
+    noise.start();
+    return true;
+  }
+
+  function fade(gain, to, time) {
+    const now = ctx.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(to, now + time);
+  }
+
+  // fade `deck` out and pause it, unless it went back on air meanwhile
+  function retire(deck, time) {
+    deck.retired = true;
+    fade(deck.gain, 0, time);
+    setTimeout(() => { if (deck.retired) deck.el.pause(); }, time * 1000 + 50);
+  }
+
+  function setStatic(level, burst = false) {
+    if (!staticGain) return;
+    const now = ctx.currentTime;
+    staticGain.gain.cancelScheduledValues(now);
+    if (burst) {
+      staticGain.gain.setValueAtTime(STATIC_LEVEL, now);
+      staticGain.gain.linearRampToValueAtTime(level, now + TUNE_STATIC);
+    } else {
+      staticGain.gain.setValueAtTime(level, now);
+    }
+  }
+
+  // play the station's current track on the idle deck and crossfade to
+  // it; broken tracks are skipped in direction `dir`
+  function playCurrent(dir = 1, burst = false) {
+    const s = station();
+    if (!on || !attach()) return;
+    const id = ++attempt;
+
+    let tries = 0;
+    while (s && tries < s.tracks.length && s.tracks[s.order[s.pos]].broken) {
+      s.pos = wrap(s.pos + dir, s.tracks.length);
+      tries++;
+    }
+    if (!s || tries === s.tracks.length) {
+      decks.forEach(d => retire(d, 0.5));
+      setStatic(NO_SIGNAL_LEVEL, burst);
+      emit();
+      return;
+    }
+    setStatic(0, burst);
+
+    const track = s.tracks[s.order[s.pos]];
+    const next = 1 - live;
+    const deck = decks[next];
+    deck.leaving = false;
+    deck.el.src = track.url;
+    deck.el.play().then(() => {
+      if (id !== attempt) return;
+      const prev = decks[live];
+      live = next;
+      deck.retired = false;
+      fade(deck.gain, 1, CROSSFADE);
+      retire(prev, CROSSFADE);
+    }).catch(err => {
+      if (id !== attempt) return;
+      // autoplay blocked: not the file's fault, resume() retries later
+      if (err.name === 'NotAllowedError') return;
+      // missing or unplayable: skipped from now on, static once all are
+      track.broken = true;
+      s.pos = wrap(s.pos + dir, s.tracks.length);
+      playCurrent(dir);
+    });
+    seq++;
+    emit();
+  }
+
+  function step(dir) {
+    const s = station();
+    if (!s || !s.tracks.length) return;
+    s.pos = wrap(s.pos + dir, s.tracks.length);
+    playCurrent(dir);
+  }
+
+  function tune(dir) {
+    if (!stations.length) return;
+    current = wrap(current + dir, stations.length);
+    seq++;
+    if (on) playCurrent(1, true);
+    else emit();
+  }
+
+  return {
+    info,
+    // cb(info) on every change; returns an unsubscribe function
+    subscribe(cb) { listeners.add(cb); return () => listeners.delete(cb); },
+
+    toggle() {
+      on = !on;
+      if (on) playCurrent(1, true);
+      else {
+        attempt++;
+        if (decks) { decks.forEach(d => retire(d, 0.5)); setStatic(0); }
+        emit();
+      }
+      return on;
+    },
+    // call after a user gesture: retries a play() the browser blocked
+    resume() {
+      if (on && decks && decks[live].el.paused) playCurrent();
+    },
+    next()        { step(1); },
+    previous()    { step(-1); },
+    nextStation() { tune(1); },
+    prevStation() { tune(-1); },
+    toggleShuffle() {
+      shuffle = !shuffle;
+      stations.forEach(setOrder);
+      emit();
+      return shuffle;
+    },
+
+    dispose() {
+      attempt++;
+      listeners.clear();
+      decks?.forEach(d => { d.el.pause(); d.el.removeAttribute('src'); });
+      decks = null;
+    },
+  };
+}
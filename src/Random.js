@@ -0,0 +1,42 @@
+// ── Seeded Random ───────────────────────────────────────────────
+// Every generator (city, NPCs, clouds …) draws from its own stream
+// derived from one world seed, so the same seed always rebuilds the
+// same map and adding draws to one generator never shifts another.
+
+// FNV-1a: string → 32-bit unsigned int
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 – small, fast, good enough for procedural placement.
+// Returns a drop-in replacement for Math.random().
+export function createRNG(seed, stream = '') {
+  let a = hashSeed(`${seed}:${stream}`);
+  return function rng() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x7fffffff).toString(36);
+}
+
+// ── URL helpers (?seed=…) ───────────────────────────────────────
+export function readSeedFromURL() {
+  const s = new URLSearchParams(window.location.search).get('seed');
+  return s && s.trim() ? s.trim() : null;
+}
+
+export function writeSeedToURL(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', seed);
+  window.history.replaceState(null, '', url);
+}
@@ -0,0 +1,82 @@
+// ── Replay ──────────────────────────────────────────────────────
+// Compact frame-by-frame recordings.  A track is a fixed list of
+// numeric channels (say time, x, z, angle, speed), each with a scale:
+// a value is stored as round(value × scale), so the scale is how many
+// steps one unit gets.  Every frame keeps only the change from the frame
+// before, as a zigzag varint, so a car cruising along costs a byte or
+// two per channel.
+//
+// encodeTrack() turns the bytes into { frames, data } with `data` in
+// base64, ready for localStorage or a JSON file; decodeTrack() gives the
+// values back, one interleaved Float64Array.
+const INITIAL_BYTES = 4096;
+const B64_CHUNK     = 0x8000;   // String.fromCharCode argument limit, with room
+
+export function createTrack(scales) {
+  return {
+    scales,
+    frames: 0,
+    bytes: new Uint8Array(INITIAL_BYTES),
+    length: 0,
+    last: new Array(scales.length).fill(0),   // quantized values of the last frame
+  };
+}
+
+function writeVarint(track, n) {
+  if (track.length + 5 > track.bytes.length) {
+    const grown = new Uint8Array(track.bytes.length * 2);
+    grown.set(track.bytes);
+    track.bytes = grown;
+  }
+  let z = n >= 0 ? n * 2 : -n * 2 - 1;   // zigzag: small magnitudes stay small
+  while (z >= 0x80) {
+    track.bytes[track.length++] = (z % 0x80) | 0x80;
+    z = Math.floor(z / 0x80);
+  }
+  track.bytes[track.length++] = z;
+}
+
+// values: one number per channel, in the order of `scales`
+export function pushFrame(track, values) {
+  const { scales, last } = track;
+  for (let c = 0; c < scales.length; c++) {
+    const q = Math.round(values[c] * scales[c]);
+    writeVarint(track, q - last[c]);
+    last[c] = q;
+  }
+  track.frames++;
+}
+
+export function encodeTrack(track) {
+  let bin = '';
+  for (let i = 0; i < track.length; i += B64_CHUNK) {
+    bin += String.fromCharCode(...track.bytes.subarray(i, Math.min(track.length, i + B64_CHUNK)));
+  }
+  return { frames: track.frames, data: window.btoa(bin) };
+}
+
+// → Float64Array of frames × channels; throws on data that does not hold
+// exactly `frames` frames
+export function decodeTrack(scales, { frames, data }) {
+  const channels = scales.length;
+  if (!Number.isInteger(frames) || frames < 0 || typeof data !== 'string') throw new Error('replay: bad track');
+  const bin = window.atob(data);
+  const out = new Float64Array(frames * channels);
+  const q = new Array(channels).fill(0);
+  let p = 0;
+  for (let f = 0; f < frames; f++) {
+    for (let c = 0; c < channels; c++) {
+      let z = 0, mul = 1, b;
+      do {
+        if (p >= bin.length) throw new Error('replay: track ends early');
+        b = bin.charCodeAt(p++);
+        z += (b & 0x7f) * mul;
+        mul *= 0x80;
+      } while (b & 0x80);
+      q[c] += z % 2 ? -(z + 1) / 2 : z / 2;
+      out[f * channels + c] = q[c] / scales[c];
+    }
+  }
+  if (p !== bin.length) throw new Error('replay: trailing data');
+  return out;
+}
@@ -0,0 +1,168 @@
+// ── Road Graph ──────────────────────────────────────────────────
+// Turns the flat ROAD_DEFS rectangles into a drivable graph:
+//   nodes – crossings, T-junctions and dead ends
+//   edges – straight stretches of road between two nodes
+// Collinear overlapping roads are merged into one line first, so
+// connectors that share an axis with an avenue don't double up.
+import { ROAD_DEFS, INTERSECTIONS, ROAD_WIDTH } from './constants.js';
+
+const SNAP      = 1;                 // coords closer than this are the same node
+const JOIN_TOL  = ROAD_WIDTH / 2;    // a road ending inside another still joins it
+const MIN_STUB  = ROAD_WIDTH + 1;    // dead-end stubs shorter than this are dropped
+
+// Merge ROAD_DEFS into axis-aligned lines: { axis, c, from, to }
+//   axis 'z' → runs N–S at x = c,  'x' → runs E–W at z = c
+function mergeLines(roads) {
+  const groups = new Map();
+  for (const r of roads) {
+    const axis = r.w > r.d ? 'x' : 'z';
+    const c    = axis === 'x' ? r.z : r.x;
+    const mid  = axis === 'x' ? r.x : r.z;
+    const half = (axis === 'x' ? r.w : r.d) / 2;
+    const key  = `${axis}:${c}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ from: mid - half, to: mid + half });
+  }
+
+  const lines = [];
+  for (const [key, spans] of groups) {
+    const [axis, c] = key.split(':');
+    spans.sort((a, b) => a.from - b.from);
+    let cur = { ...spans[0] };
+    for (let i = 1; i < spans.length; i++) {
+      if (spans[i].from <= cur.to + SNAP) cur.to = Math.max(cur.to, spans[i].to);
+      else { lines.push({ axis, c: +c, ...cur }); cur = { ...spans[i] }; }
+    }
+    lines.push({ axis, c: +c, ...cur });
+  }
+  return lines;
+}
+
+export function buildRoadGraph(roads = ROAD_DEFS, intersections = INTERSECTIONS) {
+  const lines = mergeLines(roads);
+  const nodes = [];
+  const edges = [];
+  const byKey = new Map();
+
+  const nodeAt = (x, z) => {
+    const key = `${Math.round(x / SNAP)},${Math.round(z / SNAP)}`;
+    if (byKey.has(key)) return byKey.get(key);
+    const signal = intersections.findIndex(i => Math.abs(i.x - x) < SNAP && Math.abs(i.z - z) < SNAP);
+    const node = { id: nodes.length, x, z, signal, edges: [] };
+    nodes.push(node);
+    byKey.set(key, node);
+    return node;
+  };
+
+  const xLines = lines.filter(l => l.axis === 'x');
+  const zLines = lines.filter(l => l.axis === 'z');
+
+  for (const line of lines) {
+    // positions along this line where a perpendicular line crosses it
+    const others = line.axis === 'x' ? zLines : xLines;
+    const stops = [];
+    for (const o of others) {
+      const crossesThis  = o.c >= line.from - JOIN_TOL && o.c <= line.to + JOIN_TOL;
+      const crossesOther = line.c >= o.from - JOIN_TOL && line.c <= o.to + JOIN_TOL;
+      if (crossesThis && crossesOther) stops.push(o.c);
+    }
+    stops.sort((a, b) => a - b);
+
+    // dead-end endpoints, unless they sit right next to a crossing
+    if (!stops.length || stops[0] - line.from > MIN_STUB) stops.unshift(line.from);
+    if (line.to - stops[stops.length - 1] > MIN_STUB) stops.push(line.to);
+
+    const pts = stops.map(s => (line.axis === 'x' ? nodeAt(s, line.c) : nodeAt(line.c, s)));
+    for (let i = 1; i < pts.length; i++) {
+      const a = pts[i - 1], b = pts[i];
+      if (a === b) continue;
+      const edge = {
+        id: edges.length, a: a.id, b: b.id, axis: line.axis,
+        length: Math.hypot(b.x - a.x, b.z - a.z),
+      };
+      edges.push(edge);
+      a.edges.push(edge.id);
+      b.edges.push(edge.id);
+    }
+  }
+
+  return { nodes, edges };
+}
+
+// node at the far end of `edge` when leaving from `nodeId`
+export function otherEnd(edge, nodeId) {
+  return edge.a === nodeId ? edge.b : edge.a;
+}
+
+export function nearestNode(graph, x, z) {
+  let best = null, bestD = Infinity;
+  for (const n of graph.nodes) {
+    const d = (n.x - x) ** 2 + (n.z - z) ** 2;
+    if (d < bestD) { bestD = d; best = n; }
+  }
+  return best;
+}
+
+// closest point of the network to (x, z): { edge, x, z }
+export function nearestEdgePoint(graph, x, z) {
+  let best = null, bestD = Infinity;
+  for (const e of graph.edges) {
+    const a = graph.nodes[e.a], b = graph.nodes[e.b];
+    const dx = b.x - a.x, dz = b.z - a.z;
+    const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / (e.length * e.length)));
+    const px = a.x + dx * t, pz = a.z + dz * t;
+    const d = (px - x) ** 2 + (pz - z) ** 2;
+    if (d < bestD) { bestD = d; best = { edge: e.id, x: px, z: pz }; }
+  }
+  return best;
+}
+
+// A* along the roads from (fromX, fromZ) to (toX, toZ).  Both ends are
+// snapped onto their nearest edge first; returns the waypoints from the
+// snapped start through every node on the way to the snapped goal.
+export function findPath(graph, fromX, fromZ, toX, toZ) {
+  const { nodes, edges } = graph;
+  const start = nearestEdgePoint(graph, fromX, fromZ);
+  const goal  = nearestEdgePoint(graph, toX, toZ);
+  if (start.edge === goal.edge) return [start, goal];
+
+  const GOAL = nodes.length;            // virtual node for the goal point
+  const cost   = new Float64Array(GOAL + 1).fill(Infinity);
+  const prev   = new Int32Array(GOAL + 1).fill(-1);
+  const closed = new Uint8Array(GOAL + 1);
+  const open = [];
+  const dist = (n, p) => Math.hypot(n.x - p.x, n.z - p.z);
+  const h = (id) => (id === GOAL ? 0 : dist(nodes[id], goal));
+  const relax = (id, c, from) => {
+    if (closed[id] || c >= cost[id]) return;
+    cost[id] = c;
+    prev[id] = from;
+    open.push(id);
+  };
+
+  const se = edges[start.edge], ge = edges[goal.edge];
+  relax(se.a, dist(nodes[se.a], start), -1);
+  relax(se.b, dist(nodes[se.b], start), -1);
+
+  while (open.length) {
+    let bi = 0;
+    for (let i = 1; i < open.length; i++) {
+      if (cost[open[i]] + h(open[i]) < cost[open[bi]] + h(open[bi])) bi = i;
+    }
+    const id = open.splice(bi, 1)[0];
+    if (closed[id]) continue;
+    closed[id] = 1;
+    if (id === GOAL) break;
+    if (id === ge.a || id === ge.b) relax(GOAL, cost[id] + dist(nodes[id], goal), id);
+    for (const eid of nodes[id].edges) {
+      const e = edges[eid];
+      relax(otherEnd(e, id), cost[id] + e.length, id);
+    }
+  }
+
+  if (prev[GOAL] < 0) return [start, goal];    // disconnected: head straight there
+  const path = [goal];
+  for (let id = prev[GOAL]; id >= 0; id = prev[id]) path.push(nodes[id]);
+  path.push(start);
+  return path.reverse();
+}
@@ -0,0 +1,381 @@
+// ── Session ─────────────────────────────────────────────────────
+// The whole drive, recorded tick by tick for review: the player car,
+// every NPC car, the night's monsters (type, state, pose), the weather
+// and the clock.  captureTick() flattens that state into one row of
+// numbers with a fixed layout (CHANNELS), so a tick is serializable on
+// its own; rows go into Replay.js tracks.
+//
+// Recording keeps the whole session as a list of chunks of CHUNK_TIME s
+// each.  Every chunk is its own track, so any point can be decoded
+// without the ones before it.  Chunks older than LIVE_TIME are gzipped
+// in the background (CompressionStream) to keep a long drive small;
+// playback unpacks them as it reaches them, holding the last picture
+// for the moment that takes; spillSession() lets the plain copies go
+// again.
+//
+// Playback does not run the simulation again: it reads the recorded
+// state back at a session time, interpolating between the two ticks
+// around it.  The same time always gives the same picture, whatever the
+// speed or direction it is scrubbed at.  While it plays, holdLive() keeps
+// the live state it overwrites, and resumeLive() puts it back.
+//
+// Sessions and clips (a cut [from, to] of one) save as JSON files:
+//   { "format": "owd-session", "version": 1, "seed": "…", "channels": 127,
+//     "chunks": [{ "t0": 0, "t1": 10, "frames": 600, "data": "<base64>" }] }
+import { NPC_COUNT, MONSTER_TYPES, MONSTER_NIGHTS } from './constants.js';
+import { createTrack, pushFrame, encodeTrack, decodeTrack } from './Replay.js';
+import { WEATHER_STATES } from './Weather.js';
+import { createMonster, disposeMonster } from './Monster.js';
+
+const CHUNK_TIME = 10;      // s per chunk
+const LIVE_TIME  = 60;      // s of recent chunks kept plain, ready to play
+const FORMAT     = 'owd-session';
+const VERSION    = 1;
+
+// ── Layout of one tick ──────────────────────────────────────────
+const WEATHER_PARAMS = ['rain', 'snow', 'clouds', 'overcast', 'fogNear', 'fogFar', 'wetness', 'snowCover', 'flash'];
+const MONSTER_KINDS  = Object.keys(MONSTER_TYPES);                 // code = index + 1, 0 = empty slot
+const MONSTER_STATES = ['gone', 'stalk', 'hunt', 'search', 'retreat'];
+const MONSTER_SLOTS  = Math.max(...MONSTER_NIGHTS.map(n => n.roster.length));
+
+// channel: [scale, kind]; kind 'angle' / 'hour' wrap, 'step' never blends
+const layout = [];
+const channel = (scale, kind = 'linear') => layout.push([scale, kind]) - 1;
+const TIME = channel(1000);
+const CAR = {
+  x: channel(20), z: channel(20), angle: channel(1000, 'angle'), speed: channel(1000), lean: channel(1000),
+};
+const HOUR = channel(10000, 'hour');
+const WEATHER_STATE = channel(1, 'step');
+const WEATHER = Object.fromEntries(WEATHER_PARAMS.map(p => [p, channel(p.startsWith('fog') ? 10 : 1000)]));
+const NPC = Array.from({ length: NPC_COUNT }, () => ({
+  x: channel(20), z: channel(20), angle: channel(1000, 'angle'),
+}));
+const MONSTER = Array.from({ length: MONSTER_SLOTS }, () => ({
+  kind: channel(1, 'step'), state: channel(1, 'step'), visible: channel(1, 'step'),
+  x: channel(20), y: channel(100), z: channel(20), angle: channel(1000, 'angle'),
+}));
+const SCALES = layout.map(([scale]) => scale);
+const KINDS  = layout.map(([, kind]) => kind);
+const CHANNELS = layout.length;
+
+// blend channel c from a to b
+function blend(c, a, b, k) {
+  if (KINDS[c] === 'step') return a;
+  let d = b - a;
+  if (KINDS[c] === 'angle') d = Math.atan2(Math.sin(d), Math.cos(d));
+  else if (KINDS[c] === 'hour') d = ((d + 36) % 24) - 12;
+  return a + d * k;
+}
+
+// src: { car, speed, day, weather, npcs, horde } – the car mesh and its
+// speed, DayCycle, Weather, the createNPCs() list and createHorde() horde
+export function captureTick(row, time, { car, speed, day, weather, npcs, horde }) {
+  row.fill(0);
+  row[TIME] = time;
+  row[CAR.x] = car.position.x;
+  row[CAR.z] = car.position.z;
+  row[CAR.angle] = car.rotation.y;
+  row[CAR.speed] = speed;
+  row[CAR.lean] = car.rotation.z;
+  row[HOUR] = day.hour;
+  row[WEATHER_STATE] = WEATHER_STATES.indexOf(weather.state);
+  for (const p of WEATHER_PARAMS) row[WEATHER[p]] = weather[p];
+  npcs.forEach((n, i) => {
+    const c = NPC[i];
+    row[c.x] = n.mesh.position.x;
+    row[c.z] = n.mesh.position.z;
+    row[c.angle] = n.mesh.rotation.y;
+  });
+  horde.monsters.slice(0, MONSTER_SLOTS).forEach((m, i) => {
+    const c = MONSTER[i], p = m.mesh.position;
+    row[c.kind] = MONSTER_KINDS.indexOf(m.type) + 1;
+    row[c.state] = MONSTER_STATES.indexOf(m.state);
+    row[c.visible] = m.mesh.visible ? 1 : 0;
+    row[c.x] = p.x;
+    row[c.y] = p.y;
+    row[c.z] = p.z;
+    row[c.angle] = m.mesh.rotation.y;
+  });
+  return row;
+}
+
+// ── Recording ───────────────────────────────────────────────────
+export function createSession(seed) {
+  return {
+    seed,
+    chunks: [],         // { t0, t1, frames, data, packed }, oldest first
+    packed: 0,          // chunks handed to the packer so far
+    track: null,        // chunk being recorded
+    t0: 0,
+    lastTime: 0,        // session time of the last tick
+    time: 0,            // s recorded so far (session clock)
+    row: new Float64Array(CHANNELS),
+  };
+}
+
+function closeChunk(sess) {
+  if (!sess.track?.frames) return;
+  sess.chunks.push({ t0: sess.t0, t1: sess.lastTime, ...encodeTrack(sess.track), packed: null });
+  sess.track = null;
+}
+
+// ── Packing ─────────────────────────────────────────────────────
+// A packed chunk keeps `packed` (gzipped `data`, a Blob) and may drop
+// `data`; unpackChunk() brings `data` back, with `unpacking` its promise
+// while that runs.
+function packChunk(chunk) {
+  if (typeof CompressionStream === 'undefined') return;   // stays plain
+  const gzip = new Blob([chunk.data]).stream().pipeThrough(new CompressionStream('gzip'));
+  new Response(gzip).blob().then(blob => {
+    chunk.packed = blob;
+    chunk.data = null;
+  }, () => {});   // could not pack: stays plain
+}
+
+function unpackChunk(chunk) {
+  if (chunk.data !== null) return Promise.resolve();
+  chunk.unpacking ??= new Response(chunk.packed.stream().pipeThrough(new DecompressionStream('gzip')))
+    .text()
+    .then(text => { chunk.data = text; })
+    .finally(() => { chunk.unpacking = null; });
+  return chunk.unpacking;
+}
+
+// plain copies of every chunk overlapping [from, to], for clipSession()
+export function unpackSession(sess, from = -Infinity, to = Infinity) {
+  return Promise.all(sess.chunks.filter(ch => ch.t1 >= from && ch.t0 <= to).map(unpackChunk));
+}
+
+// drops the plain copies an earlier playback or clip unpacked (not at
+// its end: an export may still be reading them)
+export function spillSession(sess) {
+  for (let i = 0; i < sess.packed; i++) {
+    const chunk = sess.chunks[i];
+    if (chunk.packed && !chunk.unpacking) chunk.data = null;
+  }
+}
+
+function appendRow(sess, row) {
+  const t = row[TIME];
+  if (!sess.track || t - sess.t0 >= CHUNK_TIME) {
+    closeChunk(sess);
+    sess.track = createTrack(SCALES);
+    sess.t0 = t;
+  }
+  pushFrame(sess.track, row);
+  sess.lastTime = t;
+}
+
+// one tick of the live game, `sec` s after the last
+export function recordTick(sess, sec, src) {
+  sess.time += sec;
+  appendRow(sess, captureTick(sess.row, sess.time, src));
+  const { chunks } = sess;
+  while (sess.packed < chunks.length && chunks[sess.packed].t1 < sess.time - LIVE_TIME) {
+    packChunk(chunks[sess.packed++]);
+  }
+}
+
+// closes the chunk in progress so all of it can be played
+export function flushSession(sess) {
+  closeChunk(sess);
+}
+
+export function sessionSpan(sess) {
+  const { chunks } = sess;
+  return chunks.length ? { start: chunks[0].t0, end: chunks[chunks.length - 1].t1 } : { start: 0, end: 0 };
+}
+
+// ── Files and clips ─────────────────────────────────────────────
+// [from, to] of a flushed session as a new one, its clock from 0; the
+// chunks in that span must be unpacked (unpackSession)
+export function clipSession(sess, from, to) {
+  const clip = createSession(sess.seed);
+  const row = new Float64Array(CHANNELS);
+  for (const chunk of sess.chunks) {
+    if (chunk.t1 < from || chunk.t0 > to) continue;
+    const data = decodeTrack(SCALES, chunk);
+    for (let f = 0; f < chunk.frames; f++) {
+      const t = data[f * CHANNELS + TIME];
+      if (t < from || t > to) continue;
+      row.set(data.subarray(f * CHANNELS, (f + 1) * CHANNELS));
+      row[TIME] = t - from;
+      appendRow(clip, row);
+    }
+  }
+  closeChunk(clip);
+  clip.time = clip.lastTime;
+  return clip;
+}
+
+export function downloadSession(sess, name) {
+  const chunks = sess.chunks.map(({ t0, t1, frames, data }) => ({ t0, t1, frames, data }));
+  const file = { format: FORMAT, version: VERSION, seed: sess.seed, channels: CHANNELS, chunks };
+  const url = URL.createObjectURL(new Blob([JSON.stringify(file)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${name}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);   // see downloadGhost
+}
+
+// File → session; rejects anything that is not a readable recording of
+// this build's layout
+export async function readSessionFile(file) {
+  const json = JSON.parse(await file.text());
+  if (json?.format !== FORMAT || json.version !== VERSION) throw new Error('session: not a session file');
+  if (json.channels !== CHANNELS || !Array.isArray(json.chunks) || !json.chunks.length) {
+    throw new Error('session: recorded with another layout');
+  }
+  const sess = createSession(json.seed);
+  for (const { t0, t1, frames, data } of json.chunks) {
+    decodeTrack(SCALES, { frames, data });
+    sess.chunks.push({ t0, t1, frames, data, packed: null });
+  }
+  sess.time = sessionSpan(sess).end;
+  return sess;
+}
+
+// ── Live state ──────────────────────────────────────────────────
+// what updatePlayback() overwrites, to put back when playback ends
+export function holdLive({ car, day, weather, npcs, horde }) {
+  const held = {
+    car: [car.position.x, car.position.z, car.rotation.y, car.rotation.z],
+    hour: day.hour,
+    weather: { ...weather },
+    npcs: npcs.map(n => [n.mesh.position.x, n.mesh.position.z, n.mesh.rotation.y]),
+    monsters: horde.monsters.map(m => m.mesh.visible),
+  };
+  for (const m of horde.monsters) m.mesh.visible = false;
+  return held;
+}
+
+export function resumeLive(held, { car, day, weather, npcs, horde }) {
+  [car.position.x, car.position.z, car.rotation.y, car.rotation.z] = held.car;
+  day.hour = held.hour;
+  Object.assign(weather, held.weather);
+  npcs.forEach((n, i) => {
+    const [x, z, angle] = held.npcs[i];
+    n.mesh.position.x = x;
+    n.mesh.position.z = z;
+    n.mesh.rotation.y = angle;
+  });
+  horde.monsters.forEach((m, i) => { m.mesh.visible = held.monsters[i] ?? false; });
+}
+
+// ── Playback ────────────────────────────────────────────────────
+export function createPlayback(scene, sess) {
+  const { start, end } = sessionSpan(sess);
+  return {
+    scene,
+    session: sess,
+    start, end,
+    time: start,
+    rate: 1,
+    paused: false,
+    row: new Float64Array(CHANNELS),
+    decoded: new Map(),                             // chunk → Float64Array, the last few
+    monsters: new Array(MONSTER_SLOTS).fill(null),  // stand-ins, one per slot
+  };
+}
+
+export function disposePlayback(pb) {
+  for (const m of pb.monsters) if (m) disposeMonster(pb.scene, m);
+  pb.monsters.fill(null);
+}
+
+export function seekPlayback(pb, time) {
+  pb.time = Math.max(pb.start, Math.min(pb.end, time));
+}
+
+// null while a packed chunk is still being unpacked
+function decoded(pb, chunk) {
+  let data = pb.decoded.get(chunk);
+  if (!data) {
+    if (chunk.data === null) {
+      unpackChunk(chunk).catch(() => {});   // unreadable: that stretch stays still
+      return null;
+    }
+    data = decodeTrack(SCALES, chunk);
+    pb.decoded.set(chunk, data);
+    if (pb.decoded.size > 3) pb.decoded.delete(pb.decoded.keys().next().value);
+  }
+  return data;
+}
+
+// the recorded state at pb.time into pb.row
+function sample(pb) {
+  const { chunks } = pb.session;
+  const t = pb.time;
+  let ci = chunks.findIndex(ch => ch.t1 >= t);
+  if (ci < 0) ci = chunks.length - 1;
+  const chunk = chunks[ci];
+  const data = decoded(pb, chunk);
+  if (!data) return pb.row;   // the picture before, until it is unpacked
+
+  // the ticks around t: a at or before it, b the one after
+  let lo = 0, hi = chunk.frames - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (data[mid * CHANNELS + TIME] <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  let dataA = data, a = lo * CHANNELS, b = Math.min(lo + 1, chunk.frames - 1) * CHANNELS;
+  const prev = data[TIME] > t && ci > 0 ? chunks[ci - 1] : null;
+  const prevData = prev && decoded(pb, prev);
+  if (prevData) {
+    // between the last tick of the chunk before and the first of this one
+    dataA = prevData;
+    a = (prev.frames - 1) * CHANNELS;
+    b = 0;
+  }
+  const span = data[b + TIME] - dataA[a + TIME];
+  const k = span > 0 ? Math.max(0, Math.min(1, (t - dataA[a + TIME]) / span)) : 0;
+  for (let c = 0; c < CHANNELS; c++) pb.row[c] = blend(c, dataA[a + c], data[b + c], k);
+  return pb.row;
+}
+
+// advances by `sec` real s (unless paused) and shows the recorded state:
+// the car mesh, NPC meshes, stand-in monsters, weather and clock.
+// Returns the car's speed and where the visible monsters are (minimap).
+export function updatePlayback(pb, sec, { car, day, weather, npcs }) {
+  if (!pb.paused) {
+    seekPlayback(pb, pb.time + sec * pb.rate);
+    if (pb.time >= pb.end) pb.paused = true;
+  }
+  const row = sample(pb);
+
+  car.position.x = row[CAR.x];
+  car.position.z = row[CAR.z];
+  car.rotation.y = row[CAR.angle];
+  car.rotation.z = row[CAR.lean];
+  day.hour = row[HOUR];
+  weather.state = WEATHER_STATES[row[WEATHER_STATE]] ?? weather.state;
+  for (const p of WEATHER_PARAMS) weather[p] = row[WEATHER[p]];
+  npcs.forEach((n, i) => {
+    const c = NPC[i];
+    n.mesh.position.x = row[c.x];
+    n.mesh.position.z = row[c.z];
+    n.mesh.rotation.y = row[c.angle];
+  });
+
+  const out = [];
+  MONSTER.forEach((c, i) => {
+    const kind = MONSTER_KINDS[row[c.kind] - 1] ?? null;
+    let m = pb.monsters[i];
+    if (m && m.type !== kind) {
+      disposeMonster(pb.scene, m);
+      m = pb.monsters[i] = null;
+    }
+    if (!kind) return;
+    if (!m) m = pb.monsters[i] = createMonster(pb.scene, kind);
+    m.state = MONSTER_STATES[row[c.state]];
+    m.mesh.visible = row[c.visible] > 0 && m.state !== 'gone';
+    m.mesh.position.set(row[c.x], row[c.y], row[c.z]);
+    m.mesh.rotation.y = row[c.angle];
+    if (m.mesh.visible) out.push(m.mesh.position);
+  });
+
+  return { speed: row[CAR.speed], monsters: out };
+}
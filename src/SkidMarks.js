@@ -0,0 +1,103 @@
+// ── Skid Marks ──────────────────────────────────────────────────
+// Rubber laid down by the four wheels of buildCar while the car slides
+// or brakes hard.  Every mark is a thin quad from the wheel's previous
+// contact point to the current one, written into a ring buffer of
+// MAX_MARKS quads in ONE mesh, so the oldest marks are simply
+// overwritten.  Marks fade out over FADE_TIME (per-vertex alpha).
+import * as THREE from 'three';
+
+const MAX_MARKS  = 2000;
+const MIN_STEP   = 0.35;     // units a wheel travels before the next quad
+const HALF_WIDTH = 0.14;
+const MARK_Y     = 0.085;    // above road, pads and puddles
+const FADE_TIME  = 40;       // s until a mark is gone
+const FADE_STEP  = 0.25;     // s between alpha refreshes
+const SHADE      = 0.06;     // rubber colour (grey level)
+
+export function createSkidMarks(scene) {
+  const positions = new Float32Array(MAX_MARKS * 4 * 3);
+  const colors    = new Float32Array(MAX_MARKS * 4 * 4).fill(SHADE);
+  const index     = new Uint16Array(MAX_MARKS * 6);
+  for (let i = 0; i < MAX_MARKS; i++) {
+    const v = i * 4;
+    index.set([v, v + 1, v + 2, v + 2, v + 1, v + 3], i * 6);
+    for (let k = 0; k < 4; k++) colors[(v + k) * 4 + 3] = 0;
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 4));
+  geo.setIndex(new THREE.BufferAttribute(index, 1));
+  geo.setDrawRange(0, 0);
+
+  const mesh = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({
+    vertexColors: true, transparent: true, depthWrite: false,
+  }));
+  mesh.frustumCulled = false;    // marks are spread all over the city
+  scene.add(mesh);
+
+  return {
+    mesh,
+    birth:    new Float32Array(MAX_MARKS),
+    strength: new Float32Array(MAX_MARKS),
+    head: 0, count: 0,
+    last: [null, null, null, null],   // previous contact point per wheel
+    time: 0, fadeTimer: 0,
+  };
+}
+
+function writeMark(sk, x0, z0, x1, z1, strength) {
+  const i = sk.head;
+  sk.head = (sk.head + 1) % MAX_MARKS;
+  sk.count = Math.min(MAX_MARKS, sk.count + 1);
+  sk.birth[i] = sk.time;
+  sk.strength[i] = strength;
+
+  const len = Math.hypot(x1 - x0, z1 - z0);
+  const nx = -(z1 - z0) / len * HALF_WIDTH;
+  const nz =  (x1 - x0) / len * HALF_WIDTH;
+  const pos = sk.mesh.geometry.attributes.position;
+  pos.array.set([
+    x0 + nx, MARK_Y, z0 + nz,
+    x0 - nx, MARK_Y, z0 - nz,
+    x1 + nx, MARK_Y, z1 + nz,
+    x1 - nx, MARK_Y, z1 - nz,
+  ], i * 12);
+  pos.needsUpdate = true;
+  const col = sk.mesh.geometry.attributes.color;
+  for (let k = 0; k < 4; k++) col.array[(i * 4 + k) * 4 + 3] = strength;
+  col.needsUpdate = true;
+  sk.mesh.geometry.setDrawRange(0, sk.count * 6);
+}
+
+// marking: four strengths 0 … 1 (FL, FR, RL, RR), 0 lifts the wheel's
+// pen.  Wheel positions come from car.userData.parts.wheels.
+export function updateSkidMarks(sk, sec, car, marking) {
+  sk.time += sec;
+  const a = car.rotation.y;
+  const cos = Math.cos(a), sin = Math.sin(a);
+
+  car.userData.parts.wheels.forEach((w, i) => {
+    const s = marking[i];
+    if (!s) { sk.last[i] = null; return; }
+    const x = car.position.x + w.position.x * cos + w.position.z * sin;
+    const z = car.position.z - w.position.x * sin + w.position.z * cos;
+    const last = sk.last[i];
+    if (!last) { sk.last[i] = { x, z }; return; }
+    if (Math.hypot(x - last.x, z - last.z) < MIN_STEP) return;
+    writeMark(sk, last.x, last.z, x, z, s);
+    last.x = x;
+    last.z = z;
+  });
+
+  // fade with age
+  sk.fadeTimer += sec;
+  if (sk.fadeTimer < FADE_STEP || !sk.count) return;
+  sk.fadeTimer = 0;
+  const col = sk.mesh.geometry.attributes.color.array;
+  for (let i = 0; i < sk.count; i++) {
+    const alpha = sk.strength[i] * Math.max(0, 1 - (sk.time - sk.birth[i]) / FADE_TIME);
+    for (let k = 0; k < 4; k++) col[(i * 4 + k) * 4 + 3] = alpha;
+  }
+  sk.mesh.geometry.attributes.color.needsUpdate = true;
+}
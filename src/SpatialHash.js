@@ -0,0 +1,103 @@
+// ── Spatial Hash ────────────────────────────────────────────────
+// Uniform grid over the XZ plane.  Each item is registered in every
+// cell its bounding box touches; a query only visits the cells under
+// its own box, so cost depends on local density, not on how many
+// buildings / trees / cars exist in the whole city.
+//
+// Static items (buildings, props) are inserted once; moving items
+// (NPC cars) call moveItem() every frame, which only touches the grid
+// when the item actually crosses into a different set of cells.
+
+const OFFSET = 32768;    // keeps cell coords positive for the integer key
+
+function cellKey(cx, cz) { return (cx + OFFSET) * 65536 + (cz + OFFSET); }
+
+export function createSpatialHash(cellSize = 24) {
+  return { cellSize, cells: new Map(), entries: new Map(), stamp: 0 };
+}
+
+function cellRange(hash, minX, minZ, maxX, maxZ) {
+  const s = hash.cellSize;
+  return [Math.floor(minX / s), Math.floor(minZ / s), Math.floor(maxX / s), Math.floor(maxZ / s)];
+}
+
+function link(hash, entry) {
+  const [x0, z0, x1, z1] = entry.range;
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cz = z0; cz <= z1; cz++) {
+      const key = cellKey(cx, cz);
+      let cell = hash.cells.get(key);
+      if (!cell) { cell = []; hash.cells.set(key, cell); }
+      cell.push(entry);
+    }
+  }
+}
+
+function unlink(hash, entry) {
+  const [x0, z0, x1, z1] = entry.range;
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cz = z0; cz <= z1; cz++) {
+      const key  = cellKey(cx, cz);
+      const cell = hash.cells.get(key);
+      if (!cell) continue;
+      const i = cell.indexOf(entry);
+      if (i >= 0) { cell[i] = cell[cell.length - 1]; cell.pop(); }
+      if (!cell.length) hash.cells.delete(key);
+    }
+  }
+}
+
+// register `item` with the box [minX, maxX] × [minZ, maxZ]
+export function insertItem(hash, item, minX, minZ, maxX, maxZ) {
+  const entry = { item, minX, minZ, maxX, maxZ, range: cellRange(hash, minX, minZ, maxX, maxZ), stamp: 0 };
+  hash.entries.set(item, entry);
+  link(hash, entry);
+  return entry;
+}
+
+export function removeItem(hash, item) {
+  const entry = hash.entries.get(item);
+  if (!entry) return;
+  unlink(hash, entry);
+  hash.entries.delete(item);
+}
+
+// circle helper for moving items; inserts on first call
+export function moveItem(hash, item, x, z, r) {
+  const entry = hash.entries.get(item);
+  if (!entry) return insertItem(hash, item, x - r, z - r, x + r, z + r);
+
+  entry.minX = x - r; entry.maxX = x + r;
+  entry.minZ = z - r; entry.maxZ = z + r;
+  const range = cellRange(hash, entry.minX, entry.minZ, entry.maxX, entry.maxZ);
+  const old = entry.range;
+  if (range[0] !== old[0] || range[1] !== old[1] || range[2] !== old[2] || range[3] !== old[3]) {
+    unlink(hash, entry);
+    entry.range = range;
+    link(hash, entry);
+  }
+  return entry;
+}
+
+// every item whose box overlaps [minX, maxX] × [minZ, maxZ]
+export function queryBox(hash, minX, minZ, maxX, maxZ, out = []) {
+  const stamp = ++hash.stamp;
+  const [x0, z0, x1, z1] = cellRange(hash, minX, minZ, maxX, maxZ);
+  for (let cx = x0; cx <= x1; cx++) {
+    for (let cz = z0; cz <= z1; cz++) {
+      const cell = hash.cells.get(cellKey(cx, cz));
+      if (!cell) continue;
+      for (const e of cell) {
+        if (e.stamp === stamp) continue;
+        e.stamp = stamp;
+        if (e.maxX < minX || e.minX > maxX || e.maxZ < minZ || e.minZ > maxZ) continue;
+        out.push(e.item);
+      }
+    }
+  }
+  return out;
+}
+
+export function queryRadius(hash, x, z, r, out = []) {
+  return queryBox(hash, x - r, z - r, x + r, z + r, out);
+}
@@ -0,0 +1,66 @@
+// ── Street Lights ───────────────────────────────────────────────
+// Lamp posts in World.js are only emissive meshes.  Real light comes
+// from a fixed pool of PointLights (no shadows) hung on the lamps
+// nearest the car.  The pool never grows or shrinks, so the shader
+// light count stays constant; a light handed to another lamp fades out
+// first and fades back in at the new spot, which hides the swap at the
+// edge of the pool.  Overall strength follows the day cycle (0 by day).
+import * as THREE from 'three';
+import { queryRadius } from './SpatialHash.js';
+import { LAMP_BULB_Y } from './World.js';
+
+const POOL      = 8;
+const RANGE     = 120;      // lamps considered around the car
+const INTENSITY = 30;
+const DISTANCE  = 30;       // light cut-off radius
+const DECAY     = 1.5;
+const FADE_TIME = 0.6;      // s to fade a light in or out
+const COLOR     = 0xffd9a0;
+
+export function createStreetLights(scene) {
+  const lights = Array.from({ length: POOL }, () => {
+    const light = new THREE.PointLight(COLOR, 0, DISTANCE, DECAY);
+    scene.add(light);
+    return { light, lamp: null, fade: 0, leaving: false, strength: 0 };
+  });
+  return { lights, nearby: [] };
+}
+
+// level: 0 … 1 from the day cycle (DayCycle `lights`)
+export function updateStreetLights(sys, index, x, z, level, sec) {
+  if (level <= 0) {
+    for (const l of sys.lights) { l.light.intensity = 0; l.strength = 0; l.lamp = null; l.fade = 0; l.leaving = false; }
+    return;
+  }
+
+  // nearest lamps
+  sys.nearby.length = 0;
+  queryRadius(index, x, z, RANGE, sys.nearby);
+  const lamps = sys.nearby.filter(o => o.kind === 'lamp');
+  const d2 = (o) => (o.bulbX - x) ** 2 + (o.z - z) ** 2;
+  lamps.sort((a, b) => d2(a) - d2(b));
+  const wanted = lamps.slice(0, POOL);
+
+  // lights on lamps that dropped out of the set fade out, then free up
+  for (const l of sys.lights) {
+    if (l.lamp && !wanted.includes(l.lamp)) l.leaving = true;
+  }
+  for (const lamp of wanted) {
+    const own = sys.lights.find(l => l.lamp === lamp);
+    if (own) { own.leaving = false; continue; }   // may have come back in range
+    const free = sys.lights.find(l => !l.lamp);
+    if (!free) break;   // wait for a leaving light to finish
+    free.lamp = lamp;
+    free.fade = 0;
+    free.light.position.set(lamp.bulbX, LAMP_BULB_Y - 0.3, lamp.z);
+  }
+
+  const step = sec / FADE_TIME;
+  for (const l of sys.lights) {
+    if (!l.lamp) { l.light.intensity = l.strength = 0; continue; }
+    l.fade = l.leaving ? Math.max(0, l.fade - step) : Math.min(1, l.fade + step);
+    if (l.leaving && l.fade === 0) { l.lamp = null; l.leaving = false; }
+    l.strength = level * l.fade;   // 0 … 1, read by WetRoad reflections
+    l.light.intensity = INTENSITY * l.strength;
+  }
+}
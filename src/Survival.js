@@ -0,0 +1,92 @@
+// ── Survival ────────────────────────────────────────────────────
+// What a monster encounter costs and earns:
+//   • health – every hit takes the monster type's damage; daylight
+//     slowly heals.  At zero the run is over.
+//   • nights survived – counted each time dawn breaks with the car
+//     still in one piece
+//   • score – points for every second spent escaping close to a monster
+//     that is still after you (more the closer it is), plus a bonus per
+//     night survived
+// Finished runs go to a small best-survival leaderboard kept in
+// localStorage.
+import { PLAYER_HEALTH } from './constants.js';
+
+const ESCAPE_DIST   = 40;     // escaping counts inside this distance
+const ESCAPE_POINTS = 10;     // per s at the edge, doubling toward contact
+const NIGHT_BONUS   = 250;
+const DAY_REGEN     = 1;      // health per s in full daylight
+
+const LEADERBOARD_KEY  = 'owd-survival-best';
+const LEADERBOARD_SIZE = 10;
+
+export function createSurvival() {
+  return {
+    health: PLAYER_HEALTH,
+    score: 0,
+    nights: 0,
+    time: 0,          // s survived
+    wasNight: false,
+    over: false,
+  };
+}
+
+// monster: the updateMonster() result; daylight: DayCycle `daylight`
+export function updateSurvival(sv, sec, { monster, isNight, daylight }) {
+  if (sv.over) return sv;
+  sv.time += sec;
+
+  // a chasing monster close by, and it has not caught you
+  const chasing = monster.state !== 'gone' && monster.state !== 'retreat';
+  if (chasing && monster.dist < ESCAPE_DIST && !monster.isClose) {
+    sv.score += sec * ESCAPE_POINTS * (2 - monster.dist / ESCAPE_DIST);
+  }
+
+  if (sv.wasNight && !isNight) {
+    sv.nights++;
+    sv.score += NIGHT_BONUS;
+  }
+  sv.wasNight = isNight;
+
+  sv.health = Math.min(PLAYER_HEALTH, sv.health + sec * DAY_REGEN * daylight);
+  return sv;
+}
+
+// true when this hit ends the run
+export function hitPlayer(sv, damage) {
+  if (sv.over) return false;
+  sv.health = Math.max(0, sv.health - damage);
+  sv.over = sv.health <= 0;
+  return sv.over;
+}
+
+// ── Leaderboard ─────────────────────────────────────────────────
+// best runs first: most nights survived, then score
+const byBest = (a, b) => b.nights - a.nights || b.score - a.score;
+
+export function loadLeaderboard() {
+  try {
+    const runs = JSON.parse(window.localStorage.getItem(LEADERBOARD_KEY));
+    return Array.isArray(runs) ? runs : [];
+  } catch {
+    return [];   // storage blocked or corrupt
+  }
+}
+
+// adds the finished run and returns { run, board, rank } (rank is the
+// run's 0-based position, or -1 if it did not make the board)
+export function recordRun(sv, seed) {
+  const run = {
+    score: Math.round(sv.score),
+    nights: sv.nights,
+    time: Math.round(sv.time),
+    seed,
+    date: new Date().toISOString(),
+  };
+  const board = [...loadLeaderboard(), run].sort(byBest).slice(0, LEADERBOARD_SIZE);
+  try {
+    window.localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(board));
+  } catch {
+    // not persisted; the board still shows this session's run
+  }
+  return { run, board, rank: board.indexOf(run) };
+}
@@ -0,0 +1,112 @@
+// ── Traffic Signal Controller ───────────────────────────────────
+// Every intersection runs its own cycle with its own offset:
+//   N–S green → N–S amber → all red → E–W green → E–W amber → all red
+// so perpendicular approaches never show "go" together.  The lamps of
+// all signal heads live in one InstancedMesh and are recoloured per
+// instance whenever an intersection changes state.
+import * as THREE from 'three';
+import {
+  INTERSECTIONS, SIGNAL_CYCLE, SIGNAL_AMBER, SIGNAL_ALL_RED, SIGNAL_WAVE_SPEED,
+} from './constants.js';
+
+const HEAD_OFFSET = 6.5;
+const LAMP_Y      = { red: 5.35, yellow: 5.0, green: 4.65 };
+const LAMP_ORDER  = ['red', 'yellow', 'green'];
+const LAMP_ON     = {
+  red:    new THREE.Color(0xff2200),
+  yellow: new THREE.Color(0xffaa00),
+  green:  new THREE.Color(0x00ff44),
+};
+const LAMP_OFF = Object.fromEntries(
+  Object.entries(LAMP_ON).map(([k, c]) => [k, c.clone().multiplyScalar(0.12)]));
+
+// Signal heads at the four corners of an intersection.  Each head sits
+// on the far-right corner of the approach it controls (right-hand
+// traffic) and faces back toward it:  axis 'z' = N–S, 'x' = E–W.
+export function signalHeads(inter) {
+  const o = HEAD_OFFSET;
+  return [
+    { x: inter.x - o, z: inter.z + o, axis: 'z', fx:  0, fz: -1 },   // northbound
+    { x: inter.x + o, z: inter.z - o, axis: 'z', fx:  0, fz:  1 },   // southbound
+    { x: inter.x + o, z: inter.z + o, axis: 'x', fx: -1, fz:  0 },   // eastbound
+    { x: inter.x - o, z: inter.z - o, axis: 'x', fx:  1, fz:  0 },   // westbound
+  ];
+}
+
+// light shown to traffic on `axis` at time `t` seconds into the cycle
+function lightAt(t, cycle, axis) {
+  const half  = cycle / 2;
+  const green = half - SIGNAL_AMBER - SIGNAL_ALL_RED;
+  const local = axis === 'z' ? t : (t + half) % cycle;   // E–W runs half a cycle later
+  if (local < green) return 'green';
+  if (local < green + SIGNAL_AMBER) return 'yellow';
+  return 'red';
+}
+
+// ── Public API ──────────────────────────────────────────────────
+export function createSignalController(scene, intersections = INTERSECTIONS) {
+  const signals = intersections.map(inter => {
+    const cycle = inter.cycle ?? SIGNAL_CYCLE;
+    // default offset: a green wave radiating out from the city centre
+    const wave   = (Math.abs(inter.x) + Math.abs(inter.z)) / SIGNAL_WAVE_SPEED;
+    const offset = inter.offset ?? wave % cycle;
+    return { x: inter.x, z: inter.z, cycle, offset, ns: null, ew: null, heads: signalHeads(inter) };
+  });
+
+  const headCount = signals.reduce((sum, s) => sum + s.heads.length, 0);
+  const geo  = new THREE.SphereGeometry(0.1, 5, 4);
+  const mat  = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  const mesh = new THREE.InstancedMesh(geo, mat, headCount * LAMP_ORDER.length);
+
+  const m = new THREE.Matrix4();
+  let idx = 0;
+  for (const s of signals) {
+    s.firstLamp = idx;
+    for (const h of s.heads) {
+      for (const lamp of LAMP_ORDER) {
+        m.makeTranslation(h.x + h.fx * 0.16, LAMP_Y[lamp], h.z + h.fz * 0.16);
+        mesh.setMatrixAt(idx, m);
+        mesh.setColorAt(idx, LAMP_OFF[lamp]);
+        idx++;
+      }
+    }
+  }
+  mesh.instanceMatrix.needsUpdate = true;
+  scene.add(mesh);
+
+  const ctrl = { signals, mesh, clock: 0 };
+  updateSignals(ctrl, 0);
+  return ctrl;
+}
+
+export function updateSignals(ctrl, delta) {
+  ctrl.clock += delta;
+  let dirty = false;
+
+  for (const s of ctrl.signals) {
+    const t  = (ctrl.clock + s.offset) % s.cycle;
+    const ns = lightAt(t, s.cycle, 'z');
+    const ew = lightAt(t, s.cycle, 'x');
+    if (ns === s.ns && ew === s.ew) continue;
+    s.ns = ns;
+    s.ew = ew;
+
+    let idx = s.firstLamp;
+    for (const h of s.heads) {
+      const state = h.axis === 'z' ? ns : ew;
+      for (const lamp of LAMP_ORDER) {
+        ctrl.mesh.setColorAt(idx++, lamp === state ? LAMP_ON[lamp] : LAMP_OFF[lamp]);
+      }
+    }
+    dirty = true;
+  }
+
+  if (dirty) ctrl.mesh.instanceColor.needsUpdate = true;
+}
+
+// 'green' | 'yellow' | 'red' for traffic travelling along `axis`
+// ('x' = E–W, 'z' = N–S) into intersection `index`
+export function getSignalState(ctrl, index, axis) {
+  const s = ctrl.signals[index];
+  return axis === 'z' ? s.ns : s.ew;
+}
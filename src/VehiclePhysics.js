@@ -0,0 +1,196 @@
+// ── Vehicle Physics ─────────────────────────────────────────────
+// Planar bicycle model: one front and one rear axle, a velocity vector
+// split into forward / lateral parts, yaw inertia, load transfer under
+// acceleration and braking, and a saturating tyre slip curve.  The
+// handbrake drops rear grip so the tail steps out and the car slides.
+//
+// Pure math – no Three.js – so it can be stepped headless.  Units match
+// constants.js: distance per frame at 60 fps, `dt` in frames.
+//
+// Heading convention (same as the game loop):
+//   forward f = (sin angle, cos angle),  right r = (-cos angle, sin angle)
+//   positive steer / yaw turn left (angle increases).
+import {
+  CAR_ACCEL, CAR_BRAKE, CAR_FRICTION, CAR_MAX_SPEED, CAR_REVERSE_MAX,
+  CAR_WHEELBASE, CAR_GRIP, CAR_TIRE_STIFF, CAR_MAX_STEER, CAR_WEIGHT_XFER,
+  HANDBRAKE_GRIP, HANDBRAKE_DECEL, DRIFT_STEER_MULT,
+} from './constants.js';
+
+export const DEFAULT_VEHICLE = {
+  accel:         CAR_ACCEL,
+  brake:         CAR_BRAKE,
+  rolling:       CAR_FRICTION,
+  maxSpeed:      CAR_MAX_SPEED,
+  reverseMax:    CAR_REVERSE_MAX,
+  cgToFront:     CAR_WHEELBASE / 2,
+  cgToRear:      CAR_WHEELBASE / 2,
+  grip:          CAR_GRIP,
+  tireStiffness: CAR_TIRE_STIFF,
+  tireShape:     1.4,          // >1 → force drops past the peak (slides keep sliding)
+  maxSteer:      CAR_MAX_STEER,
+  steerFalloff:  1.5,          // steer angle halves at this forward speed
+  steerRate:     0.12,         // rad per frame the wheels can turn
+  steerPull:     0,            // bent-suspension bias added to the steering input
+  weightXfer:    CAR_WEIGHT_XFER,
+  handbrakeGrip: HANDBRAKE_GRIP,
+  handbrakeDecel: HANDBRAKE_DECEL,
+  handbrakeSteer: DRIFT_STEER_MULT,
+  slideAngle:    0.12,         // body slip (rad) reported as sliding
+  inertia:       2.0,          // yaw inertia relative to a point-mass bicycle
+  yawDamping:    0.1,          // per frame; keeps handbrake slides catchable
+};
+
+// ── Ground ──────────────────────────────────────────────────────
+// Multipliers per surface (see surfaceAt in constants.js).  Rain and
+// settled snow scale grip down on top of that; brakes and engine can
+// only use the grip that is there, so wet braking distances grow.
+export const SURFACES = {
+  road:         { grip: 1.00, rolling: 1.0, topSpeed: 1.00, wetLoss: 0.40 },
+  intersection: { grip: 0.95, rolling: 1.0, topSpeed: 1.00, wetLoss: 0.45 },
+  sidewalk:     { grip: 0.85, rolling: 1.8, topSpeed: 0.70, wetLoss: 0.35 },
+  grass:        { grip: 0.60, rolling: 2.5, topSpeed: 0.55, wetLoss: 0.30 },
+};
+
+const SNOW_LOSS = 0.45;   // grip lost under full snow cover
+
+// surface name + wetness (0 dry … 1 soaked) + snow (0 … 1 cover)
+// → ground multipliers
+export function groundFor(surface, wetness = 0, snow = 0) {
+  const s = SURFACES[surface] ?? SURFACES.road;
+  return {
+    surface,
+    grip:     s.grip * (1 - s.wetLoss * wetness) * (1 - SNOW_LOSS * snow),
+    rolling:  s.rolling,
+    topSpeed: s.topSpeed,
+  };
+}
+
+export const DRY_ROAD = groundFor('road', 0);
+
+const OVERSPEED_DRAG = 0.04;   // per frame, bleeds speed above the surface's top speed
+const MIN_SLIP_SPEED = 0.04;   // avoids infinite slip angles when crawling
+const MAX_SUBSTEP    = 0.5;    // frames per integration step
+
+// Pacejka-style lateral curve: rises linearly, peaks, then falls off
+export function tireForce(slip, stiffness, shape) {
+  return Math.sin(shape * Math.atan(stiffness * slip));
+}
+
+export function createVehicleState(x = 0, z = 0, angle = 0) {
+  return {
+    x, z, angle,
+    vf: 0,          // forward speed
+    vr: 0,          // lateral speed (+ = sliding to the right)
+    yaw: 0,         // yaw rate, rad / frame
+    steer: 0,       // current front-wheel angle
+    ax: 0,          // last longitudinal accel (drives load transfer)
+    slip: 0,        // body slip angle
+    sliding: false,
+  };
+}
+
+// world-space velocity (units / frame)
+export function vehicleVelocity(s) {
+  const sin = Math.sin(s.angle), cos = Math.cos(s.angle);
+  return {
+    x: s.vf * sin - s.vr * cos,
+    z: s.vf * cos + s.vr * sin,
+  };
+}
+
+// replace the velocity with a world-space vector (used by collisions)
+export function setVehicleVelocity(s, vx, vz) {
+  const sin = Math.sin(s.angle), cos = Math.cos(s.angle);
+  s.vf = vx * sin + vz * cos;
+  s.vr = -vx * cos + vz * sin;
+}
+
+function substep(s, input, dt, ground, cfg) {
+  const { cgToFront: a, cgToRear: b } = cfg;
+  const k2 = a * b * cfg.inertia;           // yaw inertia / mass
+
+  // ── steering: speed-sensitive lock, rate-limited wheels ──
+  const lock = cfg.maxSteer / (1 + Math.abs(s.vf) / cfg.steerFalloff)
+    * (input.handbrake ? cfg.handbrakeSteer : 1);
+  const target = ((input.steer || 0) + cfg.steerPull) * lock * (s.vf < 0 ? -1 : 1);
+  const ds = Math.max(-cfg.steerRate * dt, Math.min(cfg.steerRate * dt, target - s.steer));
+  s.steer += ds;
+
+  // ── longitudinal ──
+  const traction = Math.min(1, ground.grip);
+  const topSpeed = cfg.maxSpeed * ground.topSpeed;
+  let ax = 0;
+  if (input.throttle) {
+    if (s.vf < 0) ax += cfg.brake * traction;
+    else ax += cfg.accel * traction * Math.max(0, 1 - (s.vf / cfg.maxSpeed) ** 2);
+  } else if (input.brake) {
+    if (s.vf > 0.02) ax -= cfg.brake * traction;
+    else ax -= cfg.accel * traction * Math.max(0, 1 - (s.vf / cfg.reverseMax) ** 2);
+  } else if (Math.abs(s.vf) > 1e-4) {
+    ax -= Math.sign(s.vf) * Math.min(cfg.rolling, Math.abs(s.vf) / dt);
+  }
+  // soft ground drags even under power
+  const drag = cfg.rolling * (ground.rolling - 1);
+  if (drag > 0 && Math.abs(s.vf) > 1e-4) {
+    ax -= Math.sign(s.vf) * Math.min(drag, Math.abs(s.vf) / dt);
+  }
+  if (Math.abs(s.vf) > topSpeed) {
+    ax -= Math.sign(s.vf) * (Math.abs(s.vf) - topSpeed) * OVERSPEED_DRAG;
+  }
+  if (input.handbrake && Math.abs(s.vf) > 1e-4) {
+    ax -= Math.sign(s.vf) * Math.min(cfg.handbrakeDecel, Math.abs(s.vf) / dt);
+  }
+
+  // ── load transfer: braking loads the nose, throttle loads the tail ──
+  const shift = Math.max(-0.3, Math.min(0.3, -cfg.weightXfer * s.ax / cfg.grip));
+  const loadF = 0.5 + shift;
+  const loadR = 0.5 - shift;
+
+  // ── slip angles at each axle ──
+  const denom = Math.max(Math.abs(s.vf), MIN_SLIP_SPEED);
+  const vrFront = s.vr - a * s.yaw;
+  const vrRear  = s.vr + b * s.yaw;
+  const slipF = Math.atan2(vrFront, denom) + s.steer * Math.sign(s.vf || 1);
+  const slipR = Math.atan2(vrRear,  denom);
+
+  const rearGrip = input.handbrake ? cfg.handbrakeGrip : 1;
+  const grip = cfg.grip * ground.grip;
+  let fyF = -grip * loadF * 2 * tireForce(slipF, cfg.tireStiffness, cfg.tireShape);
+  let fyR = -grip * loadR * 2 * rearGrip * tireForce(slipR, cfg.tireStiffness, cfg.tireShape);
+
+  // at crawling speed the tyres just kill sideways motion
+  const fade = Math.min(1, Math.hypot(s.vf, s.vr) / MIN_SLIP_SPEED);
+  fyF *= fade; fyR *= fade;
+
+  // ── integrate in the car's rotating frame ──
+  s.vf += (ax - s.vr * s.yaw) * dt;
+  s.vr += (fyF + fyR + s.vf * s.yaw) * dt;
+  s.yaw += ((-a * fyF + b * fyR) / k2) * dt;
+  s.yaw *= Math.max(0, 1 - cfg.yawDamping * dt);
+
+  if (fade < 1) {
+    s.vr  *= fade;
+    s.yaw *= fade;
+  }
+
+  s.vf = Math.max(cfg.reverseMax, Math.min(cfg.maxSpeed, s.vf));
+  s.ax = ax;
+
+  s.angle += s.yaw * dt;
+  const v = vehicleVelocity(s);
+  s.x += v.x * dt;
+  s.z += v.z * dt;
+}
+
+// input:  { throttle, brake, handbrake: bool, steer: -1 (right) … 1 (left) }
+// ground: groundFor(surfaceAt(x, z), wetness)
+export function stepVehicle(s, input, dt, ground = DRY_ROAD, cfg = DEFAULT_VEHICLE) {
+  const steps = Math.max(1, Math.ceil(dt / MAX_SUBSTEP));
+  const h = dt / steps;
+  for (let i = 0; i < steps; i++) substep(s, input, h, ground, cfg);
+
+  const speed = Math.hypot(s.vf, s.vr);
+  s.slip = speed > 0.05 ? Math.atan2(s.vr, Math.abs(s.vf)) : 0;
+  s.sliding = speed > 0.3 && Math.abs(s.slip) > cfg.slideAngle;
+  return s;
+}
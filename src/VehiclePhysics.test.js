@@ -0,0 +1,116 @@
+// ── Vehicle Physics tests ───────────────────────────────────────
+// Behaviour of the bicycle model, stepped headless: `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createVehicleState, stepVehicle, groundFor, DRY_ROAD, DEFAULT_VEHICLE,
+} from './VehiclePhysics.js';
+
+// frames (dt = 1) of `input` from `s`, or until `until(s)` holds
+function drive(s, input, frames, ground = DRY_ROAD, until = () => false) {
+  let n = 0;
+  while (n < frames && !until(s)) { stepVehicle(s, input, 1, ground); n++; }
+  return n;
+}
+
+function moving(vf) {
+  const s = createVehicleState();
+  s.vf = vf;
+  return s;
+}
+
+// distance and frames from full speed down to a stop, brakes only
+function stoppingDistance(ground) {
+  const s = moving(1);
+  const frames = drive(s, { brake: true }, 5000, ground, (v) => v.vf <= 0.02);
+  return { distance: s.z, frames };
+}
+
+function topSpeed(ground) {
+  const s = createVehicleState();
+  drive(s, { throttle: true }, 3000, ground);
+  return s.vf;
+}
+
+// ── Ground ──────────────────────────────────────────────────────
+test('groundFor: rain and snow take grip away, surfaces keep their own', () => {
+  const dry = groundFor('road', 0);
+  const wet = groundFor('road', 1);
+  const snow = groundFor('road', 0, 1);
+  assert.equal(dry.grip, 1);
+  assert.ok(wet.grip < dry.grip);
+  assert.ok(snow.grip < dry.grip);
+  assert.ok(groundFor('road', 1, 1).grip < Math.min(wet.grip, snow.grip));
+  assert.equal(wet.topSpeed, dry.topSpeed);
+
+  assert.ok(groundFor('grass').grip < groundFor('sidewalk').grip);
+  assert.ok(groundFor('sidewalk').grip < dry.grip);
+  assert.ok(groundFor('grass').topSpeed < groundFor('road').topSpeed);
+});
+
+test('groundFor: an unknown surface drives like the road', () => {
+  const g = groundFor('lava', 0.5);
+  const road = groundFor('road', 0.5);
+  assert.equal(g.grip, road.grip);
+  assert.equal(g.topSpeed, road.topSpeed);
+  assert.equal(g.rolling, road.rolling);
+});
+
+// ── Longitudinal ────────────────────────────────────────────────
+test('stepVehicle: a wet road takes longer to stop on', () => {
+  const dry = stoppingDistance(groundFor('road', 0));
+  const wet = stoppingDistance(groundFor('road', 1));
+  assert.ok(wet.distance > dry.distance * 1.3, `wet ${wet.distance} vs dry ${dry.distance}`);
+  assert.ok(wet.frames > dry.frames);
+});
+
+test('stepVehicle: full throttle tops out lower off the road', () => {
+  const road = topSpeed(groundFor('road'));
+  const sidewalk = topSpeed(groundFor('sidewalk'));
+  const grass = topSpeed(groundFor('grass'));
+  assert.ok(Math.abs(road - DEFAULT_VEHICLE.maxSpeed) < 1e-6);
+  assert.ok(sidewalk < road);
+  assert.ok(grass < sidewalk);
+  assert.ok(grass < road * 0.65, `grass ${grass}`);
+});
+
+test('stepVehicle: no steering keeps a straight line', () => {
+  const s = createVehicleState();
+  drive(s, { throttle: true }, 200);
+  assert.ok(s.z > 100);
+  assert.ok(Math.abs(s.x) < 1e-9);
+  assert.ok(Math.abs(s.angle) < 1e-9);
+  assert.equal(s.sliding, false);
+});
+
+// ── Lateral ─────────────────────────────────────────────────────
+test('stepVehicle: the handbrake lets go of the rear and the car slides', () => {
+  const grip = moving(0.9);
+  const slide = moving(0.9);
+  let gripSlip = 0, slideSlip = 0, slid = false;
+  for (let i = 0; i < 60; i++) {
+    stepVehicle(grip, { throttle: true, steer: 1 }, 1);
+    stepVehicle(slide, { throttle: true, steer: 1, handbrake: true }, 1);
+    gripSlip = Math.max(gripSlip, Math.abs(grip.slip));
+    slideSlip = Math.max(slideSlip, Math.abs(slide.slip));
+    assert.equal(grip.sliding, false);
+    slid ||= slide.sliding;
+  }
+  assert.ok(slid);
+  assert.ok(slideSlip > DEFAULT_VEHICLE.slideAngle);
+  assert.ok(slideSlip > gripSlip * 5, `slip ${slideSlip} vs ${gripSlip}`);
+  assert.ok(slide.vf < grip.vf);   // the handbrake drags too
+  assert.ok(slide.angle > 0);      // positive steer turns left
+});
+
+// ── Integration ─────────────────────────────────────────────────
+test('stepVehicle: a long frame is substepped like several short ones', () => {
+  const input = { throttle: true, steer: 0.5 };
+  const once = moving(0.8);
+  const split = moving(0.8);
+  stepVehicle(once, input, 4);
+  for (let i = 0; i < 4; i++) stepVehicle(split, input, 1);
+  for (const k of ['x', 'z', 'angle', 'vf', 'vr', 'yaw']) {
+    assert.ok(Math.abs(once[k] - split[k]) < 1e-9, `${k}: ${once[k]} vs ${split[k]}`);
+  }
+});
@@ -0,0 +1,124 @@
+// ── Traffic Violations ──────────────────────────────────────────
+// Watches the player's car every frame and issues a "multa" for:
+//   • crossing a stop line on red
+//   • exceeding the posted limit of the road (ROAD_DEFS[].limit)
+//   • driving on the wrong (left) side of a two-way road
+// Each rule re-arms only after the car is back within the law, so a
+// single offence never produces a stream of tickets.
+import { ROAD_DEFS, INTERSECTIONS, ROAD_WIDTH, STOP_LINE_DIST } from './constants.js';
+import { getSignalState } from './TrafficSignals.js';
+
+export const FINES = {
+  redLight:  { label: 'Avançou o sinal vermelho', value: 293.47 },
+  speeding:  { label: 'Excesso de velocidade',    value: 130.16 },
+  wrongSide: { label: 'Contramão',                value: 195.23 },
+};
+
+const SPEED_TOLERANCE = 5;     // km/h over the limit before a ticket
+const WRONG_SIDE_MIN  = 1.0;   // lateral offset (units) into the other lane
+const WRONG_SIDE_TIME = 1.5;   // seconds on the wrong side before a ticket
+const HALF_ROAD       = ROAD_WIDTH / 2;
+
+// posted limit where the car is, or null off-road (fastest road wins)
+export function speedLimitAt(x, z) {
+  let limit = null;
+  for (const r of ROAD_DEFS) {
+    if (Math.abs(x - r.x) < r.w / 2 && Math.abs(z - r.z) < r.d / 2) {
+      limit = Math.max(limit ?? 0, r.limit);
+    }
+  }
+  return limit;
+}
+
+function inIntersection(x, z) {
+  return INTERSECTIONS.some(i => Math.abs(x - i.x) < STOP_LINE_DIST && Math.abs(z - i.z) < STOP_LINE_DIST);
+}
+
+// ── Public API ──────────────────────────────────────────────────
+export function createViolationTracker() {
+  return {
+    time: 0,
+    log: [],
+    total: 0,
+    speeding: false,     // currently over the limit (already ticketed)
+    wrongSideTime: 0,
+    wrongSide: false,    // currently on the wrong side (already ticketed)
+  };
+}
+
+function issue(tracker, type, detail) {
+  const v = {
+    id: tracker.log.length + 1,
+    type, detail,
+    label: FINES[type].label,
+    value: FINES[type].value,
+    time: tracker.time,
+  };
+  tracker.log.push(v);
+  tracker.total += v.value;
+  return v;
+}
+
+// prev / pos: {x, z} before and after this frame's move.
+// Returns the violations issued this frame (usually none).
+export function checkViolations(tracker, { prev, pos, speedKmh, sec, signals }) {
+  tracker.time += sec;
+  const issued = [];
+  const mx = pos.x - prev.x, mz = pos.z - prev.z;
+  const moving = mx * mx + mz * mz > 1e-6;
+
+  // ── red light: entering the stop-line box along a red axis ──
+  if (moving) {
+    INTERSECTIONS.forEach((inter, idx) => {
+      const px = prev.x - inter.x, pz = prev.z - inter.z;
+      const nx = pos.x  - inter.x, nz = pos.z  - inter.z;
+      let axis = null;
+      if (Math.abs(nx) < HALF_ROAD && Math.abs(pz) >= STOP_LINE_DIST && Math.abs(nz) < STOP_LINE_DIST) axis = 'z';
+      else if (Math.abs(nz) < HALF_ROAD && Math.abs(px) >= STOP_LINE_DIST && Math.abs(nx) < STOP_LINE_DIST) axis = 'x';
+      if (axis && getSignalState(signals, idx, axis) === 'red') {
+        issued.push(issue(tracker, 'redLight', `${inter.x}, ${inter.z}`));
+      }
+    });
+  }
+
+  // ── speeding ──
+  const limit = speedLimitAt(pos.x, pos.z);
+  if (limit !== null && speedKmh > limit + SPEED_TOLERANCE) {
+    if (!tracker.speeding) {
+      tracker.speeding = true;
+      issued.push(issue(tracker, 'speeding', `${Math.round(speedKmh)}/${limit} km/h`));
+    }
+  } else if (limit === null || speedKmh <= limit) {
+    tracker.speeding = false;
+  }
+
+  // ── wrong side: left of the centre line relative to travel ──
+  let onWrongSide = false;
+  if (moving && !inIntersection(pos.x, pos.z)) {
+    const len = Math.hypot(mx, mz);
+    const fx = mx / len, fz = mz / len;
+    for (const r of ROAD_DEFS) {
+      if (Math.abs(pos.x - r.x) >= r.w / 2 || Math.abs(pos.z - r.z) >= r.d / 2) continue;
+      const isH = r.w > r.d;
+      // only when travelling along the road, not across it
+      if (Math.abs(isH ? fx : fz) < 0.7) continue;
+      // lateral offset measured toward the driver's right (-fz, fx)
+      const lateral = isH ? (pos.z - r.z) * fx : -(pos.x - r.x) * fz;
+      if (lateral < -WRONG_SIDE_MIN) onWrongSide = true;
+      break;
+    }
+  }
+
+  if (onWrongSide) {
+    tracker.wrongSideTime += sec;
+    if (!tracker.wrongSide && tracker.wrongSideTime > WRONG_SIDE_TIME) {
+      tracker.wrongSide = true;
+      issued.push(issue(tracker, 'wrongSide', ''));
+    }
+  } else {
+    tracker.wrongSideTime = 0;
+    tracker.wrongSide = false;
+  }
+
+  return issued;
+}
@@ -0,0 +1,131 @@
+// ── Weather ─────────────────────────────────────────────────────
+// A small state machine: clear, overcast, rain, storm, fog, snow.
+// Each state is a set of targets (precipitation, cloud cover, fog
+// distances, how wet the road gets); the live values ease toward the
+// current state's targets, so a change rolls in over half a minute
+// instead of snapping.  In auto mode the next state is drawn from NEXT
+// after a random hold; forceWeather() pins one from the HUD.
+//
+// The road lags further behind: it soaks in over ~10 s, dries over
+// ~40 s, and snow settles / melts slower still.  Storms throw
+// lightning; `strikes` counts them so the caller can flash the sky and
+// queue the thunder (`thunderDelay` s later, i.e. the strike's distance).
+import { WORLD_SIZE } from './constants.js';
+
+export const WEATHER_STATES = ['clear', 'overcast', 'rain', 'storm', 'fog', 'snow'];
+
+//   rain / snow  precipitation density 0 … 1
+//   clouds       cloud cover 0 … 1
+//   overcast     0 … 1 how much the sky greys out and daylight drops
+//   storm        0 … 1 lightning likelihood
+//   wet          road wetness the state soaks the road up to
+const STATES = {
+  clear:    { rain: 0,   snow: 0, clouds: 0,   overcast: 0,   storm: 0, fogNear: 150, fogFar: WORLD_SIZE * 0.35, wet: 0 },
+  overcast: { rain: 0,   snow: 0, clouds: 0.7, overcast: 0.6, storm: 0, fogNear: 120, fogFar: 420, wet: 0 },
+  rain:     { rain: 0.6, snow: 0, clouds: 1,   overcast: 0.9, storm: 0, fogNear: 80,  fogFar: 360, wet: 1 },
+  storm:    { rain: 1,   snow: 0, clouds: 1,   overcast: 1,   storm: 1, fogNear: 50,  fogFar: 280, wet: 1 },
+  fog:      { rain: 0,   snow: 0, clouds: 0.3, overcast: 0.7, storm: 0, fogNear: 5,   fogFar: 90,  wet: 0.3 },
+  snow:     { rain: 0,   snow: 1, clouds: 1,   overcast: 0.8, storm: 0, fogNear: 40,  fogFar: 240, wet: 0.4 },
+};
+
+// auto mode: relative odds of what follows each state
+const NEXT = {
+  clear:    { overcast: 3, fog: 1 },
+  overcast: { clear: 2, rain: 3, snow: 1 },
+  rain:     { overcast: 2, storm: 2 },
+  storm:    { rain: 1 },
+  fog:      { clear: 2, overcast: 1 },
+  snow:     { overcast: 1 },
+};
+
+const HOLD_MIN   = 60;      // s a state lasts in auto mode …
+const HOLD_MAX   = 180;     // … at most
+const TRANSITION = 8;       // s time constant of the live values
+const SOAK_RATE  = 0.3;     // per s toward a wetter road
+const DRY_RATE   = 0.075;   // per s toward a drier road
+const SNOW_RATE  = 0.05;    // per s snow settles / melts
+const STRIKE_MIN = 3;       // s between lightning strikes at full storm …
+const STRIKE_MAX = 10;
+const FLASH_DECAY = 5;      // per s
+
+const PARAMS = Object.keys(STATES.clear).filter(k => k !== 'wet');
+
+function pick(weights) {
+  const entries = Object.entries(weights);
+  let r = Math.random() * entries.reduce((sum, [, w]) => sum + w, 0);
+  for (const [state, w] of entries) {
+    r -= w;
+    if (r <= 0) return state;
+  }
+  return entries[entries.length - 1][0];
+}
+
+const holdTime = () => HOLD_MIN + Math.random() * (HOLD_MAX - HOLD_MIN);
+
+export function createWeather(state = 'clear') {
+  return {
+    state,
+    auto: true,
+    hold: holdTime(),
+    ...STATES[state],
+    wetness: STATES[state].wet,
+    snowCover: STATES[state].snow,
+    flash: 0,               // 0 … 1 lightning brightness this frame
+    strikes: 0,
+    thunderDelay: 0,
+    nextStrike: STRIKE_MIN,
+    echo: 0,                // s until the strike's second flicker
+  };
+}
+
+// pin `state` and stop the schedule until setWeatherAuto()
+export function forceWeather(w, state) {
+  if (!STATES[state]) return;
+  w.state = state;
+  w.auto = false;
+}
+
+export function setWeatherAuto(w) {
+  w.auto = true;
+  w.hold = holdTime();
+}
+
+export function updateWeather(w, sec) {
+  // ── schedule ──
+  if (w.auto) {
+    w.hold -= sec;
+    if (w.hold <= 0) {
+      w.state = pick(NEXT[w.state]);
+      w.hold = holdTime();
+    }
+  }
+
+  // ── ease toward the state's targets ──
+  const target = STATES[w.state];
+  const k = Math.min(1, sec / TRANSITION);
+  for (const p of PARAMS) w[p] += (target[p] - w[p]) * k;
+
+  // ── road surface ──
+  const wetTarget = Math.max(target.wet, w.rain);
+  const rate = wetTarget > w.wetness ? SOAK_RATE : DRY_RATE;
+  w.wetness += (wetTarget - w.wetness) * Math.min(1, rate * sec);
+  w.snowCover += ((w.snow > 0.5 ? 1 : 0) - w.snowCover) * Math.min(1, SNOW_RATE * sec);
+
+  // ── lightning ──
+  w.flash = Math.max(0, w.flash - FLASH_DECAY * sec);
+  if (w.echo > 0) {
+    w.echo -= sec;
+    if (w.echo <= 0) w.flash = Math.max(w.flash, 0.6);
+  }
+  if (w.storm > 0.5) {
+    w.nextStrike -= sec * w.storm;
+    if (w.nextStrike <= 0) {
+      w.flash = 1;
+      w.echo = 0.1 + Math.random() * 0.15;
+      w.strikes++;
+      w.thunderDelay = 0.3 + Math.random() * 2.5;
+      w.nextStrike = STRIKE_MIN + Math.random() * (STRIKE_MAX - STRIKE_MIN);
+    }
+  }
+  return w;
+}
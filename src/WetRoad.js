@@ -0,0 +1,191 @@
+// ── Wet Road ────────────────────────────────────────────────────
+// What rain leaves on the asphalt:
+//   • the road material turns darker and glossier as it soaks; it
+//     follows Weather `wetness`, so drying restores it gradually
+//   • puddles – fixed spots along every road (seeded), drawn as one
+//     InstancedMesh of glossy decals.  A shared water level fills while
+//     it rains and drains slower once it stops; each puddle has its own
+//     threshold, so a shower leaves a few small puddles and a long storm
+//     floods the street.  The glossy surface picks up the headlight and
+//     street lights as specular highlights.
+//   • reflections – a wet road mirrors the street lights as long streaks
+//     running toward the viewer: one additive quad per pooled light from
+//     StreetLights.js, placed where the mirrored lamp meets the road.
+import * as THREE from 'three';
+import { ROAD_DEFS, isOnRoad } from './constants.js';
+import { createSpatialHash, insertItem, queryRadius } from './SpatialHash.js';
+import { createRNG } from './Random.js';
+
+const PUDDLE_SPACING = 18;     // one candidate spot per this much road length
+const PUDDLE_CHANCE  = 0.55;
+const PUDDLE_Y       = 0.075;  // above the road and intersection pads
+const PUDDLE_GROW    = 0.25;   // water level from a puddle's threshold to full size
+const FILL_TIME      = 90;     // s of heavy rain to fill the water level
+const DRAIN_TIME     = 180;    // s to drain completely once it stops
+const STREAK_LENGTH  = 14;
+const STREAK_WIDTH   = 1.2;
+const STREAK_LEVEL   = 0.6;    // opacity on a soaked road at full lamp strength
+
+// soft round blob; `lumps` extra offset blobs make the outline irregular
+function blobTexture(lumps = 0) {
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const g = canvas.getContext('2d');
+  g.fillStyle = '#000';
+  g.fillRect(0, 0, size, size);
+  g.globalCompositeOperation = 'lighter';
+  const blob = (x, y, r, a) => {
+    const grad = g.createRadialGradient(x, y, 0, x, y, r);
+    grad.addColorStop(0, `rgba(255,255,255,${a})`);
+    grad.addColorStop(0.6, `rgba(255,255,255,${a * 0.8})`);
+    grad.addColorStop(1, 'rgba(255,255,255,0)');
+    g.fillStyle = grad;
+    g.fillRect(0, 0, size, size);
+  };
+  blob(size / 2, size / 2, size / 2, 1);
+  for (let i = 0; i < lumps; i++) {
+    const a = Math.random() * Math.PI * 2;
+    blob(size / 2 + Math.cos(a) * size * 0.2, size / 2 + Math.sin(a) * size * 0.2, size * 0.25, 0.5);
+  }
+  return new THREE.CanvasTexture(canvas);
+}
+
+function placePuddles(rng) {
+  const puddles = [];
+  for (const r of ROAD_DEFS) {
+    const alongX = r.w > r.d;
+    const length = alongX ? r.w : r.d;
+    const width  = alongX ? r.d : r.w;
+    for (let t = -length / 2; t < length / 2 - PUDDLE_SPACING; t += PUDDLE_SPACING) {
+      if (rng() > PUDDLE_CHANCE) continue;
+      const a = t + rng() * PUDDLE_SPACING;
+      const b = (rng() - 0.5) * (width - 4);
+      puddles.push({
+        x: alongX ? r.x + a : r.x + b,
+        z: alongX ? r.z + b : r.z + a,
+        rx: 1 + rng() * 2.5,           // half extents at full size
+        rz: 0.8 + rng() * 1.6,
+        rot: rng() * Math.PI,
+        threshold: rng() * (1 - PUDDLE_GROW),
+        size: 0,                       // 0 … 1 at the current water level
+      });
+    }
+  }
+  return puddles;
+}
+
+export function createWetRoad(scene, seed) {
+  const puddles = placePuddles(createRNG(seed, 'puddles'));
+  const index = createSpatialHash(16);
+  for (const p of puddles) {
+    const r = Math.max(p.rx, p.rz);
+    insertItem(index, p, p.x - r, p.z - r, p.x + r, p.z + r);
+  }
+
+  const geo = new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2);
+  const mat = new THREE.MeshStandardMaterial({
+    color: 0x1c2228, roughness: 0.04, metalness: 0.75,
+    transparent: true, opacity: 0.9, alphaMap: blobTexture(5), depthWrite: false,
+  });
+  const mesh = new THREE.InstancedMesh(geo, mat, puddles.length);
+  mesh.frustumCulled = false;    // instances span the whole city
+  mesh.receiveShadow = true;
+  scene.add(mesh);
+
+  const glow = blobTexture();
+  const streaks = [];
+  const group = new THREE.Group();
+  scene.add(group);
+
+  const wet = { puddles, index, mesh, level: 0, shown: -1, streaks, group, glow, nearby: [] };
+  layoutPuddles(wet);
+  return wet;
+}
+
+const _m = new THREE.Matrix4();
+const _q = new THREE.Quaternion();
+const _p = new THREE.Vector3();
+const _s = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+function layoutPuddles(wet) {
+  wet.puddles.forEach((p, i) => {
+    p.size = Math.max(0, Math.min(1, (wet.level - p.threshold) / PUDDLE_GROW));
+    _p.set(p.x, PUDDLE_Y, p.z);
+    _q.setFromAxisAngle(_up, p.rot);
+    _s.set(p.rx * 2 * p.size, 1, p.rz * 2 * p.size);
+    wet.mesh.setMatrixAt(i, _m.compose(_p, _q, _s));
+  });
+  wet.mesh.instanceMatrix.needsUpdate = true;
+  wet.mesh.visible = wet.level > 0;
+  wet.shown = wet.level;
+}
+
+function streakFor(wet, i) {
+  if (!wet.streaks[i]) {
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({
+        map: wet.glow, transparent: true, opacity: 0,
+        blending: THREE.AdditiveBlending, depthWrite: false,
+      }));
+    wet.group.add(mesh);
+    wet.streaks[i] = mesh;
+  }
+  return wet.streaks[i];
+}
+
+// 0 … 1: how deep in a puddle the point (x, z) is (0 when dry)
+export function waterAt(wet, x, z) {
+  if (wet.level <= 0) return 0;
+  wet.nearby.length = 0;
+  queryRadius(wet.index, x, z, 0, wet.nearby);
+  let depth = 0;
+  for (const p of wet.nearby) {
+    if (!p.size) continue;
+    // into the puddle's frame, then the ellipse test
+    const c = Math.cos(p.rot), s = Math.sin(p.rot);
+    const dx = x - p.x, dz = z - p.z;
+    const u = (dx * c - dz * s) / (p.rx * p.size);
+    const v = (dx * s + dz * c) / (p.rz * p.size);
+    const d = u * u + v * v;
+    if (d < 1) depth = Math.max(depth, p.size * (1 - d));
+  }
+  return depth;
+}
+
+// world: for its road materials; lights: StreetLights pool entries
+export function updateWetRoad(wet, sec, { world, weather, camera, lights }) {
+  // ── road surface ──
+  const w = weather.wetness;
+  for (const m of [world.M.road, world.M.interPad]) {
+    m.roughness = 0.7 - 0.55 * w;
+    m.metalness = 0.6 * w;
+  }
+
+  // ── puddles ──
+  if (weather.rain > 0.05) wet.level = Math.min(1, wet.level + sec * weather.rain / FILL_TIME);
+  else wet.level = Math.max(0, wet.level - sec / DRAIN_TIME);
+  if (Math.abs(wet.level - wet.shown) > 0.002 || (wet.level === 0 && wet.shown !== 0)) layoutPuddles(wet);
+
+  // ── lamp streaks: where the lamp mirrored below the road meets it ──
+  const cam = camera.position;
+  lights.forEach((l, i) => {
+    const mesh = streakFor(wet, i);
+    const lp = l.light.position;
+    const level = l.strength * w * STREAK_LEVEL;
+    const t = cam.y / (cam.y + lp.y);
+    const px = cam.x + (lp.x - cam.x) * t;
+    const pz = cam.z + (lp.z - cam.z) * t;
+    mesh.visible = level > 0.01 && isOnRoad(px, pz);
+    if (!mesh.visible) return;
+    const dx = px - cam.x, dz = pz - cam.z;
+    const length = Math.min(STREAK_LENGTH, Math.hypot(dx, dz));
+    mesh.position.set(px, PUDDLE_Y + 0.01, pz);
+    mesh.rotation.y = Math.atan2(dx, dz);
+    mesh.scale.set(STREAK_WIDTH, 1, Math.max(STREAK_WIDTH, length));
+    mesh.material.color.copy(l.light.color);
+    mesh.material.opacity = level;
+  });
+}
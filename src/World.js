@@ -1,18 +1,57 @@
 // ── World Builder ───────────────────────────────────────────────
-// Every repeatable object (road markings, windows, trees, lamps …)
-// is collected as a translated BufferGeometry and then merged into
-// ONE mesh per material.  This cuts draw-calls from ~5 000 to ~40.
+// The city is generated and meshed in CHUNK_SIZE squares.  Inside a
+// chunk every repeatable object (road markings, windows, trees, lamps …)
+// is collected as a translated BufferGeometry and merged into ONE mesh
+// per material, so a chunk costs a few dozen draw-calls and the renderer
+// can frustum-cull it as a whole.
+//
+// Chunks stream around the car (updateWorld):
+//   near  – full detail: windows, ledges, doors, props, trees, lamps
+//   far   – LOD: roads + one vertex-coloured mesh of plain building boxes
+//   gone  – geometry disposed, colliders dropped from the spatial index
+// Every chunk draws from its own seeded streams (see Random.js), so it
+// comes back identical whenever it streams in again.
 import * as THREE from 'three';
 import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import {
   WORLD_SIZE, ROAD_DEFS, INTERSECTIONS,
-  FLOOR_HEIGHT, BUILDING_COUNT, TREE_COUNT, isOnRoad,
+  FLOOR_HEIGHT, BUILDINGS_PER_CHUNK, TREES_PER_CHUNK, isOnRoad,
+  CHUNK_SIZE, CHUNK_DETAIL_DIST, CHUNK_LOAD_DIST, CHUNK_HYSTERESIS, CHUNK_BUILDS_PER_FRAME,
 } from './constants.js';
+import { signalHeads } from './TrafficSignals.js';
+import { createSpatialHash, insertItem, removeItem, queryBox } from './SpatialHash.js';
+import { createRNG } from './Random.js';
+
+const RW          = 14;                        // road width
+const INT_MARGIN  = RW / 2 + 3;                // skip zone around intersections
+// props along the centre avenue stand at z ≡ PHASE (mod STEP)
+const LAMP_STEP   = 35, LAMP_PHASE = 30;
+const FURN_STEP   = 40, FURN_PHASE = 35;
+const GRASS_TILE  = 20;                        // world units per grass texture repeat
+const GROUND_SIZE = 2 * (CHUNK_LOAD_DIST + CHUNK_SIZE);
+
+export const LAMP_BULB_Y = 5.05;   // street-lamp bulb height (StreetLights.js hangs its lights here)
+
+const B_COLORS = [
+  0x457b9d, 0x6d6875, 0xb5838d, 0xe5989b, 0x8d99ae, 0x2b2d42,
+  0x606c38, 0xbc6c25, 0x588157, 0x3a5a40, 0x9b2226, 0x264653, 0x023047,
+];
+const LEAF_COLORS = [0x2d6a4f, 0x40916c, 0x52b788, 0x74c69d];
 
 // ── helpers ─────────────────────────────────────────────────────
 function geoAt(geo, x, y, z) { geo.translate(x, y, z); return geo; }
 
-function finalize(scene, geos, material, opts = {}) {
+// bake a flat vertex colour so differently coloured boxes share a mesh
+function tinted(geo, hex) {
+  const c = new THREE.Color(hex);
+  const n = geo.attributes.position.count;
+  const arr = new Float32Array(n * 3);
+  for (let i = 0; i < n; i++) { arr[i * 3] = c.r; arr[i * 3 + 1] = c.g; arr[i * 3 + 2] = c.b; }
+  geo.setAttribute('color', new THREE.BufferAttribute(arr, 3));
+  return geo;
+}
+
+function finalize(parent, geos, material, opts = {}) {
   if (!geos.length) return null;
   try {
     const merged = mergeGeometries(geos, false);
@@ -20,7 +59,7 @@ function finalize(scene, geos, material, opts = {}) {
     const mesh = new THREE.Mesh(merged, material);
     if (opts.castShadow)    mesh.castShadow    = true;
     if (opts.receiveShadow) mesh.receiveShadow = true;
-    scene.add(mesh);
+    parent.add(mesh);
     return mesh;
   } catch (e) {
     console.warn('mergeGeometries failed:', e);
@@ -30,78 +69,192 @@ function finalize(scene, geos, material, opts = {}) {
   }
 }
 
-// ── main ────────────────────────────────────────────────────────
-export function buildWorld(scene) {
+// geometries are per chunk; materials are shared and outlive it
+function disposeGroup(group) {
+  group.traverse(o => o.geometry?.dispose());
+  group.removeFromParent();
+}
 
-  /* ---- geometry collectors (grouped by material) ---- */
-  const C = {
-    road: [], yellowDash: [], whiteLine: [],
-    sidewalk: [], interPad: [],
-    winFrame: [], winGlass: [], winLit: [], ledge: [], floorDiv: [],
-    door: [], handle: [], ac: [], roofCyl: [], roofAnt: [],
-    trunk: [],
-    lampPole: [], lampArm: [], lampBox: [], lampBulb: [],
-    tlPole: [], tlHousing: [], tlRed: [], tlYellow: [], tlGreen: [],
-    bench: [], trashcan: [], hydrant: [],
-  };
-  const buildingGeos = new Map();   // color → [geo]
-  const leafGeos     = new Map();   // color → [geo]
+function isNearIntersection(x, z, margin) {
+  return INTERSECTIONS.some(i => Math.abs(x - i.x) < margin && Math.abs(z - i.z) < margin);
+}
 
-  /* ---- collision arrays ---- */
-  const buildings = [];
-  const trees     = [];
-  const lamps     = [];
+const chunkKey = (cx, cz) => `${cx},${cz}`;
 
-  // ══════════════════════════════════════════════════════════════
-  // GROUND  (procedural grass texture)
-  // ══════════════════════════════════════════════════════════════
-  const grassCanvas = document.createElement('canvas');
-  grassCanvas.width = 512;
-  grassCanvas.height = 512;
-  const gCtx = grassCanvas.getContext('2d');
-  // base fill
-  gCtx.fillStyle = '#4a7a3a';
-  gCtx.fillRect(0, 0, 512, 512);
-  // variation blotches
-  const grassColors = ['#3d6e30', '#5a8f48', '#4e8040', '#6a9a55', '#3a6a2e', '#78a862', '#2f5a24'];
-  for (let i = 0; i < 3000; i++) {
-    gCtx.fillStyle = grassColors[Math.floor(Math.random() * grassColors.length)];
-    const gx = Math.random() * 512, gy = Math.random() * 512;
-    gCtx.beginPath();
-    gCtx.ellipse(gx, gy, 2 + Math.random() * 6, 1 + Math.random() * 3, Math.random() * Math.PI, 0, Math.PI * 2);
-    gCtx.fill();
+// distance from (x, z) to the nearest point of chunk (cx, cz)
+function chunkDistance(x, z, cx, cz) {
+  const x0 = cx * CHUNK_SIZE, z0 = cz * CHUNK_SIZE;
+  const dx = Math.max(x0 - x, 0, x - (x0 + CHUNK_SIZE));
+  const dz = Math.max(z0 - z, 0, z - (z0 + CHUNK_SIZE));
+  return Math.hypot(dx, dz);
+}
+
+// Random placements inside chunk (cx, cz), `perChunk` of them on
+// average.  Every chunk gets the same density wherever it is, so the
+// city goes on as far as anyone drives.
+function scatter(rng, cx, cz, perChunk, place) {
+  const x0 = cx * CHUNK_SIZE, z0 = cz * CHUNK_SIZE;
+  const tries = Math.floor(perChunk) + (rng() < perChunk % 1 ? 1 : 0);
+  for (let i = 0; i < tries; i++) place(x0 + rng() * CHUNK_SIZE, z0 + rng() * CHUNK_SIZE);
+}
+
+// grid positions along z (see LAMP_PHASE) from `from` up to the end of
+// chunk row cz, wherever the centre avenue runs
+function alongAvenue(cz, step, phase, from = cz * CHUNK_SIZE) {
+  const out = [];
+  for (let z = phase + Math.ceil((from - phase) / step) * step; z < (cz + 1) * CHUNK_SIZE; z += step) {
+    if (isOnRoad(0, z)) out.push(z);
   }
-  // small soil patches
-  for (let i = 0; i < 400; i++) {
-    gCtx.fillStyle = Math.random() > 0.5 ? '#5c4a2f' : '#6b5a3a';
-    gCtx.fillRect(Math.random() * 512, Math.random() * 512, 1 + Math.random() * 3, 1 + Math.random() * 2);
+  return out;
+}
+
+// ══════════════════════════════════════════════════════════════
+// LAYOUT  (pure data – what stands where, no geometry)
+// ══════════════════════════════════════════════════════════════
+function chunkBuildings(world, cx, cz) {
+  const key = chunkKey(cx, cz);
+  const cached = world.buildingCache.get(key);
+  if (cached) return cached;
+
+  const rng = createRNG(world.seed, `buildings:${key}`);
+  const buildings = [];
+  scatter(rng, cx, cz, BUILDINGS_PER_CHUNK, (bx, bz) => {
+    const w = 8 + rng() * 16;
+    const h = 6 + rng() * 28;
+    const d = 8 + rng() * 16;
+
+    // Check all 4 corners + centre so NO part of building overlaps a road
+    const hw = w / 2 + 2;   // extra 2-unit clearance
+    const hd = d / 2 + 2;
+    if (
+      isOnRoad(bx, bz) ||
+      isOnRoad(bx - hw, bz - hd) || isOnRoad(bx + hw, bz - hd) ||
+      isOnRoad(bx - hw, bz + hd) || isOnRoad(bx + hw, bz + hd) ||
+      isOnRoad(bx - hw, bz)      || isOnRoad(bx + hw, bz)      ||
+      isOnRoad(bx, bz - hd)      || isOnRoad(bx, bz + hd)
+    ) return;
+    const color = B_COLORS[Math.floor(rng() * B_COLORS.length)];
+
+    buildings.push({ kind: 'building', x: bx, z: bz, hw: w / 2 + 1.5, hd: d / 2 + 1.5, w, h, d, color });
+  });
+
+  // colliders go live with the layout, so placement can query them
+  // even for a neighbour that is not loaded yet
+  for (const b of buildings) insertItem(world.index, b, b.x - b.hw, b.z - b.hd, b.x + b.hw, b.z + b.hd);
+  world.buildingCache.set(key, buildings);
+  return buildings;
+}
+
+// a layout is kept while its chunk, or a neighbour whose trees were
+// placed against it, is loaded
+function buildingsNeeded(world, key) {
+  const [cx, cz] = key.split(',').map(Number);
+  for (let dx = -1; dx <= 1; dx++)
+    for (let dz = -1; dz <= 1; dz++) if (world.chunks.has(chunkKey(cx + dx, cz + dz))) return true;
+  return false;
+}
+
+function forgetBuildings(world, key) {
+  const buildings = world.buildingCache.get(key);
+  if (!buildings) return;
+  for (const b of buildings) removeItem(world.index, b);
+  world.buildingCache.delete(key);
+}
+
+const hits = [];
+
+function chunkTrees(world, cx, cz) {
+  // trees avoid buildings of the neighbouring chunks too, which a
+  // building near the border may overhang
+  for (let dx = -1; dx <= 1; dx++)
+    for (let dz = -1; dz <= 1; dz++) chunkBuildings(world, cx + dx, cz + dz);
+
+  const rng = createRNG(world.seed, `trees:${chunkKey(cx, cz)}`);
+  const trees = [];
+  scatter(rng, cx, cz, TREES_PER_CHUNK, (tx, tz) => {
+    if (isOnRoad(tx, tz)) return;
+    // only buildings count: trees of loaded neighbours would make the
+    // layout depend on load order
+    hits.length = 0;
+    if (queryBox(world.index, tx, tz, tx, tz, hits).some(o => o.kind === 'building')) return;
+
+    const th = 2 + rng() * 2.5;
+    const leaf = LEAF_COLORS[Math.floor(rng() * LEAF_COLORS.length)];
+    const cs = 1.8 + rng() * 2.2;
+    const top = rng() > 0.5 ? { ox: (rng() - 0.5) * 1.5, oz: (rng() - 0.5) * 1.5 } : null;
+    trees.push({ kind: 'tree', x: tx, z: tz, r: 0.5, th, leaf, cs, top });
+  });
+  return trees;
+}
+
+function chunkLamps(cx, cz) {
+  const lamps = [];
+  const inside = (x, z) => Math.floor(x / CHUNK_SIZE) === cx && Math.floor(z / CHUNK_SIZE) === cz;
+  for (const i of alongAvenue(cz, LAMP_STEP, LAMP_PHASE)) {
+    [9, -9].forEach(off => {
+      // the arm reaches over the road; `bulbX` is where the light hangs
+      if (inside(off, i)) lamps.push({ kind: 'lamp', x: off, z: i, r: 0.3, bulbX: off + (off > 0 ? -1.1 : 1.1) });
+    });
   }
-  const grassTex = new THREE.CanvasTexture(grassCanvas);
-  grassTex.wrapS = grassTex.wrapT = THREE.RepeatWrapping;
-  grassTex.repeat.set(WORLD_SIZE / 20, WORLD_SIZE / 20);
-  grassTex.magFilter = THREE.LinearFilter;
-  grassTex.minFilter = THREE.LinearMipmapLinearFilter;
-  grassTex.anisotropy = 4;
+  return lamps;
+}
 
-  const groundGeo = new THREE.PlaneGeometry(WORLD_SIZE, WORLD_SIZE);
-  const ground = new THREE.Mesh(groundGeo,
-    new THREE.MeshStandardMaterial({ map: grassTex, roughness: 0.92 }));
-  ground.rotation.x = -Math.PI / 2;
-  ground.receiveShadow = true;
-  scene.add(ground);
+// ══════════════════════════════════════════════════════════════
+// MESHES
+// ══════════════════════════════════════════════════════════════
 
-  // ══════════════════════════════════════════════════════════════
-  // ROADS  +  MARKINGS  +  SIDEWALKS
-  // ══════════════════════════════════════════════════════════════
-  const RW = 14; // road width
-  const INT_MARGIN = RW / 2 + 3; // skip zone around intersections
+// LOD level shared by every loaded chunk: road surface + building boxes
+function buildChunkBase(world, chunk) {
+  const { M } = world;
+  const group = new THREE.Group();
+  const x0 = chunk.cx * CHUNK_SIZE, x1 = x0 + CHUNK_SIZE;
+  const z0 = chunk.cz * CHUNK_SIZE, z1 = z0 + CHUNK_SIZE;
+  const road = [], interPad = [], bodies = [];
+
+  // road rectangles clipped to the chunk
+  ROAD_DEFS.forEach(r => {
+    const rx0 = Math.max(r.x - r.w / 2, x0), rx1 = Math.min(r.x + r.w / 2, x1);
+    const rz0 = Math.max(r.z - r.d / 2, z0), rz1 = Math.min(r.z + r.d / 2, z1);
+    if (rx1 <= rx0 || rz1 <= rz0) return;
+    road.push(geoAt(new THREE.BoxGeometry(rx1 - rx0, 0.05, rz1 - rz0), (rx0 + rx1) / 2, 0.02, (rz0 + rz1) / 2));
+  });
+
+  INTERSECTIONS.forEach(inter => {
+    if (!chunk.owns(inter.x, inter.z)) return;
+    const pad = RW + 4;
+    interPad.push(geoAt(new THREE.BoxGeometry(pad, 0.06, pad), inter.x, 0.03, inter.z));
+  });
 
-  function isNearIntersection(x, z, margin) {
-    return INTERSECTIONS.some(i => Math.abs(x - i.x) < margin && Math.abs(z - i.z) < margin);
+  for (const b of chunk.buildings) {
+    bodies.push(tinted(geoAt(new THREE.BoxGeometry(b.w, b.h, b.d), b.x, b.h / 2, b.z), b.color));
   }
 
+  finalize(group, road,     M.road,     { receiveShadow: true });
+  finalize(group, interPad, M.interPad, { receiveShadow: true });
+  finalize(group, bodies,   M.building, { castShadow: true, receiveShadow: true });
+  return group;
+}
+
+// full detail, only near the car
+function buildChunkDetail(world, chunk) {
+  const { M } = world;
+  const group = new THREE.Group();
+  const rng = createRNG(world.seed, `detail:${chunk.key}`);
+  const owns = chunk.owns;
+
+  /* ---- geometry collectors (grouped by material) ---- */
+  const C = {
+    yellowDash: [], whiteLine: [], sidewalk: [],
+    winFrame: [], winGlass: [], winLit: [], ledge: [], floorDiv: [],
+    door: [], handle: [], ac: [], roofCyl: [], roofAnt: [],
+    trunk: [], leaves: [],
+    lampPole: [], lampArm: [], lampBox: [], lampBulb: [],
+    tlPole: [], tlHousing: [],
+    bench: [], trashcan: [], hydrant: [],
+  };
+
+  // ── road markings ──
   ROAD_DEFS.forEach(r => {
-    C.road.push(geoAt(new THREE.BoxGeometry(r.w, 0.05, r.d), r.x, 0.02, r.z));
     const isH = r.w > r.d;
 
     // centre dashes — skip near intersections
@@ -109,11 +262,11 @@ export function buildWorld(scene) {
     for (let i = 0; i < Math.floor(len / 8); i++) {
       if (isH) {
         const px = r.x - len / 2 + i * 8 + 4;
-        if (!isNearIntersection(px, r.z, INT_MARGIN))
+        if (owns(px, r.z) && !isNearIntersection(px, r.z, INT_MARGIN))
           C.yellowDash.push(geoAt(new THREE.BoxGeometry(3, 0.06, 0.25), px, 0.05, r.z));
       } else {
         const pz = r.z - len / 2 + i * 8 + 4;
-        if (!isNearIntersection(r.x, pz, INT_MARGIN))
+        if (owns(r.x, pz) && !isNearIntersection(r.x, pz, INT_MARGIN))
           C.yellowDash.push(geoAt(new THREE.BoxGeometry(0.25, 0.06, 3), r.x, 0.05, pz));
       }
     }
@@ -123,13 +276,13 @@ export function buildWorld(scene) {
     for (let i = 0; i < Math.floor(len / 4); i++) {
       if (isH) {
         const px = r.x - len / 2 + i * 4 + 2;
-        if (!isNearIntersection(px, r.z, INT_MARGIN)) {
+        if (owns(px, r.z) && !isNearIntersection(px, r.z, INT_MARGIN)) {
           C.whiteLine.push(geoAt(new THREE.BoxGeometry(3.5, 0.055, 0.15), px, 0.05, r.z + eo));
           C.whiteLine.push(geoAt(new THREE.BoxGeometry(3.5, 0.055, 0.15), px, 0.05, r.z - eo));
         }
       } else {
         const pz = r.z - len / 2 + i * 4 + 2;
-        if (!isNearIntersection(r.x, pz, INT_MARGIN)) {
+        if (owns(r.x, pz) && !isNearIntersection(r.x, pz, INT_MARGIN)) {
           C.whiteLine.push(geoAt(new THREE.BoxGeometry(0.15, 0.055, 3.5), r.x + eo, 0.05, pz));
           C.whiteLine.push(geoAt(new THREE.BoxGeometry(0.15, 0.055, 3.5), r.x - eo, 0.05, pz));
         }
@@ -137,17 +290,7 @@ export function buildWorld(scene) {
     }
   });
 
-  // ══════════════════════════════════════════════════════════════
-  // INTERSECTION PADS  (clean flat squares at crossings)
-  // ══════════════════════════════════════════════════════════════
-  INTERSECTIONS.forEach(inter => {
-    const pad = RW + 4;
-    C.interPad.push(geoAt(new THREE.BoxGeometry(pad, 0.06, pad), inter.x, 0.03, inter.z));
-  });
-
-  // ══════════════════════════════════════════════════════════════
-  // SIDEWALKS  (thin, segmented, skip at intersections & roads)
-  // ══════════════════════════════════════════════════════════════
+  // ── sidewalks (thin, segmented, skip at intersections & roads) ──
   const SW_W = 1.0;   // width (thin)
   const SW_H = 0.06;  // height (barely raised)
   const SW_SEG = 6;   // segment length
@@ -163,6 +306,7 @@ export function buildWorld(scene) {
 
       if (isH) {
         const sx = r.x + along;
+        if (!owns(sx, r.z)) continue;
         // skip if this segment is near an intersection
         if (isNearIntersection(sx, r.z, INT_MARGIN + 2)) continue;
         const sz1 = r.z + SW_OFF;
@@ -174,6 +318,7 @@ export function buildWorld(scene) {
           C.sidewalk.push(geoAt(new THREE.BoxGeometry(SW_SEG - 0.5, SW_H, SW_W), sx, SW_H / 2, sz2));
       } else {
         const sz = r.z + along;
+        if (!owns(r.x, sz)) continue;
         if (isNearIntersection(r.x, sz, INT_MARGIN + 2)) continue;
         const sx1 = r.x + SW_OFF;
         const sx2 = r.x - SW_OFF;
@@ -185,40 +330,8 @@ export function buildWorld(scene) {
     }
   });
 
-  // ══════════════════════════════════════════════════════════════
-  // BUILDINGS
-  // ══════════════════════════════════════════════════════════════
-  const bColors = [
-    0x457b9d, 0x6d6875, 0xb5838d, 0xe5989b, 0x8d99ae, 0x2b2d42,
-    0x606c38, 0xbc6c25, 0x588157, 0x3a5a40, 0x9b2226, 0x264653, 0x023047,
-  ];
-
-  for (let i = 0; i < BUILDING_COUNT; i++) {
-    const bx = (Math.random() - 0.5) * WORLD_SIZE * 0.65;
-    const bz = (Math.random() - 0.5) * WORLD_SIZE * 0.65;
-
-    const w = 8 + Math.random() * 16;
-    const h = 6 + Math.random() * 28;
-    const d = 8 + Math.random() * 16;
-
-    // Check all 4 corners + centre so NO part of building overlaps a road
-    const hw = w / 2 + 2;   // extra 2-unit clearance
-    const hd = d / 2 + 2;
-    if (
-      isOnRoad(bx, bz) ||
-      isOnRoad(bx - hw, bz - hd) || isOnRoad(bx + hw, bz - hd) ||
-      isOnRoad(bx - hw, bz + hd) || isOnRoad(bx + hw, bz + hd) ||
-      isOnRoad(bx - hw, bz)      || isOnRoad(bx + hw, bz)      ||
-      isOnRoad(bx, bz - hd)      || isOnRoad(bx, bz + hd)
-    ) continue;
-    const color = bColors[Math.floor(Math.random() * bColors.length)];
-
-    // body → group by colour
-    if (!buildingGeos.has(color)) buildingGeos.set(color, []);
-    buildingGeos.get(color).push(geoAt(new THREE.BoxGeometry(w, h, d), bx, h / 2, bz));
-
-    buildings.push({ x: bx, z: bz, hw: w / 2 + 1.5, hd: d / 2 + 1.5 });
-
+  // ── building facades (bodies are in the base LOD) ──
+  for (const { x: bx, z: bz, w, h, d } of chunk.buildings) {
     // roof + base ledges
     C.ledge.push(geoAt(new THREE.BoxGeometry(w + 0.4, 0.3, d + 0.4), bx, h + 0.15, bz));
     C.ledge.push(geoAt(new THREE.BoxGeometry(w + 0.3, 0.4, d + 0.3), bx, 0.2, bz));
@@ -237,14 +350,14 @@ export function buildWorld(scene) {
       const wc = Math.max(2, Math.floor(w / 3.5));
       for (let wi = 0; wi < wc; wi++) {
         const wx = bx - w / 2 + 2 + wi * ((w - 3) / Math.max(wc - 1, 1));
-        const litF = Math.random() > 0.5;
+        const litF = rng() > 0.5;
         // front
         C.winFrame.push(geoAt(new THREE.BoxGeometry(1.4, 1.6, 0.08), wx, wy, bz + d / 2 + 0.04));
         (litF ? C.winLit : C.winGlass).push(geoAt(new THREE.BoxGeometry(1.1, 1.3, 0.06), wx, wy, bz + d / 2 + 0.07));
         C.ledge.push(geoAt(new THREE.BoxGeometry(1.5, 0.08, 0.2), wx, wy - 0.75, bz + d / 2 + 0.1));
         // back
         C.winFrame.push(geoAt(new THREE.BoxGeometry(1.4, 1.6, 0.08), wx, wy, bz - d / 2 - 0.04));
-        (Math.random() > 0.5 ? C.winLit : C.winGlass).push(
+        (rng() > 0.5 ? C.winLit : C.winGlass).push(
           geoAt(new THREE.BoxGeometry(1.1, 1.3, 0.06), wx, wy, bz - d / 2 - 0.07));
       }
 
@@ -254,11 +367,11 @@ export function buildWorld(scene) {
         const sz = bz - d / 2 + 2 + si * ((d - 3) / Math.max(sc - 1, 1));
         // right
         C.winFrame.push(geoAt(new THREE.BoxGeometry(0.08, 1.6, 1.4), bx + w / 2 + 0.04, wy, sz));
-        (Math.random() > 0.5 ? C.winLit : C.winGlass).push(
+        (rng() > 0.5 ? C.winLit : C.winGlass).push(
           geoAt(new THREE.BoxGeometry(0.06, 1.3, 1.1), bx + w / 2 + 0.07, wy, sz));
         // left
         C.winFrame.push(geoAt(new THREE.BoxGeometry(0.08, 1.6, 1.4), bx - w / 2 - 0.04, wy, sz));
-        (Math.random() > 0.5 ? C.winLit : C.winGlass).push(
+        (rng() > 0.5 ? C.winLit : C.winGlass).push(
           geoAt(new THREE.BoxGeometry(0.06, 1.3, 1.1), bx - w / 2 - 0.07, wy, sz));
       }
     }
@@ -268,93 +381,60 @@ export function buildWorld(scene) {
     C.handle.push(geoAt(new THREE.BoxGeometry(0.25, 0.06, 0.08), bx + 0.35, 1.1, bz + d / 2 + 0.12));
 
     // AC units
-    if (Math.random() > 0.4) {
-      const count = Math.floor(Math.random() * 3) + 1;
+    if (rng() > 0.4) {
+      const count = Math.floor(rng() * 3) + 1;
       for (let a = 0; a < count; a++) {
         C.ac.push(geoAt(new THREE.BoxGeometry(0.8, 0.5, 0.4),
-          bx + (Math.random() > 0.5 ? 1 : -1) * (w / 2 + 0.2),
-          3 + a * FLOOR_HEIGHT + Math.random() * 2,
-          bz + (Math.random() - 0.5) * d * 0.6));
+          bx + (rng() > 0.5 ? 1 : -1) * (w / 2 + 0.2),
+          3 + a * FLOOR_HEIGHT + rng() * 2,
+          bz + (rng() - 0.5) * d * 0.6));
       }
     }
 
     // rooftop
-    if (h > 15 && Math.random() > 0.3)
+    if (h > 15 && rng() > 0.3)
       C.roofCyl.push(geoAt(new THREE.CylinderGeometry(0.8, 0.8, 1.5, 6),
-        bx + (Math.random() - 0.5) * w * 0.4, h + 0.75, bz + (Math.random() - 0.5) * d * 0.4));
-    if (h > 12 && Math.random() > 0.5)
+        bx + (rng() - 0.5) * w * 0.4, h + 0.75, bz + (rng() - 0.5) * d * 0.4));
+    if (h > 12 && rng() > 0.5)
       C.roofAnt.push(geoAt(new THREE.CylinderGeometry(0.03, 0.03, 3, 3),
-        bx + (Math.random() - 0.5) * w * 0.3, h + 1.5, bz + (Math.random() - 0.5) * d * 0.3));
+        bx + (rng() - 0.5) * w * 0.3, h + 1.5, bz + (rng() - 0.5) * d * 0.3));
   }
 
-  // ══════════════════════════════════════════════════════════════
-  // TREES
-  // ══════════════════════════════════════════════════════════════
-  const leafCols = [0x2d6a4f, 0x40916c, 0x52b788, 0x74c69d];
-
-  for (let i = 0; i < TREE_COUNT; i++) {
-    const tx = (Math.random() - 0.5) * WORLD_SIZE * 0.75;
-    const tz = (Math.random() - 0.5) * WORLD_SIZE * 0.75;
-    if (isOnRoad(tx, tz)) continue;
-    if (buildings.some(b => Math.abs(tx - b.x) < b.hw && Math.abs(tz - b.z) < b.hd)) continue;
-
-    const th = 2 + Math.random() * 2.5;
+  // ── trees ──
+  for (const { x: tx, z: tz, th, leaf, cs, top } of chunk.trees) {
     C.trunk.push(geoAt(new THREE.CylinderGeometry(0.2, 0.35, th, 6), tx, th / 2, tz));
-
-    const lc = leafCols[Math.floor(Math.random() * leafCols.length)];
-    if (!leafGeos.has(lc)) leafGeos.set(lc, []);
-    const cs = 1.8 + Math.random() * 2.2;
-    leafGeos.get(lc).push(geoAt(new THREE.SphereGeometry(cs, 6, 4), tx, th + cs * 0.5, tz));
-    if (Math.random() > 0.5) {
-      leafGeos.get(lc).push(geoAt(new THREE.SphereGeometry(cs * 0.7, 5, 3),
-        tx + (Math.random() - 0.5) * 1.5, th + cs * 1.1, tz + (Math.random() - 0.5) * 1.5));
+    C.leaves.push(tinted(geoAt(new THREE.SphereGeometry(cs, 6, 4), tx, th + cs * 0.5, tz), leaf));
+    if (top) {
+      C.leaves.push(tinted(geoAt(new THREE.SphereGeometry(cs * 0.7, 5, 3),
+        tx + top.ox, th + cs * 1.1, tz + top.oz), leaf));
     }
-
-    trees.push({ x: tx, z: tz, r: 0.5 });
   }
 
-  // ══════════════════════════════════════════════════════════════
-  // STREET LAMPS  (extended range for bigger world)
-  // ══════════════════════════════════════════════════════════════
-  const lampRange = WORLD_SIZE * 0.4;
-  for (let i = -lampRange; i < lampRange; i += 35) {
-    [9, -9].forEach(off => {
-      C.lampPole.push(geoAt(new THREE.CylinderGeometry(0.08, 0.12, 5.5, 6), off, 2.75, i));
-      C.lampArm.push(geoAt(new THREE.BoxGeometry(1.2, 0.08, 0.08),
-        off + (off > 0 ? -0.6 : 0.6), 5.3, i));
-      C.lampBox.push(geoAt(new THREE.BoxGeometry(0.5, 0.2, 0.5),
-        off + (off > 0 ? -1.1 : 1.1), 5.2, i));
-      C.lampBulb.push(geoAt(new THREE.SphereGeometry(0.25, 6, 6),
-        off + (off > 0 ? -1.1 : 1.1), 5.05, i));
-      lamps.push({ x: off, z: i, r: 0.3 });
-    });
+  // ── street lamps ──
+  for (const { x: off, z: i, bulbX } of chunk.lamps) {
+    C.lampPole.push(geoAt(new THREE.CylinderGeometry(0.08, 0.12, 5.5, 6), off, 2.75, i));
+    C.lampArm.push(geoAt(new THREE.BoxGeometry(1.2, 0.08, 0.08),
+      (off + bulbX) / 2, 5.3, i));
+    C.lampBox.push(geoAt(new THREE.BoxGeometry(0.5, 0.2, 0.5), bulbX, 5.2, i));
+    C.lampBulb.push(geoAt(new THREE.SphereGeometry(0.25, 6, 6), bulbX, LAMP_BULB_Y, i));
   }
 
-  // ══════════════════════════════════════════════════════════════
-  // TRAFFIC LIGHTS  (synchronised across intersections)
-  // ══════════════════════════════════════════════════════════════
+  // ── traffic lights (poles + housings; lamps live in TrafficSignals) ──
   INTERSECTIONS.forEach(inter => {
-    const corners = [
-      { x: inter.x + 6.5, z: inter.z + 6.5 },
-      { x: inter.x - 6.5, z: inter.z + 6.5 },
-      { x: inter.x + 6.5, z: inter.z - 6.5 },
-      { x: inter.x - 6.5, z: inter.z - 6.5 },
-    ];
-    corners.forEach(c => {
-      C.tlPole.push(geoAt(new THREE.CylinderGeometry(0.08, 0.1, 4.5, 6), c.x, 2.25, c.z));
-      C.tlHousing.push(geoAt(new THREE.BoxGeometry(0.4, 1.2, 0.3), c.x, 5, c.z));
-      C.tlRed.push(geoAt(new THREE.SphereGeometry(0.1, 5, 4), c.x, 5.35, c.z + 0.16));
-      C.tlYellow.push(geoAt(new THREE.SphereGeometry(0.1, 5, 4), c.x, 5.0, c.z + 0.16));
-      C.tlGreen.push(geoAt(new THREE.SphereGeometry(0.1, 5, 4), c.x, 4.65, c.z + 0.16));
+    if (!owns(inter.x, inter.z)) return;
+    signalHeads(inter).forEach(h => {
+      C.tlPole.push(geoAt(new THREE.CylinderGeometry(0.08, 0.1, 4.5, 6), h.x, 2.25, h.z));
+      C.tlHousing.push(geoAt(h.axis === 'z'
+        ? new THREE.BoxGeometry(0.4, 1.2, 0.3)
+        : new THREE.BoxGeometry(0.3, 1.2, 0.4), h.x, 5, h.z));
     });
   });
 
-  // ══════════════════════════════════════════════════════════════
-  // STREET FURNITURE  (benches, bins, hydrants along main roads)
-  // ══════════════════════════════════════════════════════════════
-  const furnRange = WORLD_SIZE * 0.35;
-  for (let i = -furnRange; i < furnRange; i += 40) {
+  // ── street furniture (benches, bins, hydrants along main roads) ──
+  // a step back into the chunk before, whose bins / hydrants land here
+  for (const i of alongAvenue(chunk.cz, FURN_STEP, FURN_PHASE, chunk.cz * CHUNK_SIZE - FURN_STEP)) {
     [14, -14].forEach(off => {
+      if (!owns(off, i)) return;
       // bench
       C.bench.push(geoAt(new THREE.BoxGeometry(1.5, 0.08, 0.6), off, 0.45, i));
       C.bench.push(geoAt(new THREE.BoxGeometry(0.1, 0.45, 0.6), off - 0.7, 0.22, i));
@@ -363,19 +443,191 @@ export function buildWorld(scene) {
     });
     if (i % 80 === 0) {
       [13, -13].forEach(off => {
-        C.trashcan.push(geoAt(new THREE.CylinderGeometry(0.3, 0.25, 0.8, 8), off, 0.4, i + 15));
+        if (owns(off, i + 15))
+          C.trashcan.push(geoAt(new THREE.CylinderGeometry(0.3, 0.25, 0.8, 8), off, 0.4, i + 15));
       });
     }
     if ((i + 20) % 120 === 0) {
       [12.5, -12.5].forEach(off => {
+        if (!owns(off, i + 20)) return;
         C.hydrant.push(geoAt(new THREE.CylinderGeometry(0.12, 0.15, 0.6, 6), off, 0.3, i + 20));
         C.hydrant.push(geoAt(new THREE.SphereGeometry(0.14, 5, 4), off, 0.65, i + 20));
       });
     }
   }
 
+  // ── merge each group into one mesh ──
+  finalize(group, C.sidewalk,   M.sidewalk, { receiveShadow: true });
+  finalize(group, C.yellowDash, M.yellow);
+  finalize(group, C.whiteLine,  M.white);
+
+  finalize(group, C.winFrame, M.winFrame);
+  finalize(group, C.winGlass, M.winGlass);
+  finalize(group, C.winLit,   M.winLit);
+  finalize(group, C.ledge,    M.ledge);
+  finalize(group, C.floorDiv, M.ledge);
+  finalize(group, C.door,     M.door);
+  finalize(group, C.handle,   M.handle);
+  finalize(group, C.ac,       M.ac);
+  finalize(group, C.roofCyl,  M.roofMtl);
+  finalize(group, C.roofAnt,  M.antenna);
+
+  finalize(group, C.trunk,  M.trunk, { castShadow: true });
+  finalize(group, C.leaves, M.leaf,  { castShadow: true });
+
+  finalize(group, C.lampPole, M.lamp);
+  finalize(group, C.lampArm,  M.lamp);
+  finalize(group, C.lampBox,  M.lamp);
+  finalize(group, C.lampBulb, M.bulb);
+
+  finalize(group, C.tlPole,    M.tlPole);
+  finalize(group, C.tlHousing, M.tlHouse);
+
+  finalize(group, C.bench,    M.bench);
+  finalize(group, C.trashcan, M.trash);
+  finalize(group, C.hydrant,  M.hydrant);
+  return group;
+}
+
+// ══════════════════════════════════════════════════════════════
+// CHUNK LIFECYCLE
+// ══════════════════════════════════════════════════════════════
+function loadChunk(world, cx, cz) {
+  const key = chunkKey(cx, cz);
+  const chunk = {
+    key, cx, cz,
+    // each object belongs to exactly one chunk: the one containing it
+    owns: (x, z) => Math.floor(x / CHUNK_SIZE) === cx && Math.floor(z / CHUNK_SIZE) === cz,
+    buildings: chunkBuildings(world, cx, cz),
+    trees:     chunkTrees(world, cx, cz),
+    lamps:     chunkLamps(cx, cz),
+    base: null,
+    detail: null,
+  };
+
+  // colliders go live as soon as the layout exists, before any mesh
+  // (buildings already are, see chunkBuildings)
+  for (const c of [...chunk.trees, ...chunk.lamps]) {
+    insertItem(world.index, c, c.x - c.r - 2, c.z - c.r - 2, c.x + c.r + 2, c.z + c.r + 2);
+  }
+
+  world.chunks.set(key, chunk);
+  return chunk;
+}
+
+function unloadChunk(world, chunk) {
+  if (chunk.base)   disposeGroup(chunk.base);
+  if (chunk.detail) disposeGroup(chunk.detail);
+  for (const o of [...chunk.trees, ...chunk.lamps]) removeItem(world.index, o);
+  world.chunks.delete(chunk.key);
+  // forget layouts no loaded chunk needs any more (they regenerate
+  // exactly); the whole cache, so none outlives the drive that made it
+  for (const key of world.buildingCache.keys()) {
+    if (!buildingsNeeded(world, key)) forgetBuildings(world, key);
+  }
+}
+
+// ── Streaming ───────────────────────────────────────────────────
+// Call every frame with the car position.  Layout and colliders for
+// every chunk in range appear at once (cheap); meshes are built nearest
+// first, at most `budget` per call, so crossing a chunk border never
+// stalls a frame.  Teardown waits for CHUNK_HYSTERESIS extra distance
+// so driving along a border does not rebuild the same chunk repeatedly.
+export function updateWorld(world, x, z, budget = CHUNK_BUILDS_PER_FRAME) {
+  // the grass plane follows the car, snapped to its texture tile
+  world.ground.position.x = Math.round(x / GRASS_TILE) * GRASS_TILE;
+  world.ground.position.z = Math.round(z / GRASS_TILE) * GRASS_TILE;
+
+  const cx0 = Math.floor((x - CHUNK_LOAD_DIST) / CHUNK_SIZE), cx1 = Math.floor((x + CHUNK_LOAD_DIST) / CHUNK_SIZE);
+  const cz0 = Math.floor((z - CHUNK_LOAD_DIST) / CHUNK_SIZE), cz1 = Math.floor((z + CHUNK_LOAD_DIST) / CHUNK_SIZE);
+  const wanted = [];
+  for (let cx = cx0; cx <= cx1; cx++) {
+    for (let cz = cz0; cz <= cz1; cz++) {
+      const dist = chunkDistance(x, z, cx, cz);
+      if (dist <= CHUNK_LOAD_DIST) wanted.push({ cx, cz, dist });
+    }
+  }
+  wanted.sort((a, b) => a.dist - b.dist);
+
+  for (const { cx, cz, dist } of wanted) {
+    const chunk = world.chunks.get(chunkKey(cx, cz)) ?? loadChunk(world, cx, cz);
+    if (!chunk.base && budget > 0) {
+      chunk.base = buildChunkBase(world, chunk);
+      world.root.add(chunk.base);
+      budget--;
+    }
+    if (dist <= CHUNK_DETAIL_DIST && !chunk.detail && budget > 0) {
+      chunk.detail = buildChunkDetail(world, chunk);
+      world.root.add(chunk.detail);
+      budget--;
+    }
+  }
+
+  for (const chunk of world.chunks.values()) {
+    const dist = chunkDistance(x, z, chunk.cx, chunk.cz);
+    if (dist > CHUNK_LOAD_DIST + CHUNK_HYSTERESIS) {
+      unloadChunk(world, chunk);
+    } else if (chunk.detail && dist > CHUNK_DETAIL_DIST + CHUNK_HYSTERESIS) {
+      disposeGroup(chunk.detail);
+      chunk.detail = null;
+    }
+  }
+}
+
+// ── City lights ─────────────────────────────────────────────────
+// level 0 … 1 from the day cycle: street lamps and lit windows glow
+// through dusk and night, and are barely visible by day.
+export function setCityLights(world, level) {
+  world.M.bulb.emissiveIntensity   = 0.1 + 0.9 * level;
+  world.M.winLit.emissiveIntensity = 0.05 + 0.75 * level;
+}
+
+// ── main ────────────────────────────────────────────────────────
+// `seed` is the world seed; every chunk derives its own streams from it.
+// The area around (x, z) is built completely before returning.
+export function buildWorld(scene, seed, x = 0, z = 0) {
+
+  // ══════════════════════════════════════════════════════════════
+  // GROUND  (procedural grass texture)
+  // ══════════════════════════════════════════════════════════════
+  const rng = createRNG(seed, 'grass');
+  const grassCanvas = document.createElement('canvas');
+  grassCanvas.width = 512;
+  grassCanvas.height = 512;
+  const gCtx = grassCanvas.getContext('2d');
+  // base fill
+  gCtx.fillStyle = '#4a7a3a';
+  gCtx.fillRect(0, 0, 512, 512);
+  // variation blotches
+  const grassColors = ['#3d6e30', '#5a8f48', '#4e8040', '#6a9a55', '#3a6a2e', '#78a862', '#2f5a24'];
+  for (let i = 0; i < 3000; i++) {
+    gCtx.fillStyle = grassColors[Math.floor(rng() * grassColors.length)];
+    const gx = rng() * 512, gy = rng() * 512;
+    gCtx.beginPath();
+    gCtx.ellipse(gx, gy, 2 + rng() * 6, 1 + rng() * 3, rng() * Math.PI, 0, Math.PI * 2);
+    gCtx.fill();
+  }
+  // small soil patches
+  for (let i = 0; i < 400; i++) {
+    gCtx.fillStyle = rng() > 0.5 ? '#5c4a2f' : '#6b5a3a';
+    gCtx.fillRect(rng() * 512, rng() * 512, 1 + rng() * 3, 1 + rng() * 2);
+  }
+  const grassTex = new THREE.CanvasTexture(grassCanvas);
+  grassTex.wrapS = grassTex.wrapT = THREE.RepeatWrapping;
+  grassTex.repeat.set(GROUND_SIZE / GRASS_TILE, GROUND_SIZE / GRASS_TILE);
+  grassTex.magFilter = THREE.LinearFilter;
+  grassTex.minFilter = THREE.LinearMipmapLinearFilter;
+  grassTex.anisotropy = 4;
+
+  const groundGeo = new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE);
+  const ground = new THREE.Mesh(groundGeo,
+    new THREE.MeshStandardMaterial({ map: grassTex, roughness: 0.92 }));
+  ground.rotation.x = -Math.PI / 2;
+  ground.receiveShadow = true;
+  scene.add(ground);
+
   // ══════════════════════════════════════════════════════════════
-  // FINALIZE – merge each group into one mesh
+  // MATERIALS  (shared by every chunk)
   // ══════════════════════════════════════════════════════════════
   const M = {
     road:     new THREE.MeshStandardMaterial({ color: 0x3a3a3a, roughness: 0.7 }),
@@ -383,6 +635,7 @@ export function buildWorld(scene) {
     sidewalk: new THREE.MeshStandardMaterial({ color: 0xc8beb0, roughness: 0.85 }),
     yellow:   new THREE.MeshStandardMaterial({ color: 0xf4d35e, roughness: 0.5 }),
     white:    new THREE.MeshStandardMaterial({ color: 0xf1faee, roughness: 0.5 }),
+    building: new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.65 }),
     winFrame: new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.6 }),
     winGlass: new THREE.MeshStandardMaterial({ color: 0x88bbdd, metalness: 0.8, roughness: 0.1, transparent: true, opacity: 0.5 }),
     winLit:   new THREE.MeshStandardMaterial({ color: 0xfff3b0, emissive: 0xffffcc, emissiveIntensity: 0.35 }),
@@ -393,77 +646,33 @@ export function buildWorld(scene) {
     roofMtl:  new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.6 }),
     antenna:  new THREE.MeshStandardMaterial({ color: 0x555555 }),
     trunk:    new THREE.MeshStandardMaterial({ color: 0x6b4226, roughness: 0.9 }),
+    leaf:     new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8 }),
     lamp:     new THREE.MeshStandardMaterial({ color: 0x444444, metalness: 0.5 }),
     bulb:     new THREE.MeshStandardMaterial({ color: 0xfff3b0, emissive: 0xfff3b0, emissiveIntensity: 1 }),
     tlPole:   new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.5 }),
     tlHouse:  new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.5 }),
-    tlRed:    new THREE.MeshStandardMaterial({ color: 0xff0000, emissive: 0xff0000, emissiveIntensity: 0.8 }),
-    tlYellow: new THREE.MeshStandardMaterial({ color: 0xffaa00, emissive: 0xffaa00, emissiveIntensity: 0.3 }),
-    tlGreen:  new THREE.MeshStandardMaterial({ color: 0x00ff00, emissive: 0x00ff00, emissiveIntensity: 0.3 }),
     bench:    new THREE.MeshStandardMaterial({ color: 0x8b6914, roughness: 0.8 }),
     trash:    new THREE.MeshStandardMaterial({ color: 0x2f4f2f, roughness: 0.7, metalness: 0.3 }),
     hydrant:  new THREE.MeshStandardMaterial({ color: 0xcc2200, roughness: 0.5, metalness: 0.3 }),
   };
 
-  const roadMesh = finalize(scene, C.road, M.road, { receiveShadow: true });
-  finalize(scene, C.interPad,  M.interPad, { receiveShadow: true });
-  finalize(scene, C.sidewalk,  M.sidewalk, { receiveShadow: true });
-  finalize(scene, C.yellowDash, M.yellow);
-  finalize(scene, C.whiteLine,  M.white);
-
-  // buildings per colour
-  for (const [color, geos] of buildingGeos) {
-    finalize(scene, geos,
-      new THREE.MeshStandardMaterial({ color, roughness: 0.65 }),
-      { castShadow: true, receiveShadow: true });
-  }
-
-  finalize(scene, C.winFrame, M.winFrame);
-  finalize(scene, C.winGlass, M.winGlass);
-  finalize(scene, C.winLit,   M.winLit);
-  finalize(scene, C.ledge,    M.ledge);
-  finalize(scene, C.floorDiv, M.ledge);
-  finalize(scene, C.door,     M.door);
-  finalize(scene, C.handle,   M.handle);
-  finalize(scene, C.ac,       M.ac);
-  finalize(scene, C.roofCyl,  M.roofMtl);
-  finalize(scene, C.roofAnt,  M.antenna);
-
-  // trees
-  finalize(scene, C.trunk, M.trunk, { castShadow: true });
-  for (const [color, geos] of leafGeos) {
-    finalize(scene, geos,
-      new THREE.MeshStandardMaterial({ color, roughness: 0.8 }),
-      { castShadow: true });
-  }
-
-  // lamps
-  finalize(scene, C.lampPole, M.lamp);
-  finalize(scene, C.lampArm,  M.lamp);
-  finalize(scene, C.lampBox,  M.lamp);
-  finalize(scene, C.lampBulb, M.bulb);
-
-  // traffic lights
-  finalize(scene, C.tlPole,    M.tlPole);
-  finalize(scene, C.tlHousing, M.tlHouse);
-  finalize(scene, C.tlRed,     M.tlRed);
-  finalize(scene, C.tlYellow,  M.tlYellow);
-  finalize(scene, C.tlGreen,   M.tlGreen);
-
-  // furniture
-  finalize(scene, C.bench,    M.bench);
-  finalize(scene, C.trashcan, M.trash);
-  finalize(scene, C.hydrant,  M.hydrant);
+  const root = new THREE.Group();
+  scene.add(root);
 
   // sky + fog
   scene.background = new THREE.Color(0x87ceeb);
   scene.fog = new THREE.Fog(0x87ceeb, 150, WORLD_SIZE * 0.35);
 
-  return {
-    buildings,
-    trees,
-    lamps,
-    trafficLightMats: { red: M.tlRed, yellow: M.tlYellow, green: M.tlGreen },
+  const world = {
+    seed,
+    root,
+    ground,
+    M,
+    chunks: new Map(),           // key → chunk
+    buildingCache: new Map(),    // key → building layout (also read by neighbours)
+    index: createSpatialHash(),  // colliders of every loaded chunk + cached buildings
     roadMat: M.road,
   };
+  updateWorld(world, x, z, Infinity);
+  return world;
 }
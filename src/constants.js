@@ -4,6 +4,7 @@
 
 export const WORLD_SIZE = 1500;
 export const ROAD_WIDTH = 14;
+export const STOP_LINE_DIST = ROAD_WIDTH / 2 + 3;   // stop line → intersection centre
 
 // Car physics
 export const CAR_ACCEL     = 0.035;
@@ -11,7 +12,15 @@ export const CAR_BRAKE     = 0.03;
 export const CAR_FRICTION  = 0.008;
 export const CAR_MAX_SPEED = 1.2;
 export const CAR_REVERSE_MAX = -0.4;
-export const STEER_SPEED   = 0.028;
+
+// Vehicle dynamics (VehiclePhysics.js) – bicycle model, same units
+export const CAR_WHEELBASE   = 3.0;     // front ↔ rear axle (wheels at z ±1.5)
+export const CAR_GRIP        = 0.042;   // peak lateral accel of all four tyres
+export const CAR_TIRE_STIFF  = 18;      // slip-curve stiffness (higher = sharper peak)
+export const CAR_MAX_STEER   = 0.12;    // front-wheel angle (rad) at low speed
+export const CAR_WEIGHT_XFER = 0.35;    // load shift per unit of longitudinal accel / grip
+export const HANDBRAKE_GRIP  = 0.35;    // rear grip multiplier with the handbrake on
+export const HANDBRAKE_DECEL = 0.01;
 
 // Camera
 export const CAM_BASE_DIST   = 14;
@@ -20,27 +29,75 @@ export const CAM_SMOOTH      = 0.04;
 
 // World generation
 export const FLOOR_HEIGHT    = 3.5;
-export const BUILDING_COUNT  = 400;
-export const TREE_COUNT      = 160;
+export const BUILDINGS_PER_CHUNK = 9.5;   // on average; the city has no edge
+export const TREES_PER_CHUNK     = 2.8;
 export const NPC_COUNT       = 25;
-export const WORLD_BOUND     = WORLD_SIZE * 0.45;
+
+// World streaming (World.js) – the city is built in square chunks
+export const CHUNK_SIZE        = 150;
+export const CHUNK_DETAIL_DIST = 260;   // full detail (windows, props) inside this
+export const CHUNK_LOAD_DIST   = 600;   // building boxes + roads only out to here
+export const CHUNK_HYSTERESIS  = 60;    // extra distance before a chunk is torn down
+export const CHUNK_BUILDS_PER_FRAME = 1;   // chunk meshes built per frame while streaming
 
 // HUD
 export const SPEED_MULT = 80;
+export const MINIMAP_NPC_RANGE = 300;   // NPC dots drawn within this radius of the car
+export const REPAIR_MAX_SPEED  = 0.02;  // repairs only while (almost) standing still
+export const SPLIT_SHOW_TIME   = 3;     // s a race split (± best) stays on the RacePanel
+export const REPLAY_LEAD       = 15;    // s before the end the session replay opens at
+export const REPLAY_SKIP       = 5;     // s ← / → jump during the replay
 
 // Shadows
 export const SHADOW_CAM_SIZE = 80;
 
-// Monster
-export const MONSTER_SPEED      = 0.90;
+// Day / night cycle (DayCycle.js)
+export const DAY_LENGTH   = 600;   // real seconds per in-game day
+export const START_HOUR   = 10;    // clock time of a fresh session
+export const NIGHT_START  = 19.5;  // the monster hunts from here …
+export const NIGHT_END    = 5;     // … until here
+
+// Monster roster (Monster.js); speeds are per frame at 60 fps
+//   speed / huntSpeed   stalking pace / top speed with the car in sight
+//   stalkDist           how close it dares while stalking
+//   hitDist, damage     reach, and health a hit takes (Survival.js)
+//   knock               car speed multiplier on a hit (< 0 throws it back)
+//   cooldown            s between hits
+//   sense, sight        hears the car through walls / sees it in the open
+//   beamSight           sees it from inside the headlight beam
+//   glareTime           s in the beam up close before it flees
+//   teleport            s between blinks toward the car while unseen (0 walks)
+export const MONSTER_TYPES = {
+  giant:   { speed: 0.75, huntSpeed: 1.15, stalkDist: 80, hitDist: 7, damage: 35, knock: -0.5, cooldown: 2.5, sense: 20, sight: 70, beamSight: 200, glareTime: 1.5, teleport: 0 },
+  crawler: { speed: 1.0,  huntSpeed: 1.55, stalkDist: 50, hitDist: 4, damage: 12, knock: 0.4,  cooldown: 1,   sense: 35, sight: 40, beamSight: 140, glareTime: 0.5, teleport: 0 },
+  shadow:  { speed: 0.8,  huntSpeed: 1.2,  stalkDist: 60, hitDist: 5, damage: 20, knock: 0.8,  cooldown: 2,   sense: 15, sight: 90, beamSight: 180, glareTime: 0.8, teleport: 6 },
+};
+
+// Difficulty: one row per consecutive night, the last row repeats
+//   roster   the monster types that come out
+//   speed    multiplier on their speeds
+export const MONSTER_NIGHTS = [
+  { roster: ['giant'],                                           speed: 1 },
+  { roster: ['giant', 'crawler'],                                speed: 1 },
+  { roster: ['crawler', 'crawler', 'shadow'],                    speed: 1.05 },
+  { roster: ['giant', 'crawler', 'shadow'],                      speed: 1.1 },
+  { roster: ['giant', 'crawler', 'crawler', 'shadow', 'shadow'], speed: 1.15 },
+];
+
 export const MONSTER_SPAWN_DIST = 200;
-export const MONSTER_HIT_DIST   = 6;
+export const PLAYER_HEALTH      = 100;    // Survival.js
 
 // Drift / handbrake
-export const DRIFT_STEER_MULT = 2.5;
-export const DRIFT_FRICTION   = 0.003;
+export const DRIFT_STEER_MULT = 2.5;    // extra front lock while the handbrake is on
+
+// Traffic signals (seconds)
+export const SIGNAL_CYCLE      = 14;    // full N–S + E–W cycle
+export const SIGNAL_AMBER      = 1.5;   // per axis
+export const SIGNAL_ALL_RED    = 0.8;   // clearance after each amber
+export const SIGNAL_WAVE_SPEED = 40;    // units / s of the green-wave offset
 
 // Road network – large city grid covering the expanded world
+// `limit` is the posted speed limit in km/h (HUD units).
 const W = ROAD_WIDTH;
 const L = WORLD_SIZE * 0.85;   // main avenue length
 const M = WORLD_SIZE * 0.6;    // medium road length
@@ -48,46 +105,46 @@ const S = 280;                  // short connector length
 
 export const ROAD_DEFS = [
   // ── Main avenues (full-length cross) ──
-  { x:    0, z:    0, w: W,  d: L },          // N–S centre
-  { x:    0, z:    0, w: L,  d: W },          // E–W centre
+  { x:    0, z:    0, w: W,  d: L, limit: 80 },  // N–S centre
+  { x:    0, z:    0, w: L,  d: W, limit: 80 },  // E–W centre
 
   // ── Parallel N–S avenues ──
-  { x:  200, z:    0, w: W,  d: L },
-  { x: -200, z:    0, w: W,  d: L },
-  { x:  400, z:    0, w: W,  d: M },
-  { x: -400, z:    0, w: W,  d: M },
+  { x:  200, z:    0, w: W,  d: L, limit: 80 },
+  { x: -200, z:    0, w: W,  d: L, limit: 80 },
+  { x:  400, z:    0, w: W,  d: M, limit: 60 },
+  { x: -400, z:    0, w: W,  d: M, limit: 60 },
 
   // ── Parallel E–W avenues ──
-  { x:    0, z:  200, w: L,  d: W },
-  { x:    0, z: -200, w: L,  d: W },
-  { x:    0, z:  400, w: M,  d: W },
-  { x:    0, z: -400, w: M,  d: W },
+  { x:    0, z:  200, w: L,  d: W, limit: 80 },
+  { x:    0, z: -200, w: L,  d: W, limit: 80 },
+  { x:    0, z:  400, w: M,  d: W, limit: 60 },
+  { x:    0, z: -400, w: M,  d: W, limit: 60 },
 
   // ── Inner grid connectors ──
-  { x:  100, z:  100, w: W,  d: S },
-  { x:  100, z:  100, w: S,  d: W },
-  { x: -100, z:  100, w: W,  d: S },
-  { x: -100, z:  100, w: S,  d: W },
-  { x:  100, z: -100, w: W,  d: S },
-  { x:  100, z: -100, w: S,  d: W },
-  { x: -100, z: -100, w: W,  d: S },
-  { x: -100, z: -100, w: S,  d: W },
+  { x:  100, z:  100, w: W,  d: S, limit: 40 },
+  { x:  100, z:  100, w: S,  d: W, limit: 40 },
+  { x: -100, z:  100, w: W,  d: S, limit: 40 },
+  { x: -100, z:  100, w: S,  d: W, limit: 40 },
+  { x:  100, z: -100, w: W,  d: S, limit: 40 },
+  { x:  100, z: -100, w: S,  d: W, limit: 40 },
+  { x: -100, z: -100, w: W,  d: S, limit: 40 },
+  { x: -100, z: -100, w: S,  d: W, limit: 40 },
 
   // ── Outer ring connectors ──
-  { x:  300, z:  200, w: W,  d: S },
-  { x:  300, z: -200, w: W,  d: S },
-  { x: -300, z:  200, w: W,  d: S },
-  { x: -300, z: -200, w: W,  d: S },
-  { x:  200, z:  300, w: S,  d: W },
-  { x: -200, z:  300, w: S,  d: W },
-  { x:  200, z: -300, w: S,  d: W },
-  { x: -200, z: -300, w: S,  d: W },
+  { x:  300, z:  200, w: W,  d: S, limit: 40 },
+  { x:  300, z: -200, w: W,  d: S, limit: 40 },
+  { x: -300, z:  200, w: W,  d: S, limit: 40 },
+  { x: -300, z: -200, w: W,  d: S, limit: 40 },
+  { x:  200, z:  300, w: S,  d: W, limit: 40 },
+  { x: -200, z:  300, w: S,  d: W, limit: 40 },
+  { x:  200, z: -300, w: S,  d: W, limit: 40 },
+  { x: -200, z: -300, w: S,  d: W, limit: 40 },
 
   // ── Diagonal-ish connectors (short) ──
-  { x:  300, z:    0, w: W,  d: S },
-  { x: -300, z:    0, w: W,  d: S },
-  { x:    0, z:  300, w: S,  d: W },
-  { x:    0, z: -300, w: S,  d: W },
+  { x:  300, z:    0, w: W,  d: S, limit: 40 },
+  { x: -300, z:    0, w: W,  d: S, limit: 40 },
+  { x:    0, z:  300, w: S,  d: W, limit: 40 },
+  { x:    0, z: -300, w: S,  d: W, limit: 40 },
 ];
 
 // Intersection centres (where roads cross – used for traffic lights)
@@ -115,3 +172,19 @@ export function isOnRoad(x, z) {
     r => Math.abs(x - r.x) < (r.w / 2 + 5) && Math.abs(z - r.z) < (r.d / 2 + 5)
   );
 }
+
+// Helper – what the tyres are touching at (x, z)
+//   'intersection' | 'road' | 'sidewalk' | 'grass'
+const SIDEWALK_BAND = 2.5;   // kerb + sidewalk strip beside the asphalt
+export function surfaceAt(x, z) {
+  const pad = ROAD_WIDTH / 2 + 2;
+  if (INTERSECTIONS.some(i => Math.abs(x - i.x) < pad && Math.abs(z - i.z) < pad)) return 'intersection';
+  let nearRoad = false;
+  for (const r of ROAD_DEFS) {
+    const dx = Math.abs(x - r.x) - r.w / 2;
+    const dz = Math.abs(z - r.z) - r.d / 2;
+    if (dx < 0 && dz < 0) return 'road';
+    if (dx < SIDEWALK_BAND && dz < SIDEWALK_BAND) nearRoad = true;
+  }
+  return nearRoad ? 'sidewalk' : 'grass';
+}
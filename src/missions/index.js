@@ -0,0 +1,21 @@
+// ── Mission catalogue ───────────────────────────────────────────
+// Every *.json file in this folder is a mission; drop a new one in to
+// add a route.  Format (see Missions.js for the details):
+//   {
+//     "id": "unique-id",            key for the saved best times
+//     "name": "Shown in the menu",
+//     "description": "optional",
+//     "order": 1,                   menu position (optional)
+//     "laps": 2,                    loops only, default 1
+//     "loop": true,                 false: a sprint ending at the last checkpoint
+//     "checkpoints": [              the first one is the start line
+//       { "road": 7, "offset": 50 } ROAD_DEFS index, units from the road's
+//     ]                             centre along its length
+//   }
+import { parseMission } from '../Missions.js';
+
+const files = import.meta.glob('./*.json', { eager: true, import: 'default' });
+
+export const MISSIONS = Object.values(files)
+  .map(parseMission)
+  .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));